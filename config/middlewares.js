@@ -20,7 +20,11 @@ module.exports = [
   'strapi::poweredBy',
   'strapi::logger',
   'strapi::query',
-  'strapi::body',
+  {
+    name: 'strapi::body',
+    // Signed translation requests are verified against the body as sent
+    config: { includeUnparsed: true },
+  },
   'strapi::session',
   'strapi::favicon',
   'strapi::public',
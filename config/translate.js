@@ -0,0 +1,206 @@
+module.exports = ({ env }) => ({
+  /**
+   * Default translation provider: 'deepl', 'libretranslate', 'openai' or 'echo'.
+   * Use 'echo' to run the whole auto-translation flow offline.
+   */
+  provider: env('TRANSLATE_PROVIDER', 'deepl'),
+
+  /**
+   * Per locale pair overrides, keyed "<sourceLocale>:<targetLocale>",
+   * e.g. { "en:zh-Hant-HK": "deepl", "zh-Hant-HK:en": "openai" }
+   */
+  pairs: env.json('TRANSLATE_PROVIDER_PAIRS', {}),
+
+  /**
+   * Content types translated automatically whenever they are saved. Any localized
+   * type works: the localized text fields, components and dynamic zones of its
+   * schema are translated, with no code of its own.
+   */
+  contentTypes: env.array('TRANSLATE_CONTENT_TYPES', [
+    'api::article.article',
+    'api::story.story',
+    'api::global.global',
+    'api::about.about',
+    'api::category.category',
+  ]),
+
+  /**
+   * Locale matrix: for each locale an entry can be written in, the locales it is
+   * translated into. `default` applies to every auto-translated content type;
+   * entries under `contentTypes` replace it for one type. Adding Japanese or
+   * Simplified Chinese is a matter of listing it here (and creating the locale in
+   * Settings → Internationalization).
+   */
+  locales: {
+    default: env.json('TRANSLATE_LOCALES', {
+      'en': ['zh-Hant-HK'],
+      'zh-Hant-HK': ['en'],
+    }),
+    contentTypes: {
+      // 'api::story.story': { 'en': ['zh-Hant-HK', 'zh-Hans', 'ja'] },
+    },
+  },
+
+  /**
+   * Provider language codes are derived from the locale code (e.g. zh-Hant-HK →
+   * DeepL ZH / ZH-HANT, LibreTranslate zt). Override a derived code per provider:
+   * { deepl: { 'en': { source: 'EN', target: 'EN-GB' } }, libretranslate: { 'zh-Hant-HK': 'zh-Hant' } }
+   */
+  languageCodes: env.json('TRANSLATE_LANGUAGE_CODES', {}),
+
+  detect: {
+    /**
+     * Saved entries are checked against their locale before they are translated: an
+     * entry created without a locale gets the default one, whatever it is written in.
+     * When the text reads as another configured locale: 'correct' moves it to that
+     * localization (if it does not exist yet and is translated into the declared
+     * locale), whose translation then replaces it; 'flag' leaves it untranslated and
+     * emits translation.language_mismatch (see review.webhookUrl); 'ignore' translates
+     * it from the declared locale anyway.
+     */
+    onMismatch: env('TRANSLATE_DETECT_ON_MISMATCH', 'correct'),
+    // Mismatches detected with less confidence (0 to 1) are translated as declared
+    minConfidence: env.float('TRANSLATE_DETECT_MIN_CONFIDENCE', 0.8),
+  },
+
+  chinese: {
+    /**
+     * Providers write one Traditional Chinese, which reads like Taiwan's (DeepL ZH-HANT).
+     * Translations into Hong Kong (zh-Hant-HK, zh-HK) and Taiwan (zh-Hant-TW, zh-TW)
+     * locales are converted to the vocabulary and character forms of the region, with
+     * the tables in src/api/translate/data/chinese and the phrases added through the
+     * admin API.
+     */
+    regional: env.bool('TRANSLATE_CHINESE_REGIONAL', true),
+    /**
+     * Chinese locales converted from the translation into another Chinese locale
+     * instead of being sent to a provider, e.g. { "zh-Hans": "zh-Hant-HK" }
+     */
+    derive: env.json('TRANSLATE_CHINESE_DERIVE', {}),
+  },
+
+  /**
+   * What automatic translation does when an editor changed a translated localization:
+   * 'merge' rewrites only the fields nobody edited, 'skip' leaves the localization
+   * alone, 'overwrite' rewrites every field. Locked localizations are never written.
+   */
+  humanEdits: {
+    default: env('TRANSLATE_HUMAN_EDITS', 'merge'),
+    contentTypes: {
+      // 'api::story.story': 'skip',
+    },
+  },
+
+  review: {
+    /**
+     * Every localization written by automatic translation needs review; approving it
+     * publishes it. Review events (translation.needs_review, translation.approved,
+     * translation.rejected, and translation.language_mismatch of detect) are emitted
+     * on strapi.eventHub and, when set, POSTed as JSON to this URL (e.g. a Slack or
+     * n8n webhook)
+     */
+    webhookUrl: env('TRANSLATE_REVIEW_WEBHOOK_URL'),
+    webhookHeaders: env.json('TRANSLATE_REVIEW_WEBHOOK_HEADERS', {}),
+  },
+
+  length: {
+    /**
+     * Translated text longer than the maxLength of its attribute (255 for strings
+     * without one) is asked for again, shorter, when the provider takes a length
+     * limit (openai); otherwise, or when still too long, it is cut at a sentence
+     * or word boundary
+     */
+    retry: env.bool('TRANSLATE_LENGTH_RETRY', true),
+  },
+
+  media: {
+    // Translate the alternative text and caption of media used by translated entries
+    enabled: env.bool('TRANSLATE_MEDIA_ENABLED', true),
+    // Locale the alternative texts and captions of the media library are written in
+    locale: env('TRANSLATE_MEDIA_LOCALE', 'en'),
+  },
+
+  access: {
+    /**
+     * Translation endpoints (/translate/text, /translate/entry, /articles/:id/translate)
+     * take a Strapi API token (full access, or custom with the endpoint's action) or
+     * a request signed with one of these keys:
+     * { "n8n": { "secret": "...", "scopes": ["api::article.translate-article.translateArticle"] } }
+     * Without `scopes` a key may call every translation endpoint.
+     */
+    hmac: {
+      clients: env.json('TRANSLATE_HMAC_CLIENTS', {}),
+      // Seconds a signed request stays valid; signatures are refused a second time
+      window: env.int('TRANSLATE_HMAC_WINDOW', 300),
+    },
+    // Requests per caller (API token or signing key) per interval (ms)
+    rateLimit: {
+      max: env.int('TRANSLATE_RATE_LIMIT_MAX', 60),
+      interval: env.int('TRANSLATE_RATE_LIMIT_INTERVAL', 60000),
+    },
+    // Per API token name or signing key id, e.g. { "n8n": { "max": 600 } }
+    rateLimits: env.json('TRANSLATE_RATE_LIMITS', {}),
+  },
+
+  usage: {
+    /**
+     * Monthly character budgets per provider, e.g. { "deepl": 500000 }; "*" caps all
+     * providers together. Once a budget is used up, translations queued by saving
+     * content wait for the next month (or a higher budget); manual re-runs, API
+     * calls and bulk runs still go through. Every provider call is counted either way.
+     */
+    budgets: env.json('TRANSLATE_BUDGETS', {}),
+  },
+
+  memory: {
+    // Serve unchanged strings from the database instead of calling the provider again
+    enabled: env.bool('TRANSLATE_MEMORY_ENABLED', true),
+  },
+
+  jobs: {
+    // Run the queue worker in this instance (disable on all but one instance if needed)
+    enabled: env.bool('TRANSLATE_JOBS_ENABLED', true),
+    pollInterval: env.int('TRANSLATE_JOBS_POLL_INTERVAL', 2000),
+    maxAttempts: env.int('TRANSLATE_JOBS_MAX_ATTEMPTS', 5),
+    // Retry delay doubles after every failed attempt, up to maxBackoff
+    backoff: env.int('TRANSLATE_JOBS_BACKOFF', 30000),
+    maxBackoff: env.int('TRANSLATE_JOBS_MAX_BACKOFF', 3600000),
+    // A job still running this long after it started is taken for interrupted and run again
+    lease: env.int('TRANSLATE_JOBS_LEASE', 1800000),
+  },
+
+  backfill: {
+    /**
+     * Documents a backfill translates at the same time, unless the request asks
+     * for a number up to maxConcurrency. Backfills count as `bulk` usage.
+     */
+    concurrency: env.int('TRANSLATE_BACKFILL_CONCURRENCY', 2),
+    maxConcurrency: env.int('TRANSLATE_BACKFILL_MAX_CONCURRENCY', 5),
+  },
+
+  providers: {
+    deepl: {
+      apiKey: env('DEEPL_API_KEY'),
+      // For the free plan use 'https://api-free.deepl.com'
+      serverUrl: env('DEEPL_API_URL'),
+    },
+    libretranslate: {
+      url: env('LIBRETRANSLATE_URL', 'http://localhost:5000'),
+      apiKey: env('LIBRETRANSLATE_API_KEY'),
+      // Milliseconds before a request is given up
+      timeout: env.int('LIBRETRANSLATE_TIMEOUT', 30000),
+    },
+    openai: {
+      // Any OpenAI-compatible chat completions endpoint (OpenAI, Azure, Ollama, vLLM...)
+      url: env('OPENAI_BASE_URL', 'https://api.openai.com/v1'),
+      apiKey: env('OPENAI_API_KEY'),
+      model: env('OPENAI_MODEL', 'gpt-4o-mini'),
+      // Milliseconds before a request is given up; models answer batches slowly
+      timeout: env.int('OPENAI_TIMEOUT', 120000),
+    },
+    echo: {
+      // 'echo' returns the text unchanged, 'pseudo' returns a pseudo-localized copy
+      mode: env('TRANSLATE_ECHO_MODE', 'pseudo'),
+    },
+  },
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Translation memory entries became unique per source text, locale pair and
+ * provider. Concurrent translations could store the same text twice: of each
+ * set of duplicates the edited entry, or else the most used one, is kept, so
+ * the schema synchronization that follows can create the unique index.
+ */
+
+const TABLE = 'translation_memories';
+const KEY = ['source_hash', 'source_locale', 'target_locale', 'provider'];
+
+module.exports = {
+  async up(knex) {
+    if (!(await knex.schema.hasTable(TABLE))) {
+      return;
+    }
+
+    const duplicates = await knex(TABLE).select(KEY).groupBy(KEY).havingRaw('COUNT(*) > 1');
+    for (const key of duplicates) {
+      const rows = await knex(TABLE).select('id', 'edited', 'hits').where(key);
+      // Booleans come back as 0/1 from SQLite and MySQL
+      const [, ...extra] = rows.sort((a, b) =>
+        Number(Boolean(b.edited)) - Number(Boolean(a.edited)) || (b.hits || 0) - (a.hits || 0) || a.id - b.id
+      );
+      await knex(TABLE).whereIn('id', extra.map(({ id }) => id)).delete();
+    }
+  },
+};
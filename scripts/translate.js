@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * Translate, re-translate or verify localizations from the terminal, without the
+ * HTTP API. Boots Strapi like scripts/seed.js and runs the translation services
+ * directly; the job worker is not started.
+ *
+ *   node scripts/translate.js translate --locale ja --from 2025-01-01
+ *   node scripts/translate.js retranslate --content-type api::article.article --document-id abc123 --dry-run
+ *   node scripts/translate.js verify
+ *
+ * Exits with code 1 when any item fails (for verify: when any localization is
+ * missing or stale).
+ */
+
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: node scripts/translate.js <command> [options]
+
+Commands:
+  translate      Translate localizations that are missing or stale
+  retranslate    Translate localizations again, including up-to-date ones
+  verify         Report localizations that are missing or stale, change nothing
+
+Options:
+  --content-type <uid>   Content type(s), comma separated (default: contentTypes in config/translate.js)
+  --locale <code>        Target locale(s), comma separated (default: every configured target)
+  --source-locale <code> Source locale(s), comma separated (default: every configured source)
+  --document-id <id>     Document ID(s), comma separated
+  --from <date>          Only documents created on or after this date (YYYY-MM-DD)
+  --to <date>            Only documents created on or before this date (YYYY-MM-DD)
+  --concurrency <n>      Documents translated at the same time (default: backfill.concurrency)
+  --dry-run              Report what would be written, write nothing
+  --help                 Show this help
+
+Edited and locked localizations keep the protection of the humanEdits policy;
+localizations written by hand are never touched.`;
+
+const COMMANDS = ['translate', 'retranslate', 'verify'];
+
+// States of a target localization (see api::translate.backfill check()) each command works on
+const ACTIONABLE = {
+  translate: ['missing', 'stale'],
+  retranslate: ['missing', 'stale', 'up-to-date'],
+  verify: [],
+};
+
+// Comma separated and repeated options alike
+const list = (values = []) => [].concat(values).flatMap((value) => value.split(',')).map((value) => value.trim()).filter(Boolean);
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'content-type': { type: 'string', multiple: true },
+      'locale': { type: 'string', multiple: true },
+      'source-locale': { type: 'string', multiple: true },
+      'document-id': { type: 'string', multiple: true },
+      'from': { type: 'string' },
+      'to': { type: 'string' },
+      'concurrency': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'help': { type: 'boolean', default: false },
+    },
+  });
+
+  const [command, ...extra] = positionals;
+  if (values.help) {
+    return { help: true };
+  }
+  if (!COMMANDS.includes(command) || extra.length) {
+    throw new Error(command ? `Unknown command: ${[command, ...extra].join(' ')}` : 'Missing command');
+  }
+
+  const filters = {};
+  const documentIds = list(values['document-id']);
+  if (documentIds.length) {
+    filters.documentId = documentIds;
+  }
+  for (const key of ['from', 'to']) {
+    if (values[key] !== undefined) {
+      filters[key] = values[key];
+    }
+  }
+
+  return {
+    command,
+    contentTypes: list(values['content-type']),
+    locales: list(values.locale),
+    sourceLocales: list(values['source-locale']),
+    filters,
+    concurrency: values.concurrency === undefined ? undefined : Number(values.concurrency),
+    dryRun: values['dry-run'],
+  };
+}
+
+/**
+ * Locale pairs to work on: every configured source → target of each content type,
+ * narrowed down by --content-type, --source-locale and --locale
+ */
+function findPairs(options) {
+  const locales = strapi.service('api::translate.locales');
+  const contentTypes = options.contentTypes.length
+    ? options.contentTypes
+    : strapi.service('api::translate.jobs').getContentTypes();
+
+  const pairs = [];
+  for (const contentType of contentTypes) {
+    if (!strapi.service('api::translate.schema').isLocalized(contentType)) {
+      throw new Error(`${contentType} is not a localized content type`);
+    }
+    for (const sourceLocale of locales.getSourceLocales(contentType)) {
+      if (options.sourceLocales.length && !options.sourceLocales.includes(sourceLocale)) {
+        continue;
+      }
+      for (const targetLocale of locales.getTargets(contentType, sourceLocale)) {
+        if (!options.locales.length || options.locales.includes(targetLocale)) {
+          pairs.push({ contentType, sourceLocale, targetLocale });
+        }
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Check one source localization and translate it when the command says so
+ * @returns {Promise<object>} { outcome: 'translated' | 'skipped' | 'failed', detail }
+ */
+async function processItem(options, pair, source) {
+  const { contentType, sourceLocale, targetLocale } = pair;
+
+  try {
+    const state = await strapi.service('api::translate.backfill').check(pair, source);
+
+    if (options.command === 'verify') {
+      return ACTIONABLE.translate.includes(state) ? { outcome: 'failed', detail: state } : { outcome: 'skipped', detail: state };
+    }
+    if (!ACTIONABLE[options.command].includes(state)) {
+      return { outcome: 'skipped', detail: state };
+    }
+
+    const result = await strapi.service('api::translate.jobs').translate(contentType, source.documentId, sourceLocale, targetLocale, {
+      trigger: 'bulk',
+      dryRun: options.dryRun,
+      force: options.command === 'retranslate',
+    });
+    const fields = options.dryRun
+      ? result.diff.filter((change) => ['added', 'changed', 'removed'].includes(change.status)).map((change) => change.field)
+      : result.written;
+
+    if (result.action === 'skipped') {
+      return { outcome: 'skipped', detail: `${state}, ${result.untouched.map(({ field, reason }) => `${field} ${reason}`).join(', ')}` };
+    }
+    return { outcome: 'translated', detail: `${state}, ${result.action}: ${fields.join(', ') || 'no text fields'}` };
+  } catch (error) {
+    return { outcome: 'failed', detail: error.message };
+  }
+}
+
+async function runPair(options, pair, totals) {
+  const backfill = strapi.service('api::translate.backfill');
+  const { data, error } = backfill.validate({ ...pair, filters: options.filters, concurrency: options.concurrency });
+  if (error) {
+    throw new Error(error);
+  }
+
+  const titleField = strapi.service('api::translate.schema').getTitleField(pair.contentType);
+  const symbols = { translated: options.dryRun ? '~' : '✓', skipped: '-', failed: '✗' };
+  console.log(`${pair.contentType}: ${pair.sourceLocale} → ${pair.targetLocale}`);
+
+  let cursor = 0;
+  let batch;
+  while ((batch = await backfill.nextBatch(data, cursor)).length) {
+    const results = await Promise.all(batch.map((source) => processItem(options, data, source)));
+
+    results.forEach(({ outcome, detail }, index) => {
+      const source = batch[index];
+      totals[outcome] += 1;
+      console.log(`  ${symbols[outcome]} ${source.documentId} ${source[titleField] ? `"${source[titleField]}" ` : ''}(${detail})`);
+    });
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+async function translateLocalizations(options) {
+  const pairs = findPairs(options);
+  const totals = { translated: 0, skipped: 0, failed: 0 };
+
+  if (!pairs.length) {
+    throw new Error('No locale pair matches these options (see `locales` in config/translate.js)');
+  }
+  if (options.dryRun && options.command !== 'verify') {
+    console.log('Dry run: nothing is written');
+  }
+
+  for (const pair of pairs) {
+    await runPair(options, pair, totals);
+  }
+
+  const labels = options.command === 'verify'
+    ? { skipped: 'ok', failed: 'missing or stale' }
+    : { translated: options.dryRun ? 'would translate' : 'translated', skipped: 'skipped', failed: 'failed' };
+  console.log(Object.entries(labels).map(([outcome, label]) => `${totals[outcome]} ${label}`).join(', '));
+
+  return totals;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  // Queued jobs are left to the server's worker, and so are running backfills
+  process.env.TRANSLATE_JOBS_ENABLED = 'false';
+
+  const { createStrapi, compileStrapi } = require('@strapi/strapi');
+
+  const appContext = await compileStrapi();
+  const app = await createStrapi(appContext).load();
+
+  app.log.level = 'error';
+
+  const totals = await translateLocalizations(options);
+  await app.destroy();
+
+  process.exit(totals.failed ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,5 +1,15 @@
+import React from 'react';
 import MobilePreviewButtons from './extensions/components/MobilePreviewButtons.jsx';
 
+// Plain element: this file is not compiled as JSX
+const TranslationIcon = () =>
+  React.createElement(
+    'svg',
+    { width: 16, height: 16, viewBox: '0 0 24 24', fill: 'none', stroke: 'currentColor', strokeWidth: 2 },
+    React.createElement('path', { d: 'M4 5h8M8 3v2M6 5c0 4 3 7 6 8M10 5c0 4-3 8-6 9' }),
+    React.createElement('path', { d: 'M13 21l4-10 4 10M14.5 17h5' })
+  );
+
 const config = {
   locales: [
     // 'ar',
@@ -31,6 +41,22 @@ const config = {
   ],
 };
 
+const register = (app) => {
+  app.addMenuLink({
+    to: 'translation-status',
+    icon: TranslationIcon,
+    intlLabel: {
+      id: 'translation-status.menu.label',
+      defaultMessage: 'Translation Status',
+    },
+    Component: async () => {
+      const { default: TranslationStatus } = await import('./extensions/pages/TranslationStatus.jsx');
+      return TranslationStatus;
+    },
+    permissions: [],
+  });
+};
+
 const bootstrap = (app) => {
   console.log('Strapi admin bootstrap:', app);
   
@@ -56,5 +82,6 @@ const bootstrap = (app) => {
 
 export default {
   config,
+  register,
   bootstrap,
 };
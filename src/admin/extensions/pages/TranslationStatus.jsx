@@ -0,0 +1,237 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useFetchClient } from '@strapi/strapi/admin';
+
+// 'api::article.article' → 'article'
+const typeName = (uid) => uid.split('.').pop();
+
+const STATE_COLORS = {
+  missing: '#8E8EA9',
+  'up-to-date': '#328048',
+  stale: '#D9822F',
+  queued: '#4945FF',
+  failed: '#D02B20',
+  manual: '#666687',
+};
+
+const PAGE_SIZE = 25;
+
+const rowKey = (row) => `${row.contentType}:${row.documentId}`;
+
+const StateBadge = ({ locale, info }) => {
+  const details = [
+    info.state,
+    info.locked && 'locked',
+    info.edited && 'edited',
+    info.review && info.review.replace('_', ' '),
+    ...(info.warnings || []).map(({ field, length, maxLength, action }) => `${field} ${action} (${length} → ${maxLength})`),
+    info.translatedAt && `translated ${new Date(info.translatedAt).toLocaleString()}`,
+    info.error,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <span
+      title={details}
+      style={{
+        display: 'inline-block',
+        padding: '2px 8px',
+        marginRight: '4px',
+        marginBottom: '4px',
+        borderRadius: '4px',
+        fontSize: '12px',
+        color: 'white',
+        backgroundColor: STATE_COLORS[info.state] || '#666687',
+      }}
+    >
+      {locale}: {info.state}{info.locked ? ' 🔒' : ''}{info.warnings?.length ? ' ⚠' : ''}
+    </span>
+  );
+};
+
+const TranslationStatus = () => {
+  const { get, post } = useFetchClient();
+  const [filters, setFilters] = useState({ contentType: '', state: '' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ results: [], pagination: { pageCount: 0, total: 0, hasMore: false }, states: [], contentTypes: [] });
+  const [selected, setSelected] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+      Object.entries(filters).forEach(([key, value]) => value && params.set(key, value));
+
+      const response = await get(`/translate/status?${params}`);
+      setData(response.data);
+    } catch (error) {
+      setMessage({ error: true, text: `Failed to load status: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  }, [get, filters, page]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const toggle = (row) => {
+    setSelected((current) => {
+      const next = { ...current };
+      if (next[rowKey(row)]) {
+        delete next[rowKey(row)];
+      } else {
+        next[rowKey(row)] = row;
+      }
+      return next;
+    });
+  };
+
+  const allSelected = data.results.length > 0 && data.results.every((row) => selected[rowKey(row)]);
+
+  const toggleAll = () => {
+    setSelected((current) => {
+      const next = { ...current };
+      data.results.forEach((row) => {
+        if (allSelected) {
+          delete next[rowKey(row)];
+        } else {
+          next[rowKey(row)] = row;
+        }
+      });
+      return next;
+    });
+  };
+
+  // Only the locales that are not up to date are queued again
+  const handleRetranslate = async () => {
+    const rows = Object.values(selected).map((row) => ({
+      contentType: row.contentType,
+      documentId: row.documentId,
+      locales: Object.keys(row.locales).filter((locale) => row.locales[locale].state !== 'up-to-date'),
+    })).filter((row) => row.locales.length);
+
+    if (!rows.length) {
+      setMessage({ error: false, text: 'Every selected locale is already up to date' });
+      return;
+    }
+
+    try {
+      const response = await post('/translate/status/retranslate', { rows });
+      setMessage({ error: false, text: `Queued ${response.data.queued} translation job(s)` });
+      setSelected({});
+      load();
+    } catch (error) {
+      setMessage({ error: true, text: `Failed to queue translations: ${error.message}` });
+    }
+  };
+
+  const updateFilter = (key) => (event) => {
+    setFilters((current) => ({ ...current, [key]: event.target.value }));
+    setPage(1);
+  };
+
+  const buttonStyle = {
+    padding: '8px 16px',
+    fontSize: '14px',
+    borderRadius: '4px',
+    border: 'none',
+    cursor: 'pointer',
+    color: 'white',
+    fontWeight: '500',
+    backgroundColor: '#4945FF',
+  };
+  const cellStyle = { padding: '8px', borderBottom: '1px solid #EAEAEF', textAlign: 'left', verticalAlign: 'top' };
+  const selectedCount = Object.keys(selected).length;
+
+  return (
+    <div style={{ padding: '40px 56px' }}>
+      <h1 style={{ fontSize: '32px', fontWeight: '600', marginBottom: '8px' }}>Translation Status</h1>
+      <p style={{ color: '#666687', marginBottom: '24px' }}>
+        {data.pagination.total !== null && `${data.pagination.total} document(s). `}Hover a locale for details.
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '16px', alignItems: 'center' }}>
+        <select value={filters.contentType} onChange={updateFilter('contentType')} style={{ padding: '8px' }}>
+          <option value="">All content types</option>
+          {data.contentTypes.map((uid) => (
+            <option key={uid} value={uid}>{typeName(uid)}</option>
+          ))}
+        </select>
+        <select value={filters.state} onChange={updateFilter('state')} style={{ padding: '8px' }}>
+          <option value="">All states</option>
+          {data.states.map((state) => (
+            <option key={state} value={state}>{state}</option>
+          ))}
+        </select>
+        <button onClick={load} disabled={loading} style={{ ...buttonStyle, backgroundColor: '#7B79FF' }}>
+          {loading ? 'Loading…' : 'Refresh'}
+        </button>
+        <button
+          onClick={handleRetranslate}
+          disabled={!selectedCount}
+          style={{ ...buttonStyle, opacity: selectedCount ? 1 : 0.5, cursor: selectedCount ? 'pointer' : 'not-allowed' }}
+        >
+          Re-run translation ({selectedCount})
+        </button>
+      </div>
+
+      {message && (
+        <p style={{ marginBottom: '16px', color: message.error ? '#D02B20' : '#328048' }}>{message.text}</p>
+      )}
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', backgroundColor: 'white' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>
+              <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+            </th>
+            <th style={cellStyle}>Title</th>
+            <th style={cellStyle}>Type</th>
+            <th style={cellStyle}>Source</th>
+            <th style={cellStyle}>Locales</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.results.map((row) => (
+            <tr key={rowKey(row)}>
+              <td style={cellStyle}>
+                <input type="checkbox" checked={!!selected[rowKey(row)]} onChange={() => toggle(row)} />
+              </td>
+              <td style={cellStyle}>
+                {row.title || '(untitled)'}
+                <div style={{ fontSize: '12px', color: '#8E8EA9' }}>{row.documentId}</div>
+              </td>
+              <td style={cellStyle}>{typeName(row.contentType)}</td>
+              <td style={cellStyle}>{row.sourceLocale}</td>
+              <td style={cellStyle}>
+                {Object.entries(row.locales).map(([locale, info]) => (
+                  <StateBadge key={locale} locale={locale} info={info} />
+                ))}
+              </td>
+            </tr>
+          ))}
+          {!data.results.length && (
+            <tr>
+              <td colSpan={5} style={{ ...cellStyle, textAlign: 'center', color: '#8E8EA9' }}>
+                {loading ? 'Loading…' : 'No documents'}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <div style={{ display: 'flex', gap: '8px', marginTop: '16px', alignItems: 'center' }}>
+        <button onClick={() => setPage(page - 1)} disabled={page <= 1} style={{ padding: '4px 12px' }}>
+          Previous
+        </button>
+        <span>Page {page}{data.pagination.pageCount !== null && ` of ${Math.max(data.pagination.pageCount, 1)}`}</span>
+        <button onClick={() => setPage(page + 1)} disabled={!data.pagination.hasMore} style={{ padding: '4px 12px' }}>
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TranslationStatus;
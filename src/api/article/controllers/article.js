@@ -6,4 +6,18 @@
 
 const { createCoreController } = require('@strapi/strapi').factories;
 
-module.exports = createCoreController('api::article.article');
+module.exports = createCoreController('api::article.article', ({ strapi }) => ({
+  // Category and author in the article's locale (see api::translate.relations), media
+  // alternative texts and captions in the requested locale (see api::translate.media)
+  async find(ctx) {
+    const response = await super.find(ctx);
+    await strapi.service('api::translate.relations').localize('api::article.article', response, ctx.query.locale);
+    return strapi.service('api::translate.media').localize(response, ctx.query.locale);
+  },
+
+  async findOne(ctx) {
+    const response = await super.findOne(ctx);
+    await strapi.service('api::translate.relations').localize('api::article.article', response, ctx.query.locale);
+    return strapi.service('api::translate.media').localize(response, ctx.query.locale);
+  },
+}));
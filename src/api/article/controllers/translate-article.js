@@ -9,11 +9,14 @@ module.exports = {
   /**
    * Trigger translation for a specific article
    * POST /api/articles/:id/translate
+   * With ?dryRun=true nothing is written: each target lists the proposed fields
+   * and blocks and a diff against the existing localization.
    */
   async translateArticle(ctx) {
     const { id } = ctx.params;
+    const dryRun = ctx.query.dryRun === 'true';
     
-    strapi.log.info(`[API] translateArticle called for article ID: ${id}`);
+    strapi.log.info(`[API] translateArticle called for article ID: ${id}${dryRun ? ' (dry run)' : ''}`);
     
     if (!id) {
       return ctx.badRequest('Article ID is required');
@@ -23,6 +26,7 @@ module.exports = {
       // Get the article from database
       const article = await strapi.db.query('api::article.article').findOne({
         where: { id: parseInt(id) },
+        populate: strapi.service('api::translate.schema').getPopulate('api::article.article', { relations: false }),
       });
       
       if (!article) {
@@ -42,142 +46,67 @@ module.exports = {
         return ctx.badRequest('Article has no documentId');
       }
       
-      // Determine target locale
-      let targetLocale = null;
-      if (sourceLocale === 'en') {
-        targetLocale = 'zh-Hant-HK';
-      } else if (sourceLocale.startsWith('zh')) {
-        targetLocale = 'en';
-      } else {
-        return ctx.badRequest(`Unsupported locale: ${sourceLocale}`);
+      // Text filed under another locale than the one it is written in is not translated from it
+      const detection = strapi.service('api::translate.detect').checkEntry('api::article.article', article);
+      if (detection.mismatch) {
+        return ctx.badRequest(`Article reads as ${detection.detected.locale}, not ${sourceLocale}`, { detection });
       }
       
-      strapi.log.info(`[API] Translating from ${sourceLocale} to ${targetLocale}`);
-      
-      // Check DEEPL_API_KEY
-      if (!process.env.DEEPL_API_KEY) {
-        return ctx.badRequest('DEEPL_API_KEY not configured');
+      // Target locales come from the locale matrix in config/translate.js
+      const targetLocales = strapi.service('api::translate.locales').getTargets('api::article.article', sourceLocale);
+      if (!targetLocales.length) {
+        return ctx.badRequest(`No target locales configured for ${sourceLocale}`);
       }
       
+      strapi.log.info(`[API] Translating from ${sourceLocale} to ${targetLocales.join(', ')}`);
+      
       // Get translate service
       const translateService = strapi.service('api::translate.translate');
       if (!translateService) {
         return ctx.badRequest('Translate service not found');
       }
       
-      // Get full article with relations using documents API (works better with i18n in Strapi v5)
-      strapi.log.info(`[API] Fetching full article with documentId: ${documentId}, locale: ${sourceLocale}`);
-      
-      let fullArticle;
-      try {
-        // Try using documents API first (Strapi v5 preferred method)
-        fullArticle = await strapi.documents('api::article.article').findOne({
-          documentId: documentId,
-          locale: sourceLocale,
-          populate: ['author', 'category', 'cover', 'blocks'],
-        });
-      } catch (docError) {
-        strapi.log.warn(`[API] Documents API failed: ${docError.message}, trying db.query`);
-        // Fallback to db.query with manual populate
-        fullArticle = await strapi.db.query('api::article.article').findOne({
-          where: { id: article.id },
-          populate: ['author', 'category', 'cover', 'blocks'],
-        });
-      }
-      
-      if (!fullArticle) {
-        strapi.log.error(`[API] Could not fetch full article data`);
-        return ctx.badRequest('Could not fetch article data for translation');
+      // Check the provider of every locale pair has its credentials
+      for (const targetLocale of targetLocales) {
+        const provider = translateService.getProvider(sourceLocale, targetLocale);
+        if (!provider.isConfigured()) {
+          return ctx.badRequest(`Translation provider "${provider.name}" not configured`);
+        }
       }
       
-      // Use data from the basic query if fullArticle doesn't have title
-      if (!fullArticle.title) {
-        fullArticle.title = article.title;
-        fullArticle.description = article.description;
+      // Translate synchronously (lifecycles queue jobs instead), one localization per target
+      const jobsService = strapi.service('api::translate.jobs');
+      const targets = [];
+      for (const targetLocale of targetLocales) {
+        const { title, ...resultArticle } = await jobsService.translate('api::article.article', documentId, sourceLocale, targetLocale, { trigger: 'api', dryRun });
+        targets.push({ ...resultArticle, translatedTitle: title });
       }
       
-      strapi.log.info(`[API] Translating article: "${fullArticle.title}"`);
-      
-      // Translate
-      const translatedData = await translateService.translateArticle(fullArticle, sourceLocale, targetLocale);
-      
-      // Truncate description to 80 characters (Strapi schema limit)
-      if (translatedData.description && translatedData.description.length > 80) {
-        translatedData.description = translatedData.description.substring(0, 77) + '...';
-        strapi.log.info(`[API] Description truncated to 80 chars`);
-      }
-      
-      strapi.log.info(`[API] Translation completed: "${translatedData.title}"`);
-      
-      // Check if target locale already exists
-      const existingTarget = await strapi.db.query('api::article.article').findOne({
-        where: { documentId: documentId, locale: targetLocale },
-      });
-      
-      let resultArticle;
-      
-      if (existingTarget) {
-        // Update existing
-        strapi.log.info(`[API] Updating existing ${targetLocale} article (ID: ${existingTarget.id})`);
+      // Also update the source article's slug (only when needed: the write queues translation jobs)
+      if (!dryRun && article.slug !== String(article.id)) {
         await strapi.db.query('api::article.article').update({
-          where: { id: existingTarget.id },
-          data: {
-            title: translatedData.title,
-            description: translatedData.description,
-            cover_text: translatedData.cover_text,
-            slug: String(existingTarget.id),
-          },
-        });
-        resultArticle = { id: existingTarget.id, action: 'updated' };
-      } else {
-        // Create new localization
-        strapi.log.info(`[API] Creating new ${targetLocale} article`);
-        
-        const newArticle = await strapi.documents('api::article.article').update({
-          documentId: documentId,
-          locale: targetLocale,
-          data: {
-            title: translatedData.title,
-            description: translatedData.description || '',
-            cover_text: translatedData.cover_text || '',
-            author: translatedData.author,
-            category: translatedData.category,
-            cover: translatedData.cover,
-            blocks: translatedData.blocks || [],
-            publishedAt: null,
-          },
+          where: { id: article.id },
+          data: { slug: String(article.id) },
         });
-        
-        // Update slug
-        if (newArticle?.id) {
-          await strapi.db.query('api::article.article').update({
-            where: { id: newArticle.id },
-            data: { slug: String(newArticle.id) },
-          });
-        }
-        
-        resultArticle = { id: newArticle?.id, action: 'created' };
       }
       
-      // Also update the source article's slug
-      await strapi.db.query('api::article.article').update({
-        where: { id: article.id },
-        data: { slug: String(article.id) },
-      });
-      
       strapi.log.info(`[API] Translation completed successfully`);
       
       return {
         success: true,
+        ...(dryRun ? { dryRun } : {}),
         source: {
           id: article.id,
           locale: sourceLocale,
         },
+        // First target, kept for callers written for a single target locale
         target: {
-          ...resultArticle,
-          locale: targetLocale,
+          id: targets[0].id,
+          action: targets[0].action,
+          locale: targets[0].locale,
         },
-        translatedTitle: translatedData.title,
+        translatedTitle: targets[0].translatedTitle,
+        targets,
       };
       
     } catch (error) {
@@ -2,8 +2,9 @@
 
 /**
  * Custom route to trigger article translation
- * Note: This route bypasses authentication for n8n integration
- * For production, consider using API tokens instead
+ * Called by n8n with a signed request, or by any client with a scoped API token
+ * (see the translation-access policy); `auth: false` lets signed requests
+ * through to the policy.
  */
 
 module.exports = {
@@ -13,11 +14,12 @@ module.exports = {
       path: '/articles/:id/translate',
       handler: 'translate-article.translateArticle',
       config: {
-        auth: false,  // Allow public access (no authentication required)
-        policies: [],
+        auth: false,
+        policies: [
+          { name: 'api::translate.translation-access', config: { scope: 'api::article.translate-article.translateArticle' } },
+        ],
         middlewares: [],
       },
     },
   ],
 };
-
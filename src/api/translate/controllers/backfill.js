@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * translation backfill controller
+ */
+
+module.exports = ({ strapi }) => ({
+  /**
+   * GET /translate/backfills?status=running&contentType=api::article.article&targetLocale=ja&page=1&pageSize=25
+   */
+  async find(ctx) {
+    try {
+      const { page, pageSize, ...filters } = ctx.query;
+
+      ctx.body = await strapi.service('api::translate.backfill').list(filters, {
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(pageSize, 10) || 25, 1), 100),
+      });
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Progress of a backfill, with the errors of the documents that failed
+   * GET /translate/backfills/:id
+   */
+  async findOne(ctx) {
+    try {
+      const backfill = await strapi.service('api::translate.backfill').findOne(ctx.params.id);
+
+      if (!backfill) {
+        return ctx.notFound('Backfill not found');
+      }
+
+      ctx.body = { success: true, data: backfill };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Translate the documents missing or stale in a target locale
+   * POST /translate/backfills
+   * Body: { contentType, targetLocale, sourceLocale?, filters?: { category, author, from, to }, concurrency? }
+   */
+  async create(ctx) {
+    try {
+      const backfillService = strapi.service('api::translate.backfill');
+      const { data, error } = backfillService.validate(ctx.request.body);
+
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const provider = strapi.service('api::translate.translate').getProvider(data.sourceLocale, data.targetLocale);
+      if (!provider.isConfigured()) {
+        return ctx.badRequest(`Translation provider "${provider.name}" is not configured`);
+      }
+
+      ctx.body = { success: true, data: await backfillService.create(data) };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Stop a backfill after its current batch
+   * POST /translate/backfills/:id/pause
+   */
+  async pause(ctx) {
+    try {
+      const backfill = await strapi.service('api::translate.backfill').pause(ctx.params.id);
+
+      if (!backfill) {
+        return ctx.notFound('Backfill not found');
+      }
+      if (backfill.status !== 'paused') {
+        return ctx.badRequest(`Backfill is ${backfill.status}`);
+      }
+
+      ctx.body = { success: true, data: backfill };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Continue a paused or failed backfill where it stopped
+   * POST /translate/backfills/:id/resume
+   */
+  async resume(ctx) {
+    try {
+      const backfill = await strapi.service('api::translate.backfill').resume(ctx.params.id);
+
+      if (!backfill) {
+        return ctx.notFound('Backfill not found');
+      }
+      if (backfill.status !== 'running') {
+        return ctx.badRequest(`Backfill is ${backfill.status}`);
+      }
+
+      ctx.body = { success: true, data: backfill };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+});
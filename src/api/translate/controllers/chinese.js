@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * chinese conversion controller
+ */
+
+const VARIANTS = ['hk', 'tw', 'hans'];
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Phrases of a variant, bundled and added
+   * GET /translate/chinese-phrases?variant=hk&origin=custom&search=軟件&page=1&pageSize=25
+   */
+  async find(ctx) {
+    try {
+      const { page, pageSize, variant, origin, search } = ctx.query;
+
+      if (!VARIANTS.includes(variant)) {
+        return ctx.badRequest(`variant must be one of ${VARIANTS.join(', ')}`);
+      }
+      if (origin !== undefined && !['bundled', 'custom'].includes(origin)) {
+        return ctx.badRequest('origin must be "bundled" or "custom"');
+      }
+
+      ctx.body = await strapi.service('api::translate.chinese').listPhrases({ variant, origin, search }, {
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(pageSize, 10) || 25, 1), 100),
+      });
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Add a phrase, or replace a bundled one
+   * POST /translate/chinese-phrases
+   * Body: { variant: 'hk' | 'tw' | 'hans', source, target }
+   */
+  async create(ctx) {
+    try {
+      const chinese = strapi.service('api::translate.chinese');
+      const { data, error } = chinese.validate(ctx.request.body);
+
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const existing = await chinese.findBySource(data.variant, data.source);
+      if (existing) {
+        return ctx.badRequest(`A ${data.variant} phrase for "${data.source}" already exists (ID: ${existing.id})`);
+      }
+
+      ctx.body = { success: true, data: await chinese.create(data) };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * PUT /translate/chinese-phrases/:id
+   */
+  async update(ctx) {
+    try {
+      const chinese = strapi.service('api::translate.chinese');
+      const { data, error } = chinese.validate(ctx.request.body, true);
+
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const current = await chinese.findOne(ctx.params.id);
+      if (!current) {
+        return ctx.notFound('Phrase not found');
+      }
+
+      const existing = await chinese.findBySource(data.variant || current.variant, data.source || current.source);
+      if (existing && existing.id !== current.id) {
+        return ctx.badRequest(`A ${existing.variant} phrase for "${existing.source}" already exists (ID: ${existing.id})`);
+      }
+
+      ctx.body = { success: true, data: await chinese.update(current.id, data) };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Remove an added phrase; a bundled phrase it replaced applies again
+   * DELETE /translate/chinese-phrases/:id
+   */
+  async delete(ctx) {
+    try {
+      const phrase = await strapi.service('api::translate.chinese').delete(ctx.params.id);
+
+      if (!phrase) {
+        return ctx.notFound('Phrase not found');
+      }
+
+      ctx.body = { success: true, data: phrase };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Preview the conversion of a text into the Chinese variant of a locale
+   * POST /translate/chinese/convert
+   * Body: { text, locale }
+   */
+  async convert(ctx) {
+    try {
+      const { text, locale } = ctx.request.body || {};
+      const chinese = strapi.service('api::translate.chinese');
+
+      if (typeof text !== 'string' || !text) {
+        return ctx.badRequest('text must be a non-empty string');
+      }
+      if (typeof locale !== 'string' || !chinese.getVariant(locale)) {
+        return ctx.badRequest('locale must be a Chinese locale with a region or script (e.g. zh-Hant-HK, zh-TW, zh-Hans)');
+      }
+
+      ctx.body = {
+        success: true,
+        data: { locale, variant: chinese.getVariant(locale), text, converted: await chinese.convert(text, locale) },
+      };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * glossary controller
+ */
+
+module.exports = ({ strapi }) => ({
+  /**
+   * GET /translate/glossaries
+   */
+  async find(ctx) {
+    try {
+      ctx.body = {
+        success: true,
+        data: await strapi.service('api::translate.glossary').find(),
+      };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * GET /translate/glossaries/:id
+   */
+  async findOne(ctx) {
+    try {
+      const glossary = await strapi.service('api::translate.glossary').findOne(ctx.params.id);
+
+      if (!glossary) {
+        return ctx.notFound('Glossary not found');
+      }
+
+      ctx.body = { success: true, data: glossary };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * POST /translate/glossaries
+   * Body: { name, sourceLocale, targetLocale, entries: [{ source, target }], doNotTranslate: [term] }
+   */
+  async create(ctx) {
+    try {
+      const glossaryService = strapi.service('api::translate.glossary');
+      const { data, error } = glossaryService.validate(ctx.request.body);
+
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const existing = await glossaryService.findByPair(data.sourceLocale, data.targetLocale);
+      if (existing) {
+        return ctx.badRequest(`A glossary for ${data.sourceLocale} → ${data.targetLocale} already exists (ID: ${existing.id})`);
+      }
+
+      ctx.body = { success: true, data: await glossaryService.create(data) };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * PUT /translate/glossaries/:id
+   */
+  async update(ctx) {
+    try {
+      const glossaryService = strapi.service('api::translate.glossary');
+      const { data, error } = glossaryService.validate(ctx.request.body, true);
+
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const current = await glossaryService.findOne(ctx.params.id);
+      if (!current) {
+        return ctx.notFound('Glossary not found');
+      }
+
+      const sourceLocale = data.sourceLocale || current.sourceLocale;
+      const targetLocale = data.targetLocale || current.targetLocale;
+      const existing = await glossaryService.findByPair(sourceLocale, targetLocale);
+      if (existing && existing.id !== current.id) {
+        return ctx.badRequest(`A glossary for ${sourceLocale} → ${targetLocale} already exists (ID: ${existing.id})`);
+      }
+
+      ctx.body = { success: true, data: await glossaryService.update(current.id, data) };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * DELETE /translate/glossaries/:id
+   */
+  async delete(ctx) {
+    try {
+      const glossary = await strapi.service('api::translate.glossary').delete(ctx.params.id);
+
+      if (!glossary) {
+        return ctx.notFound('Glossary not found');
+      }
+
+      ctx.body = { success: true, data: glossary };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Re-push a glossary to the provider (e.g. after switching the pair to DeepL)
+   * POST /translate/glossaries/:id/sync
+   */
+  async sync(ctx) {
+    try {
+      const glossaryService = strapi.service('api::translate.glossary');
+      const glossary = await glossaryService.findOne(ctx.params.id);
+
+      if (!glossary) {
+        return ctx.notFound('Glossary not found');
+      }
+
+      ctx.body = { success: true, data: await glossaryService.sync(glossary) };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * translation jobs controller
+ */
+
+module.exports = ({ strapi }) => ({
+  /**
+   * List queued, running and finished jobs with the number of jobs per status
+   * GET /translate/jobs?status=failed&contentType=api::article.article&documentId=...&page=1&pageSize=25
+   */
+  async find(ctx) {
+    try {
+      const { page, pageSize, ...filters } = ctx.query;
+
+      ctx.body = await strapi.service('api::translate.jobs').list(filters, {
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(pageSize, 10) || 25, 1), 100),
+      });
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * GET /translate/jobs/:id
+   */
+  async findOne(ctx) {
+    try {
+      const job = await strapi.service('api::translate.jobs').findOne(ctx.params.id);
+
+      if (!job) {
+        return ctx.notFound('Translation job not found');
+      }
+
+      ctx.body = { success: true, data: job };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Queue a job again with a fresh set of attempts
+   * POST /translate/jobs/:id/retry
+   */
+  async retry(ctx) {
+    try {
+      const job = await strapi.service('api::translate.jobs').retry(ctx.params.id);
+
+      if (!job) {
+        return ctx.notFound('Translation job not found');
+      }
+      if (job.status === 'running') {
+        return ctx.badRequest('Translation job is running');
+      }
+
+      ctx.body = { success: true, data: job };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * localization translation state controller
+ */
+
+async function setLocked(ctx, locked) {
+  const { contentType, documentId, locale } = ctx.request.body || {};
+
+  for (const [key, value] of Object.entries({ contentType, documentId, locale })) {
+    if (typeof value !== 'string' || !value) {
+      return ctx.badRequest(`Missing required field: ${key}`);
+    }
+  }
+  if (!strapi.contentTypes[contentType]) {
+    return ctx.badRequest(`Unknown content type: ${contentType}`);
+  }
+
+  const marker = await strapi.service('api::translate.provenance').setLocked(contentType, documentId, locale, locked);
+  ctx.body = { success: true, data: marker };
+}
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Translation state (machine, edited, locked) of translated localizations
+   * GET /translate/localizations?contentType=api::article.article&documentId=...&targetLocale=zh-Hant-HK&state=edited
+   */
+  async find(ctx) {
+    try {
+      ctx.body = {
+        success: true,
+        data: await strapi.service('api::translate.provenance').list(ctx.query),
+      };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Never let automatic translation write a localization
+   * POST /translate/localizations/lock { contentType, documentId, locale }
+   */
+  async lock(ctx) {
+    try {
+      await setLocked(ctx, true);
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Let automatic translation write the unedited fields of a localization again
+   * POST /translate/localizations/unlock { contentType, documentId, locale }
+   */
+  async unlock(ctx) {
+    try {
+      await setLocked(ctx, false);
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * translated media text controller
+ */
+
+module.exports = ({ strapi }) => ({
+  /**
+   * List translated alternative texts and captions
+   * GET /translate/media-texts?fileId=12&targetLocale=zh-Hant-HK&edited=true
+   */
+  async find(ctx) {
+    try {
+      ctx.body = {
+        success: true,
+        data: await strapi.service('api::translate.media').list(ctx.query),
+      };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Correct the translated texts of a file; they are not translated again
+   * PUT /translate/media-texts/:id { alternativeText?, caption? }
+   */
+  async update(ctx) {
+    try {
+      const { alternativeText, caption } = ctx.request.body || {};
+
+      for (const [key, value] of Object.entries({ alternativeText, caption })) {
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+          return ctx.badRequest(`${key} must be a string`);
+        }
+      }
+      if (alternativeText === undefined && caption === undefined) {
+        return ctx.badRequest('Missing required field: alternativeText or caption');
+      }
+
+      const entry = await strapi.service('api::translate.media').update(ctx.params.id, { alternativeText, caption });
+
+      if (!entry) {
+        return ctx.notFound('Media text not found');
+      }
+
+      ctx.body = { success: true, data: entry };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * translation memory controller
+ */
+
+module.exports = ({ strapi }) => ({
+  /**
+   * List cached translations
+   * GET /translate/memory?sourceLocale=en&targetLocale=zh-Hant-HK&provider=deepl&page=1&pageSize=25
+   */
+  async find(ctx) {
+    try {
+      const { page, pageSize, ...filters } = ctx.query;
+      const memoryService = strapi.service('api::translate.memory');
+
+      ctx.body = await memoryService.list(filters, {
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(pageSize, 10) || 25, 1), 100),
+      });
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Hit/miss statistics
+   * GET /translate/memory/stats
+   */
+  async stats(ctx) {
+    try {
+      ctx.body = {
+        success: true,
+        data: await strapi.service('api::translate.memory').stats(),
+      };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Correct a cached translation
+   * PUT /translate/memory/:id
+   */
+  async update(ctx) {
+    try {
+      const { translatedText } = ctx.request.body;
+
+      if (typeof translatedText !== 'string') {
+        return ctx.badRequest('Missing required field: translatedText');
+      }
+
+      const entry = await strapi.service('api::translate.memory').update(ctx.params.id, translatedText);
+
+      if (!entry) {
+        return ctx.notFound('Translation memory entry not found');
+      }
+
+      ctx.body = { success: true, data: entry };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Delete one cached translation
+   * DELETE /translate/memory/:id
+   */
+  async delete(ctx) {
+    try {
+      const entry = await strapi.service('api::translate.memory').remove(ctx.params.id);
+
+      if (!entry) {
+        return ctx.notFound('Translation memory entry not found');
+      }
+
+      ctx.body = { success: true, data: entry };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Purge cached translations matching the query filters (all when no filter is given)
+   * DELETE /translate/memory?targetLocale=zh-Hant-HK&olderThan=2024-01-01
+   */
+  async purge(ctx) {
+    try {
+      const deleted = await strapi.service('api::translate.memory').purge(ctx.query);
+
+      ctx.body = { success: true, data: { deleted } };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * translation review controller
+ */
+
+const decide = (action) => async (ctx) => {
+  try {
+    const { contentType, documentId, locale, comment } = ctx.request.body || {};
+
+    for (const [key, value] of Object.entries({ contentType, documentId, locale })) {
+      if (typeof value !== 'string' || !value) {
+        return ctx.badRequest(`Missing required field: ${key}`);
+      }
+    }
+    if (!strapi.contentTypes[contentType]) {
+      return ctx.badRequest(`Unknown content type: ${contentType}`);
+    }
+    if (action === 'reject' && (typeof comment !== 'string' || !comment.trim())) {
+      return ctx.badRequest('A comment is required to reject a translation');
+    }
+
+    const reviewer = ctx.state.user?.email;
+    const marker = await strapi.service('api::translate.review')[action](contentType, documentId, locale, { comment, reviewer });
+
+    if (!marker) {
+      return ctx.notFound(`No ${locale} localization of ${documentId}`);
+    }
+
+    ctx.body = { success: true, data: marker };
+  } catch (error) {
+    ctx.throw(500, error.message);
+  }
+};
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Translated localizations by review state (needs_review unless given)
+   * GET /translate/reviews?reviewStatus=rejected&contentType=api::article.article&targetLocale=zh-Hant-HK&page=1&pageSize=25
+   */
+  async find(ctx) {
+    try {
+      const { page, pageSize, ...filters } = ctx.query;
+
+      ctx.body = await strapi.service('api::translate.review').list(filters, {
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(pageSize, 10) || 25, 1), 100),
+      });
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Approve a localization and publish it
+   * POST /translate/reviews/approve { contentType, documentId, locale, comment? }
+   */
+  approve: decide('approve'),
+
+  /**
+   * Reject a localization; it stays a draft
+   * POST /translate/reviews/reject { contentType, documentId, locale, comment }
+   */
+  reject: decide('reject'),
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * translation status controller
+ */
+
+module.exports = ({ strapi }) => ({
+  /**
+   * State of every target locale of every auto-translated document
+   * GET /translate/status?contentType=api::article.article&state=stale&page=1&pageSize=25
+   */
+  async find(ctx) {
+    try {
+      const { page, pageSize, ...filters } = ctx.query;
+
+      ctx.body = await strapi.service('api::translate.status').list(filters, {
+        page: Math.max(parseInt(page, 10) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(pageSize, 10) || 25, 1), 100),
+      });
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+
+  /**
+   * Queue translation again for selected documents, optionally limited to some locales
+   * POST /translate/status/retranslate
+   * Body: { rows: [{ contentType, documentId, locales?: string[] }] }
+   */
+  async retranslate(ctx) {
+    try {
+      const { rows } = ctx.request.body || {};
+
+      if (!Array.isArray(rows) || !rows.length) {
+        return ctx.badRequest('rows must be a non-empty array');
+      }
+
+      const contentTypes = strapi.service('api::translate.jobs').getContentTypes();
+      const invalid = rows.find((row) => !row?.documentId || !contentTypes.includes(row.contentType) ||
+        (row.locales !== undefined && !Array.isArray(row.locales)));
+      if (invalid) {
+        return ctx.badRequest(`Each row needs a documentId, a contentType among ${contentTypes.join(', ')} and optional locales array`);
+      }
+
+      const jobs = await strapi.service('api::translate.status').retranslate(rows);
+
+      ctx.body = { success: true, queued: jobs.length, data: jobs };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+});
@@ -7,17 +7,28 @@
 module.exports = ({ strapi }) => ({
   /**
    * Translate text endpoint
+   * POST /translate/text { text, sourceLang?, targetLang }
+   * Without sourceLang the text is translated from the language it is detected in.
    */
   async translateText(ctx) {
     try {
-      const { text, sourceLang, targetLang } = ctx.request.body;
+      const { text, targetLang } = ctx.request.body;
+      let { sourceLang } = ctx.request.body;
 
-      if (!text || !sourceLang || !targetLang) {
-        return ctx.badRequest('Missing required fields: text, sourceLang, targetLang');
+      if (!text || !targetLang) {
+        return ctx.badRequest('Missing required fields: text, targetLang');
+      }
+
+      const detection = strapi.service('api::translate.detect').check(text, sourceLang);
+      if (!sourceLang) {
+        sourceLang = detection.locale || detection.detected.locale;
+        if (!sourceLang) {
+          return ctx.badRequest('Missing sourceLang, and the language of the text could not be detected');
+        }
       }
 
       const translateService = strapi.service('api::translate.translate');
-      const translatedText = await translateService.translateText(text, sourceLang, targetLang);
+      const translatedText = await translateService.translateText(text, sourceLang, targetLang, { trigger: 'api' });
 
       ctx.body = {
         success: true,
@@ -26,6 +37,7 @@ module.exports = ({ strapi }) => ({
           translated: translatedText,
           sourceLang,
           targetLang,
+          detection,
         },
       };
     } catch (error) {
@@ -34,46 +46,101 @@ module.exports = ({ strapi }) => ({
   },
 
   /**
-   * Translate content entry endpoint
+   * Translate an entry of any localized content type, reading its schema
+   * POST /translate/entry { contentType, documentId | entryId, sourceLocale, targetLocale, fields?, save?, dryRun? }
+   * Without `save` the translated fields are returned; with `save: true` the
+   * target localization is created or updated. `dryRun: true` (or ?dryRun=true)
+   * returns what saving would write, with a diff against the target localization.
    */
   async translateEntry(ctx) {
     try {
-      const { contentType, entryId, sourceLocale, targetLocale, fields } = ctx.request.body;
+      const { contentType, entryId, sourceLocale, targetLocale, fields, save } = ctx.request.body || {};
+      const dryRun = ctx.request.body?.dryRun === true || ctx.query.dryRun === 'true';
+      let { documentId } = ctx.request.body || {};
+
+      if (!contentType || !(documentId || entryId) || !sourceLocale || !targetLocale) {
+        return ctx.badRequest('Missing required fields: contentType, documentId (or entryId), sourceLocale, targetLocale');
+      }
 
-      if (!contentType || !entryId || !sourceLocale || !targetLocale) {
-        return ctx.badRequest('Missing required fields: contentType, entryId, sourceLocale, targetLocale');
+      const schema = strapi.service('api::translate.schema');
+      if (!schema.isLocalized(contentType)) {
+        return ctx.badRequest(`${contentType} is not a localized content type`);
+      }
+      if (fields !== undefined && !Array.isArray(fields)) {
+        return ctx.badRequest('fields must be an array');
+      }
+
+      if (!documentId) {
+        const entry = await strapi.db.query(contentType).findOne({ where: { id: entryId } });
+        documentId = entry?.documentId;
       }
 
-      // Get the entry from Strapi
-      // contentType should be in format 'api::content-type-name.content-type-name'
-      const entry = await strapi.entityService.findOne(contentType, entryId, {
+      const source = documentId && await strapi.documents(contentType).findOne({
+        documentId,
         locale: sourceLocale,
-        populate: '*',
+        populate: schema.getPopulate(contentType),
       });
 
-      if (!entry) {
+      if (!source) {
         return ctx.notFound('Entry not found');
       }
 
-      const translateService = strapi.service('api::translate.translate');
-      const fieldsToTranslate = fields || Object.keys(entry).filter(key => 
-        typeof entry[key] === 'string' && key !== 'id' && key !== 'createdAt' && key !== 'updatedAt'
-      );
+      if (save || dryRun) {
+        const result = await strapi.service('api::translate.jobs').translate(contentType, documentId, sourceLocale, targetLocale, { trigger: 'api', dryRun });
+        ctx.body = { success: true, data: result };
+        return;
+      }
 
-      const translatedData = await translateService.translateEntry(
-        entry,
+      const selected = fields
+        ? Object.fromEntries(fields.filter((field) => field in source).map((field) => [field, source[field]]))
+        : source;
+      const translatedData = await strapi.service('api::translate.translate').translateEntry(
+        contentType,
+        selected,
         sourceLocale,
         targetLocale,
-        fieldsToTranslate
+        { trigger: 'api' }
       );
+      const { data, warnings } = await strapi.service('api::translate.length').enforce(contentType, translatedData, {
+        source: selected,
+        sourceLocale,
+        targetLocale,
+        trigger: 'api',
+      });
 
       ctx.body = {
         success: true,
-        data: translatedData,
+        data,
+        warnings,
       };
     } catch (error) {
       ctx.throw(500, error.message);
     }
   },
-});
 
+  /**
+   * Detect the language of a text and check it against the locale it is declared in
+   * POST /translate/detect { text, locale?, contentType? }
+   * `contentType` looks the detected language up among the locales of its locale
+   * matrix (the default matrix without one).
+   */
+  async detect(ctx) {
+    try {
+      const { text, locale, contentType } = ctx.request.body || {};
+
+      if (typeof text !== 'string' || !text.trim()) {
+        return ctx.badRequest('Missing required field: text');
+      }
+      if (contentType && !strapi.service('api::translate.schema').isLocalized(contentType)) {
+        return ctx.badRequest(`${contentType} is not a localized content type`);
+      }
+
+      ctx.body = {
+        success: true,
+        data: strapi.service('api::translate.detect').check(text, locale, { contentType }),
+      };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * translation usage controller
+ */
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Characters sent to providers per day or month, with the monthly budgets
+   * GET /translate/usage?period=month&from=2026-01-01&to=2026-06-30&provider=deepl&contentType=api::article.article&trigger=lifecycle
+   */
+  async find(ctx) {
+    try {
+      const { period = 'day', from, to, ...filters } = ctx.query;
+
+      if (!['day', 'month'].includes(period)) {
+        return ctx.badRequest('period must be "day" or "month"');
+      }
+      for (const [key, value] of Object.entries({ from, to })) {
+        if (value !== undefined && !DAY.test(value)) {
+          return ctx.badRequest(`${key} must be a date (YYYY-MM-DD)`);
+        }
+      }
+
+      ctx.body = {
+        success: true,
+        data: await strapi.service('api::translate.usage').report({ period, from, to, ...filters }),
+      };
+    } catch (error) {
+      ctx.throw(500, error.message);
+    }
+  },
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+
+/**
+ * translation-access policy
+ * Only callers with a scoped API token or a signed request reach the translation
+ * endpoints, within their rate limit (see api::translate.access). Routes using it
+ * set `auth: false`: signed requests carry no token for Strapi to check.
+ *
+ * config: { scope: action of the endpoint, e.g. 'api::translate.translate.translateText' }
+ */
+
+module.exports = async (policyContext, config, { strapi }) => {
+  const { client, error } = await strapi.service('api::translate.access').authenticate(policyContext, config.scope);
+
+  if (error?.status === 401) {
+    throw new errors.UnauthorizedError(error.message);
+  }
+  if (error?.status === 403) {
+    throw new errors.ForbiddenError(error.message);
+  }
+  if (error?.status === 429) {
+    policyContext.response.set('Retry-After', String(error.retryAfter));
+    throw new errors.RateLimitError(error.message, { retryAfter: error.retryAfter });
+  }
+
+  policyContext.state.translationClient = client;
+  return true;
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+const deepl = require('deepl-node');
+const { parseLocale, chineseScript } = require('../utils/locales');
+
+/**
+ * DeepL provider.
+ */
+
+// Target variants DeepL requires (plain 'EN' and 'PT' are deprecated as targets)
+const ENGLISH_GB_REGIONS = ['GB', 'AU', 'IE', 'NZ'];
+
+/**
+ * Source codes are the bare language ('EN', 'ZH'): DeepL detects the variant
+ */
+function deriveSourceCode(locale) {
+  return parseLocale(locale).language.toUpperCase();
+}
+
+/**
+ * Target codes carry the variant DeepL needs: EN-US/EN-GB, PT-PT/PT-BR, ZH-HANS/ZH-HANT
+ */
+function deriveTargetCode(locale) {
+  const { language, region } = parseLocale(locale);
+
+  if (language === 'en') {
+    return ENGLISH_GB_REGIONS.includes(region) ? 'EN-GB' : 'EN-US';
+  }
+  if (language === 'pt') {
+    return region === 'BR' ? 'PT-BR' : 'PT-PT';
+  }
+  if (language === 'zh') {
+    return chineseScript(locale) === 'Hans' ? 'ZH-HANS' : 'ZH-HANT';
+  }
+  return language.toUpperCase();
+}
+
+module.exports = ({ strapi, config = {} }) => {
+  let translator = null;
+
+  // Derived codes can be overridden per locale in `languageCodes.deepl`
+  const overrides = config.languageCodes || {};
+
+  function toSourceCode(locale) {
+    return overrides[locale]?.source || deriveSourceCode(locale);
+  }
+
+  function toTargetCode(locale) {
+    return overrides[locale]?.target || deriveTargetCode(locale);
+  }
+
+  // Glossary language codes are the bare lowercase language ('en', 'zh')
+  function toGlossaryCode(locale) {
+    return toSourceCode(locale).toLowerCase();
+  }
+
+  // Reuse a single translator instead of building one per call
+  function getTranslator() {
+    if (!translator) {
+      translator = config.serverUrl
+        ? new deepl.Translator(config.apiKey, { serverUrl: config.serverUrl })
+        : new deepl.Translator(config.apiKey);
+    }
+    return translator;
+  }
+
+  function assertConfigured() {
+    if (!config.apiKey) {
+      throw new Error('DEEPL_API_KEY environment variable is not set');
+    }
+  }
+
+  return {
+    name: 'deepl',
+
+    // Glossaries are applied by DeepL itself instead of placeholder protection
+    supportsGlossaries: true,
+
+    // DeepL accepts up to 50 texts per request and 128 KiB of request body
+    batchLimits: {
+      maxTexts: config.maxBatchTexts || 50,
+      maxCharacters: config.maxBatchCharacters || 30000,
+    },
+
+    isConfigured() {
+      return Boolean(config.apiKey);
+    },
+
+    /**
+     * @param {string} text - Text to translate
+     * @param {object} options - { sourceLocale, targetLocale, glossaryId, format }
+     * @returns {Promise<string>} Translated text
+     */
+    async translate(text, options) {
+      const [translated] = await this.translateBatch([text], options);
+      return translated;
+    },
+
+    /**
+     * Translate several texts in one request
+     * @param {string[]} texts - Texts to translate
+     * @param {object} options - { sourceLocale, targetLocale, glossaryId, format }
+     * @returns {Promise<string[]>} Translated texts, in order
+     */
+    async translateBatch(texts, { sourceLocale, targetLocale, glossaryId, format }) {
+      assertConfigured();
+
+      const sourceLangCode = toSourceCode(sourceLocale);
+      const targetLangCode = toTargetCode(targetLocale);
+
+      strapi.log.info(`[Translate] DeepL ${sourceLangCode} → ${targetLangCode}: ${texts.length} text(s)${glossaryId ? ` (glossary ${glossaryId})` : ''}`);
+
+      const options = {};
+      if (glossaryId) {
+        options.glossary = glossaryId;
+      }
+      if (format === 'xml') {
+        options.tagHandling = 'xml';
+      }
+
+      const results = await getTranslator().translateText(texts, sourceLangCode, targetLangCode, options);
+      return results.map((result) => result.text);
+    },
+
+    /**
+     * Create a DeepL glossary
+     * @param {object} glossary - { name, sourceLocale, targetLocale, entries: { [source]: target } }
+     * @returns {Promise<string>} DeepL glossary id
+     */
+    async createGlossary({ name, sourceLocale, targetLocale, entries }) {
+      assertConfigured();
+
+      const info = await getTranslator().createGlossary(
+        name,
+        toGlossaryCode(sourceLocale),
+        toGlossaryCode(targetLocale),
+        new deepl.GlossaryEntries({ entries })
+      );
+      return info.glossaryId;
+    },
+
+    /**
+     * Delete a DeepL glossary
+     * @param {string} glossaryId - DeepL glossary id
+     */
+    async deleteGlossary(glossaryId) {
+      assertConfigured();
+      await getTranslator().deleteGlossary(glossaryId);
+    },
+  };
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Deterministic local provider for offline development and testing.
+ * 'echo' mode returns the text unchanged, 'pseudo' mode returns a
+ * pseudo-localized copy (accented letters, prefixed with the target locale).
+ */
+
+const accents = {
+  a: 'á', b: 'ƀ', c: 'ç', d: 'ď', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ó', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Á', B: 'Ɓ', C: 'Ç', D: 'Ď', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ó', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Ú', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž',
+};
+
+function pseudoLocalize(text) {
+  // Leave tags, entities and placeholders intact so markup survives the round trip
+  return text
+    .split(/(<[^>]+>|&\w+;|\{\{[^}]+\}\})/)
+    .map((part, index) => (index % 2 === 1 ? part : part.replace(/[A-Za-z]/g, (char) => accents[char])))
+    .join('');
+}
+
+module.exports = ({ config = {} }) => ({
+  name: 'echo',
+
+  batchLimits: {
+    maxTexts: config.maxBatchTexts || 1000,
+    maxCharacters: config.maxBatchCharacters || 1000000,
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * @param {string} text - Text to translate
+   * @param {object} options - { sourceLocale, targetLocale }
+   * @returns {Promise<string>} Translated text
+   */
+  async translate(text, { targetLocale }) {
+    if (config.mode === 'echo') {
+      return text;
+    }
+    return `[${targetLocale}] ${pseudoLocalize(text)}`;
+  },
+
+  /**
+   * @param {string[]} texts - Texts to translate
+   * @param {object} options - { sourceLocale, targetLocale }
+   * @returns {Promise<string[]>} Translated texts, in order
+   */
+  async translateBatch(texts, options) {
+    return Promise.all(texts.map((text) => this.translate(text, options)));
+  },
+});
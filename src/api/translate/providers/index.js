@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Translation provider registry.
+ *
+ * Every provider is a factory `({ strapi, config }) => provider` where provider
+ * exposes `name`, `isConfigured()` and `translate(text, { sourceLocale, targetLocale, format })`.
+ * `format` is 'text' or 'xml'; with 'xml' the text carries inline markup as XML tags
+ * that must come back unchanged.
+ * Providers that can translate several texts per request implement
+ * `translateBatch(texts, options)` and declare `batchLimits: { maxTexts, maxCharacters }`.
+ * Providers with native glossary support also set `supportsGlossaries` and implement
+ * `createGlossary(glossary)` and `deleteGlossary(id)`.
+ * Providers that can be asked for a translation within a length set
+ * `supportsMaxLength` and honour `maxLength` in the options of `translate`.
+ */
+
+const providers = {
+  deepl: require('./deepl'),
+  libretranslate: require('./libretranslate'),
+  openai: require('./openai'),
+  echo: require('./echo'),
+};
+
+/**
+ * Pick the provider name for a locale pair: pair override first, then the default
+ * @param {object} settings - The `translate` config
+ * @param {string} sourceLocale - Source locale code
+ * @param {string} targetLocale - Target locale code
+ * @returns {string} Provider name
+ */
+function resolveProviderName(settings, sourceLocale, targetLocale) {
+  const pairs = settings.pairs || {};
+  return pairs[`${sourceLocale}:${targetLocale}`] || settings.provider || 'deepl';
+}
+
+/**
+ * Instantiate a provider by name
+ * @param {string} name - Provider name
+ * @param {object} context - { strapi, config }
+ * @returns {object} Provider instance
+ */
+function createProvider(name, { strapi, config }) {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown translation provider "${name}" (available: ${Object.keys(providers).join(', ')})`);
+  }
+  return factory({ strapi, config });
+}
+
+module.exports = {
+  providers,
+  resolveProviderName,
+  createProvider,
+};
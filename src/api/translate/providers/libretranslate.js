@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * LibreTranslate provider (self-hosted or libretranslate.com).
+ */
+
+const { parseLocale, chineseScript } = require('../utils/locales');
+
+// LibreTranslate uses 'zh' for Simplified and 'zt' for Traditional Chinese.
+// Derived codes can be overridden per locale in `languageCodes.libretranslate`.
+function toLanguageCode(locale, overrides = {}) {
+  if (overrides[locale]) {
+    return overrides[locale];
+  }
+
+  const { language } = parseLocale(locale);
+  if (language === 'zh') {
+    return chineseScript(locale) === 'Hans' ? 'zh' : 'zt';
+  }
+  return language;
+}
+
+module.exports = ({ strapi, config = {} }) => ({
+  name: 'libretranslate',
+
+  // `q` accepts an array of texts; servers cap the characters per request
+  batchLimits: {
+    maxTexts: config.maxBatchTexts || 25,
+    maxCharacters: config.maxBatchCharacters || 5000,
+  },
+
+  isConfigured() {
+    return Boolean(config.url);
+  },
+
+  /**
+   * @param {string} text - Text to translate
+   * @param {object} options - { sourceLocale, targetLocale, format }
+   * @returns {Promise<string>} Translated text
+   */
+  async translate(text, options) {
+    const [translated] = await this.translateBatch([text], options);
+    return translated;
+  },
+
+  /**
+   * Translate several texts in one request
+   * @param {string[]} texts - Texts to translate
+   * @param {object} options - { sourceLocale, targetLocale, format }
+   * @returns {Promise<string[]>} Translated texts, in order
+   */
+  async translateBatch(texts, { sourceLocale, targetLocale, format }) {
+    const source = toLanguageCode(sourceLocale, config.languageCodes);
+    const target = toLanguageCode(targetLocale, config.languageCodes);
+
+    strapi.log.info(`[Translate] LibreTranslate ${source} → ${target}: ${texts.length} text(s)`);
+
+    const response = await fetch(`${config.url.replace(/\/$/, '')}/translate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        q: texts,
+        source,
+        target,
+        // 'html' keeps inline markup tags intact
+        format: format === 'xml' ? 'html' : 'text',
+        ...(config.apiKey ? { api_key: config.apiKey } : {}),
+      }),
+      signal: AbortSignal.timeout(config.timeout || 30000),
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`LibreTranslate responded ${response.status}: ${body.error || response.statusText}`);
+    }
+
+    const translated = Array.isArray(body.translatedText) ? body.translatedText : [body.translatedText];
+    if (translated.length !== texts.length) {
+      throw new Error(`LibreTranslate returned ${translated.length} translations for ${texts.length} texts`);
+    }
+
+    return translated;
+  },
+});
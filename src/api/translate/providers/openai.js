@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * OpenAI-compatible chat completions provider.
+ */
+
+const { displayName } = require('../utils/locales');
+
+// Language names ("Brazilian Portuguese") are clearer to the model than bare codes
+function instructions(sourceLocale, targetLocale, format) {
+  return `You are a professional translator. Translate from ${displayName(sourceLocale)} (locale "${sourceLocale}") to ${displayName(targetLocale)} (locale "${targetLocale}"). Keep markup, placeholders and line breaks unchanged.${format === 'xml' ? ' The text contains XML tags such as <g0>…</g0> and <x1/>: keep every tag, translate only the text around and inside them.' : ''}`;
+}
+
+module.exports = ({ strapi, config = {} }) => {
+  async function complete(system, content) {
+    const response = await fetch(`${config.url.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${config.apiKey}`,
+      },
+      body: JSON.stringify({
+        model: config.model,
+        temperature: 0,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content },
+        ],
+      }),
+      signal: AbortSignal.timeout(config.timeout || 120000),
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Translation endpoint responded ${response.status}: ${body.error?.message || response.statusText}`);
+    }
+
+    const reply = body.choices?.[0]?.message?.content;
+    if (typeof reply !== 'string') {
+      throw new Error('Translation endpoint returned no content');
+    }
+
+    return reply.trim();
+  }
+
+  return {
+    name: 'openai',
+
+    // Keep prompts small enough for the model to answer reliably
+    batchLimits: {
+      maxTexts: config.maxBatchTexts || 20,
+      maxCharacters: config.maxBatchCharacters || 8000,
+    },
+
+    // A length limit is part of the instructions
+    supportsMaxLength: true,
+
+    isConfigured() {
+      return Boolean(config.url && config.apiKey);
+    },
+
+    /**
+     * @param {string} text - Text to translate
+     * @param {object} options - { sourceLocale, targetLocale, format, maxLength }
+     * @returns {Promise<string>} Translated text
+     */
+    async translate(text, { sourceLocale, targetLocale, format, maxLength }) {
+      strapi.log.info(`[Translate] ${config.model} ${sourceLocale} → ${targetLocale}`);
+
+      const limit = maxLength ? ` The translation must not be longer than ${maxLength} characters: shorten it while keeping its meaning.` : '';
+      return complete(`${instructions(sourceLocale, targetLocale, format)}${limit} Reply with the translation only.`, text);
+    },
+
+    /**
+     * Translate several texts in one request, sent and answered as a JSON array
+     * @param {string[]} texts - Texts to translate
+     * @param {object} options - { sourceLocale, targetLocale, format }
+     * @returns {Promise<string[]>} Translated texts, in order
+     */
+    async translateBatch(texts, { sourceLocale, targetLocale, format }) {
+      strapi.log.info(`[Translate] ${config.model} ${sourceLocale} → ${targetLocale}: ${texts.length} text(s)`);
+
+      const reply = await complete(
+        `${instructions(sourceLocale, targetLocale, format)} The user message is a JSON array of strings. Reply with a JSON array of the same length containing the translations in the same order, and nothing else.`,
+        JSON.stringify(texts)
+      );
+
+      let translated;
+      try {
+        translated = JSON.parse(reply.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+      } catch (error) {
+        throw new Error('Translation endpoint did not return a JSON array');
+      }
+
+      if (!Array.isArray(translated) || translated.length !== texts.length || translated.some((text) => typeof text !== 'string')) {
+        throw new Error(`Translation endpoint returned ${Array.isArray(translated) ? translated.length : 'no'} translations for ${texts.length} texts`);
+      }
+
+      return translated;
+    },
+  };
+};
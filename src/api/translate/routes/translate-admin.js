@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * translate admin router
+ * These routes are served from the admin API and require an authenticated admin user.
+ */
+
+const adminPolicies = ['admin::isAuthenticatedAdmin'];
+
+module.exports = {
+  type: 'admin',
+  routes: [
+    {
+      method: 'GET',
+      path: '/translate/memory',
+      handler: 'memory.find',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/memory/stats',
+      handler: 'memory.stats',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/translate/memory/:id',
+      handler: 'memory.update',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/translate/memory/:id',
+      handler: 'memory.delete',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/translate/memory',
+      handler: 'memory.purge',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/glossaries',
+      handler: 'glossary.find',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/glossaries/:id',
+      handler: 'glossary.findOne',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/glossaries',
+      handler: 'glossary.create',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/translate/glossaries/:id',
+      handler: 'glossary.update',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/translate/glossaries/:id',
+      handler: 'glossary.delete',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/glossaries/:id/sync',
+      handler: 'glossary.sync',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/chinese-phrases',
+      handler: 'chinese.find',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/chinese-phrases',
+      handler: 'chinese.create',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/translate/chinese-phrases/:id',
+      handler: 'chinese.update',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/translate/chinese-phrases/:id',
+      handler: 'chinese.delete',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/chinese/convert',
+      handler: 'chinese.convert',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/jobs',
+      handler: 'jobs.find',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/jobs/:id',
+      handler: 'jobs.findOne',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/jobs/:id/retry',
+      handler: 'jobs.retry',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/backfills',
+      handler: 'backfill.find',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/backfills/:id',
+      handler: 'backfill.findOne',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/backfills',
+      handler: 'backfill.create',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/backfills/:id/pause',
+      handler: 'backfill.pause',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/backfills/:id/resume',
+      handler: 'backfill.resume',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/localizations',
+      handler: 'localizations.find',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/localizations/lock',
+      handler: 'localizations.lock',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/localizations/unlock',
+      handler: 'localizations.unlock',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/status',
+      handler: 'status.find',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/status/retranslate',
+      handler: 'status.retranslate',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/reviews',
+      handler: 'reviews.find',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/reviews/approve',
+      handler: 'reviews.approve',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/reviews/reject',
+      handler: 'reviews.reject',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/media-texts',
+      handler: 'media.find',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/translate/media-texts/:id',
+      handler: 'media.update',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/translate/usage',
+      handler: 'usage.find',
+      config: {
+        policies: adminPolicies,
+      },
+    },
+  ],
+};
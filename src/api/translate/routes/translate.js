@@ -2,8 +2,12 @@
 
 /**
  * translate router
+ * Callers need a scoped API token or a signed request (see the translation-access
+ * policy); `auth: false` lets signed requests through to the policy.
  */
 
+const access = (scope) => ({ name: 'api::translate.translation-access', config: { scope } });
+
 module.exports = {
   routes: [
     {
@@ -11,7 +15,8 @@ module.exports = {
       path: '/translate/text',
       handler: 'translate.translateText',
       config: {
-        policies: [],
+        auth: false,
+        policies: [access('api::translate.translate.translateText')],
         middlewares: [],
       },
     },
@@ -20,10 +25,20 @@ module.exports = {
       path: '/translate/entry',
       handler: 'translate.translateEntry',
       config: {
-        policies: [],
+        auth: false,
+        policies: [access('api::translate.translate.translateEntry')],
+        middlewares: [],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/translate/detect',
+      handler: 'translate.detect',
+      config: {
+        auth: false,
+        policies: [access('api::translate.translate.detect')],
         middlewares: [],
       },
     },
   ],
 };
-
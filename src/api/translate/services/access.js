@@ -0,0 +1,175 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Translation endpoint access service.
+ * Every call to a translation endpoint costs provider characters, so callers
+ * must identify themselves, either with a Strapi API token (full access, or a
+ * custom token granted the endpoint's action in Settings → API Tokens) or with
+ * a request signed by a shared secret (n8n and other automations). Each caller
+ * is rate limited. Used by the `translation-access` policy.
+ *
+ * Signed requests carry three headers:
+ * - `X-Translate-Key`: id of the signing key in `access.hmac.clients`
+ * - `X-Translate-Timestamp`: Unix time in seconds
+ * - `X-Translate-Signature`: hex HMAC-SHA256 of `<timestamp>.<METHOD>.<url>.<raw body>`
+ *
+ * Rate limit counters and seen signatures are kept in memory, per instance.
+ */
+
+// Read from koa-body when `includeUnparsed` is set on strapi::body
+const UNPARSED_BODY = Symbol.for('unparsedBody');
+
+const deny = (status, message, retryAfter) => ({ error: { status, message, retryAfter } });
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a, 'utf8');
+  const right = Buffer.from(b, 'utf8');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = ({ strapi }) => {
+  // Caller id → { count, resetAt }
+  const counters = new Map();
+  // Signature → time it leaves the replay window
+  const seen = new Map();
+
+  function settings() {
+    const access = strapi.config.get('translate.access', {});
+    return {
+      ...access,
+      hmac: { clients: {}, window: 300, ...access.hmac },
+      rateLimit: { max: 60, interval: 60 * 1000, ...access.rateLimit },
+      rateLimits: access.rateLimits || {},
+    };
+  }
+
+  return {
+    /**
+     * Identify the caller of a translation endpoint and check its scope and rate limit
+     * @param {object} ctx - Policy context
+     * @param {string} scope - Action of the endpoint, e.g. 'api::translate.translate.translateText'
+     * @returns {Promise<object>} { client: { type, id, name } } or { error: { status: 401 | 403 | 429, message, retryAfter } }
+     */
+    async authenticate(ctx, scope) {
+      const authorization = ctx.request.get('authorization');
+      let result;
+
+      if (ctx.request.get('x-translate-signature')) {
+        result = this.verifySignature(ctx, scope);
+      } else if (/^bearer\s+\S/i.test(authorization)) {
+        result = await this.verifyApiToken(authorization.replace(/^bearer\s+/i, '').trim(), scope);
+      } else {
+        result = deny(401, 'Missing credentials: send an API token or a signed request');
+      }
+
+      if (result.error) {
+        strapi.log.warn(`[Access] ${ctx.request.method} ${ctx.request.path} refused (${result.error.status}): ${result.error.message}`);
+        return result;
+      }
+      return this.consume(result.client) || result;
+    },
+
+    /**
+     * Check a Strapi API token: full access, or a custom token granted the scope.
+     * Read-only tokens cannot call translation endpoints.
+     * @param {string} accessKey - Token sent by the caller
+     * @param {string} scope - Endpoint action
+     * @returns {Promise<object>} { client } or { error }
+     */
+    async verifyApiToken(accessKey, scope) {
+      const tokens = strapi.service('admin::api-token');
+      const token = await tokens.getBy({ accessKey: tokens.hash(accessKey) });
+
+      if (!token) {
+        return deny(401, 'Invalid API token');
+      }
+      if (token.expiresAt && new Date(token.expiresAt) < new Date()) {
+        return deny(401, 'API token expired');
+      }
+
+      const permissions = (token.permissions || []).map((permission) => permission.action || permission);
+      if (token.type !== 'full-access' && !(token.type === 'custom' && permissions.includes(scope))) {
+        return deny(403, `API token "${token.name}" is not allowed to call ${scope}`);
+      }
+
+      return { client: { type: 'api-token', id: `api-token:${token.id}`, name: token.name } };
+    },
+
+    /**
+     * Check an HMAC-signed request: known key, timestamp within the replay
+     * window, valid signature never seen before, and scope granted to the key
+     * @param {object} ctx - Policy context
+     * @param {string} scope - Endpoint action
+     * @returns {object} { client } or { error }
+     */
+    verifySignature(ctx, scope) {
+      const { hmac } = settings();
+      const keyId = ctx.request.get('x-translate-key');
+      const key = hmac.clients[keyId];
+
+      if (!key?.secret) {
+        return deny(401, `Unknown signing key "${keyId}"`);
+      }
+
+      const timestamp = Number(ctx.request.get('x-translate-timestamp'));
+      const now = Date.now();
+      if (!Number.isInteger(timestamp) || Math.abs(now - timestamp * 1000) > hmac.window * 1000) {
+        return deny(401, `Request timestamp missing or more than ${hmac.window}s away from server time`);
+      }
+
+      const body = ctx.request.body?.[UNPARSED_BODY] ?? (ctx.request.body && Object.keys(ctx.request.body).length ? JSON.stringify(ctx.request.body) : '');
+      const expected = crypto.createHmac('sha256', key.secret)
+        .update(`${timestamp}.${ctx.request.method}.${ctx.request.originalUrl}.${body}`)
+        .digest('hex');
+      const signature = ctx.request.get('x-translate-signature').replace(/^sha256=/, '');
+
+      if (!safeEqual(signature, expected)) {
+        return deny(401, 'Invalid request signature');
+      }
+
+      for (const [value, expiresAt] of seen) {
+        if (expiresAt <= now) {
+          seen.delete(value);
+        }
+      }
+      if (seen.has(signature)) {
+        return deny(401, 'Request already received (replay)');
+      }
+      seen.set(signature, timestamp * 1000 + hmac.window * 1000);
+
+      if (key.scopes && !key.scopes.includes(scope)) {
+        return deny(403, `Signing key "${keyId}" is not allowed to call ${scope}`);
+      }
+
+      return { client: { type: 'hmac', id: `hmac:${keyId}`, name: keyId } };
+    },
+
+    /**
+     * Count a request against the caller's rate limit (fixed window). Limits are
+     * `access.rateLimit`, overridden per token name or signing key id in `access.rateLimits`.
+     * @param {object} client - { id, name }
+     * @returns {object|null} { error } once the limit is reached, else null
+     */
+    consume(client) {
+      const { rateLimit, rateLimits } = settings();
+      const { max, interval } = { ...rateLimit, ...rateLimits[client.name] };
+      const now = Date.now();
+
+      let counter = counters.get(client.id);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + interval };
+        counters.set(client.id, counter);
+      }
+      counter.count += 1;
+
+      if (counter.count > max) {
+        const retryAfter = Math.ceil((counter.resetAt - now) / 1000);
+        strapi.log.warn(`[Access] ${client.name} is over its rate limit (${max} per ${interval / 1000}s)`);
+        return deny(429, `Rate limit of ${max} requests per ${interval / 1000}s exceeded, retry in ${retryAfter}s`, retryAfter);
+      }
+      return null;
+    },
+  };
+};
@@ -0,0 +1,365 @@
+'use strict';
+
+/**
+ * Translation backfill service.
+ * Translates the existing documents of a content type into one target locale,
+ * for instance after a locale was added: every source localization matching
+ * the filters is checked in id order, and those whose target is missing or
+ * stale are translated, a few at a time. The cursor (last id checked) and the
+ * counters are saved after every batch, so a backfill interrupted by a restart
+ * picks up where it stopped.
+ */
+
+const UID = 'api::translate.translation-backfill';
+
+// Per-item errors kept on a backfill; `failed` counts them all
+const MAX_ERRORS = 500;
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+module.exports = ({ strapi }) => {
+  // Backfills processed by this instance
+  const active = new Set();
+  let stopping = false;
+
+  function settings() {
+    return { concurrency: 2, maxConcurrency: 5, ...strapi.config.get('translate.backfill', {}) };
+  }
+
+  return {
+    /**
+     * Validate and normalize backfill input. Without a sourceLocale, the one locale
+     * the locale matrix translates into the target is used.
+     * @param {object} data - Request body: { contentType, targetLocale, sourceLocale?, filters?, concurrency? }
+     * @returns {object} { data, error }
+     */
+    validate(data = {}) {
+      const schema = strapi.service('api::translate.schema');
+      const locales = strapi.service('api::translate.locales');
+      const { contentType, targetLocale, filters = {} } = data;
+
+      if (typeof contentType !== 'string' || !schema.isLocalized(contentType)) {
+        return { error: 'contentType must be the uid of a localized content type' };
+      }
+      if (typeof targetLocale !== 'string' || !targetLocale) {
+        return { error: 'Missing required field: targetLocale' };
+      }
+
+      const sources = locales.getSourceLocales(contentType).filter((locale) => locales.getTargets(contentType, locale).includes(targetLocale));
+      let sourceLocale = data.sourceLocale;
+      if (sourceLocale === undefined) {
+        if (sources.length !== 1) {
+          return { error: `sourceLocale is required: ${targetLocale} is translated from ${sources.join(', ') || 'no locale'}` };
+        }
+        sourceLocale = sources[0];
+      } else if (!sources.includes(sourceLocale)) {
+        return { error: `${contentType} is not translated from ${sourceLocale} into ${targetLocale}` };
+      }
+
+      if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        return { error: 'filters must be an object' };
+      }
+      const attributes = schema.getAttributes(contentType);
+      const normalized = {};
+      for (const [key, value] of Object.entries(filters)) {
+        if (key === 'documentId' || attributes[key]?.type === 'relation') {
+          const ids = [].concat(value);
+          if (!ids.length || ids.some((id) => typeof id !== 'string' || !id)) {
+            return { error: `filters.${key} must be a documentId or an array of them` };
+          }
+          normalized[key] = ids;
+        } else if (key === 'from' || key === 'to') {
+          if (!isDate(value)) {
+            return { error: `filters.${key} must be a date` };
+          }
+          normalized[key] = value;
+        } else {
+          return { error: `Unknown filter: ${key} (documentId, from, to or a relation of ${contentType})` };
+        }
+      }
+
+      const { concurrency: defaultConcurrency, maxConcurrency } = settings();
+      const concurrency = data.concurrency === undefined ? defaultConcurrency : Number(data.concurrency);
+      if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > maxConcurrency) {
+        return { error: `concurrency must be an integer between 1 and ${maxConcurrency}` };
+      }
+
+      return { data: { contentType, sourceLocale, targetLocale, filters: normalized, concurrency } };
+    },
+
+    /**
+     * Source localizations a backfill goes through: drafts in the source locale,
+     * optionally limited to some documents (`documentId`), to a creation date range
+     * (`from`, `to`) and to the documents they relate to (e.g. `category`)
+     * @param {object} backfill - { contentType, sourceLocale, filters }
+     * @returns {object} where clause for db.query
+     */
+    buildWhere({ contentType, sourceLocale, filters = {} }) {
+      const schema = strapi.service('api::translate.schema');
+      const where = { locale: sourceLocale };
+
+      if (schema.hasDraftAndPublish(contentType)) {
+        where.publishedAt = null;
+      }
+      if (filters.from || filters.to) {
+        where.createdAt = {};
+        if (filters.from) {
+          where.createdAt.$gte = new Date(filters.from);
+        }
+        if (filters.to) {
+          // A day includes all of it
+          where.createdAt.$lte = new Date(DAY.test(filters.to) ? `${filters.to}T23:59:59.999Z` : filters.to);
+        }
+      }
+      if (filters.documentId) {
+        where.documentId = { $in: filters.documentId };
+      }
+      for (const [key, ids] of Object.entries(filters)) {
+        if (!['documentId', 'from', 'to'].includes(key)) {
+          where[key] = { documentId: { $in: ids } };
+        }
+      }
+      return where;
+    },
+
+    /**
+     * The next source localizations of a backfill after a cursor, in id order
+     * @param {object} backfill - { contentType, sourceLocale, filters, concurrency }
+     * @param {number} cursor - Last id checked
+     * @returns {Promise<object[]>} Up to `concurrency` localizations, components and dynamic zones populated
+     */
+    async nextBatch(backfill, cursor = 0) {
+      const { contentType, concurrency } = backfill;
+      return strapi.db.query(contentType).findMany({
+        where: { ...this.buildWhere(backfill), id: { $gt: cursor || 0 } },
+        // Hashes need the components and dynamic zones
+        populate: strapi.service('api::translate.schema').getPopulate(contentType, { relations: false }),
+        orderBy: { id: 'asc' },
+        limit: concurrency || 1,
+      });
+    },
+
+    /**
+     * Start a backfill; it runs in the background
+     * @param {object} data - Validated input (see validate())
+     * @returns {Promise<object>} The backfill
+     */
+    async create(data) {
+      const total = await strapi.db.query(data.contentType).count({ where: this.buildWhere(data) });
+      const backfill = await strapi.db.query(UID).create({
+        data: { ...data, status: 'running', cursor: 0, total, errors: [], startedAt: new Date() },
+      });
+
+      strapi.log.info(`[Backfill] Started backfill ${backfill.id}: ${total} ${data.contentType} document(s), ${data.sourceLocale} → ${data.targetLocale}`);
+      this.process(backfill.id);
+      return backfill;
+    },
+
+    async findOne(id) {
+      return strapi.db.query(UID).findOne({ where: { id } });
+    },
+
+    /**
+     * List backfills, most recent first
+     * @param {object} filters - { status, contentType, targetLocale }
+     * @param {object} pagination - { page, pageSize }
+     * @returns {Promise<object>} { results, pagination }
+     */
+    async list(filters = {}, { page = 1, pageSize = 25 } = {}) {
+      const where = {};
+      for (const key of ['status', 'contentType', 'targetLocale']) {
+        if (filters[key]) {
+          where[key] = filters[key];
+        }
+      }
+
+      const [results, total] = await Promise.all([
+        strapi.db.query(UID).findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          offset: (page - 1) * pageSize,
+          limit: pageSize,
+        }),
+        strapi.db.query(UID).count({ where }),
+      ]);
+
+      return {
+        results,
+        pagination: { page, pageSize, total, pageCount: Math.ceil(total / pageSize) },
+      };
+    },
+
+    /**
+     * Stop a running backfill after its current batch
+     * @param {number} id - Backfill ID
+     * @returns {Promise<object|null>}
+     */
+    async pause(id) {
+      const backfill = await this.findOne(id);
+      if (!backfill || backfill.status !== 'running') {
+        return backfill;
+      }
+      return strapi.db.query(UID).update({ where: { id }, data: { status: 'paused' } });
+    },
+
+    /**
+     * Continue a paused or failed backfill from its cursor
+     * @param {number} id - Backfill ID
+     * @returns {Promise<object|null>}
+     */
+    async resume(id) {
+      const backfill = await this.findOne(id);
+      if (!backfill || !['paused', 'failed'].includes(backfill.status)) {
+        return backfill;
+      }
+
+      const resumed = await strapi.db.query(UID).update({
+        where: { id },
+        data: { status: 'running', finishedAt: null, lastError: null },
+      });
+      this.process(id);
+      return resumed;
+    },
+
+    /**
+     * What a backfill does with a source localization: translate it when its
+     * target is missing or stale, otherwise skip it
+     * @param {object} backfill - The backfill
+     * @param {object} source - Source localization, components and dynamic zones populated
+     * @returns {Promise<string>} 'missing', 'stale', or why it is skipped: 'translation'
+     *   (the source is itself an unedited translation), 'manual', 'locked' or 'up-to-date'
+     */
+    async check({ contentType, sourceLocale, targetLocale }, source) {
+      const provenance = strapi.service('api::translate.provenance');
+      const { documentId } = source;
+
+      if (await provenance.isMachineWritten(contentType, source)) {
+        return 'translation';
+      }
+
+      const target = await strapi.db.query(contentType).findOne({ where: { documentId, locale: targetLocale } });
+      if (!target) {
+        return 'missing';
+      }
+
+      const marker = await provenance.find(contentType, documentId, targetLocale);
+      if (!marker?.sourceHash) {
+        return 'manual';
+      }
+      if (marker.state === 'locked') {
+        return 'locked';
+      }
+      const sourceHash = provenance.hashRevision(contentType, source);
+      return await provenance.isUpToDate(contentType, documentId, sourceLocale, sourceHash, targetLocale) ? 'up-to-date' : 'stale';
+    },
+
+    /**
+     * Check and, when needed, translate one source localization
+     * @param {object} backfill - The backfill
+     * @param {object} source - Source localization
+     * @returns {Promise<object>} { outcome: 'translated' | 'skipped' | 'failed', error? }
+     */
+    async processItem(backfill, source) {
+      const { contentType, sourceLocale, targetLocale } = backfill;
+
+      try {
+        const state = await this.check(backfill, source);
+        if (state !== 'missing' && state !== 'stale') {
+          return { outcome: 'skipped' };
+        }
+
+        const result = await strapi.service('api::translate.jobs').translate(contentType, source.documentId, sourceLocale, targetLocale, { trigger: 'bulk' });
+        return { outcome: result.action === 'skipped' ? 'skipped' : 'translated' };
+      } catch (error) {
+        strapi.log.warn(`[Backfill] ${contentType} ${source.documentId} → ${targetLocale} failed: ${error.message}`);
+        return { outcome: 'failed', error: error.message };
+      }
+    },
+
+    /**
+     * Work through a backfill, `concurrency` documents at a time, saving the cursor
+     * and counters after every batch. Stops when the backfill is paused, done, or
+     * the server shuts down (it is resumed on the next start).
+     * @param {number} id - Backfill ID
+     */
+    async process(id) {
+      // Route params are strings
+      const key = String(id);
+      if (active.has(key)) {
+        return;
+      }
+      active.add(key);
+
+      const schema = strapi.service('api::translate.schema');
+
+      try {
+        let backfill;
+        while (!stopping && (backfill = await this.findOne(id)) && backfill.status === 'running') {
+          const { contentType } = backfill;
+          const batch = await this.nextBatch(backfill, backfill.cursor);
+
+          if (!batch.length) {
+            await strapi.db.query(UID).update({ where: { id }, data: { status: 'completed', finishedAt: new Date() } });
+            strapi.log.info(`[Backfill] Backfill ${id} completed: ${backfill.translated} translated, ${backfill.skipped} skipped, ${backfill.failed} failed`);
+            break;
+          }
+
+          const outcomes = await Promise.all(batch.map((source) => this.processItem(backfill, source)));
+          const titleField = schema.getTitleField(contentType);
+          const count = (outcome) => outcomes.filter((item) => item.outcome === outcome).length;
+          const errors = outcomes
+            .map((item, index) => item.error && {
+              documentId: batch[index].documentId,
+              title: batch[index][titleField] ?? null,
+              error: item.error,
+              at: new Date().toISOString(),
+            })
+            .filter(Boolean);
+
+          // Counters only: a pause saved meanwhile stays
+          await strapi.db.query(UID).update({
+            where: { id },
+            data: {
+              cursor: batch[batch.length - 1].id,
+              processed: (backfill.processed || 0) + batch.length,
+              translated: (backfill.translated || 0) + count('translated'),
+              skipped: (backfill.skipped || 0) + count('skipped'),
+              failed: (backfill.failed || 0) + count('failed'),
+              errors: [...(backfill.errors || []), ...errors].slice(0, MAX_ERRORS),
+            },
+          });
+        }
+      } catch (error) {
+        strapi.log.error(`[Backfill] Backfill ${id} failed: ${error.message}`);
+        // Runs in the background: nothing above would catch a failure here
+        await strapi.db.query(UID)
+          .update({ where: { id }, data: { status: 'failed', finishedAt: new Date(), lastError: error.message } })
+          .catch((updateError) => strapi.log.error(`[Backfill] Could not save the failure of backfill ${id}: ${updateError.message}`));
+      } finally {
+        active.delete(key);
+      }
+    },
+
+    /**
+     * Resume the backfills that were running when the server stopped. Runs in the
+     * instance that runs the job worker.
+     */
+    async start() {
+      if (!strapi.config.get('translate.jobs.enabled', true)) {
+        return;
+      }
+
+      const running = await strapi.db.query(UID).findMany({ where: { status: 'running' }, orderBy: { id: 'asc' } });
+      for (const backfill of running) {
+        strapi.log.info(`[Backfill] Resuming backfill ${backfill.id} after ${backfill.processed} of ${backfill.total} document(s)`);
+        this.process(backfill.id);
+      }
+    },
+
+    stop() {
+      stopping = true;
+    },
+  };
+};
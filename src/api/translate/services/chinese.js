@@ -0,0 +1,215 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseTable, createConverter, chineseVariant } = require('../utils/chinese');
+const { parseLocale } = require('../utils/locales');
+
+/**
+ * Chinese conversion service.
+ * Providers know one Traditional Chinese (DeepL ZH-HANT reads like Taiwan), so
+ * translations into Hong Kong or Taiwan locales are converted to the vocabulary
+ * and character forms of the region with the phrase tables bundled in
+ * data/chinese. The same tables derive a Chinese locale from the translation
+ * into another one (`chinese.derive` in config/translate.js), e.g. zh-Hans from
+ * zh-Hant-HK, without a provider call of its own. Phrases added through the
+ * admin API are applied on top of the bundled tables.
+ */
+
+const UID = 'api::translate.chinese-phrase';
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'chinese');
+
+// Bundled tables of each variant; entries of later tables win
+const TABLES = {
+  hk: ['hk.txt'],
+  tw: ['tw.txt'],
+  hans: ['ts-characters.txt', 'ts-phrases.txt', 'hans.txt'],
+};
+
+const VARIANTS = Object.keys(TABLES);
+
+// Converters are built on first use; admin changes reach other instances within this delay
+const CACHE_TTL = 60 * 1000;
+
+const identity = (text) => text;
+
+module.exports = ({ strapi }) => {
+  const bundled = new Map();
+  const converters = new Map();
+
+  function settings() {
+    return { regional: true, derive: {}, ...strapi.config.get('translate.chinese', {}) };
+  }
+
+  function clearCache() {
+    converters.clear();
+  }
+
+  /**
+   * Entries of the bundled tables of a variant, read once
+   * @param {string} variant - 'hk', 'tw' or 'hans'
+   * @returns {Array<[string, string]>}
+   */
+  function readBundled(variant) {
+    if (!bundled.has(variant)) {
+      bundled.set(variant, TABLES[variant].flatMap((file) => parseTable(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'))));
+    }
+    return bundled.get(variant);
+  }
+
+  return {
+    /**
+     * @param {string} locale - Locale code
+     * @returns {'hk'|'tw'|'hans'|null} Chinese variant the locale is written in
+     */
+    getVariant(locale) {
+      return chineseVariant(locale);
+    },
+
+    /**
+     * Locale a derived locale is converted from (`chinese.derive` in config/translate.js)
+     * @param {string} locale - Target locale
+     * @returns {string|null} null when the locale is translated by its provider
+     */
+    getBaseLocale(locale) {
+      const base = settings().derive?.[locale];
+      if (!base || base === locale || !chineseVariant(locale) || parseLocale(base).language !== 'zh') {
+        return null;
+      }
+      return base;
+    },
+
+    /**
+     * Converter into the vocabulary and characters of a locale's Chinese variant
+     * @param {string} locale - Locale code
+     * @returns {Promise<function>} convert(text) → text; unchanged for other locales
+     */
+    async getConverter(locale) {
+      const variant = chineseVariant(locale);
+      if (!variant) {
+        return identity;
+      }
+
+      const cached = converters.get(variant);
+      if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+        return cached.convert;
+      }
+
+      const custom = await strapi.db.query(UID).findMany({ where: { variant }, orderBy: { id: 'asc' } });
+      const convert = createConverter([...readBundled(variant), ...custom.map(({ source, target }) => [source, target])]);
+      converters.set(variant, { convert, loadedAt: Date.now() });
+      return convert;
+    },
+
+    /**
+     * Converter for provider output in a locale: Hong Kong and Taiwan locales get
+     * their regional vocabulary (unless `chinese.regional` is off); Simplified
+     * output is left as the provider wrote it
+     * @param {string} locale - Target locale
+     * @returns {Promise<function>} convert(text) → text
+     */
+    async getRegionalConverter(locale) {
+      const variant = chineseVariant(locale);
+      if (!settings().regional || (variant !== 'hk' && variant !== 'tw')) {
+        return identity;
+      }
+      return this.getConverter(locale);
+    },
+
+    /**
+     * Convert text into the Chinese variant of a locale
+     * @param {string} text
+     * @param {string} locale - Locale code
+     * @returns {Promise<string>}
+     */
+    async convert(text, locale) {
+      return (await this.getConverter(locale))(text);
+    },
+
+    /**
+     * Validate and normalize phrase input
+     * @param {object} data - Request body
+     * @param {boolean} partial - Allow missing fields (updates)
+     * @returns {object} { data, error }
+     */
+    validate(data = {}, partial = false) {
+      const result = {};
+
+      if (data.variant !== undefined) {
+        if (!VARIANTS.includes(data.variant)) {
+          return { error: `variant must be one of ${VARIANTS.join(', ')}` };
+        }
+        result.variant = data.variant;
+      } else if (!partial) {
+        return { error: 'Missing required field: variant' };
+      }
+
+      for (const key of ['source', 'target']) {
+        if (data[key] !== undefined) {
+          if (typeof data[key] !== 'string' || !data[key].trim() || /[\t\r\n]/.test(data[key])) {
+            return { error: `${key} must be a non-empty single-line string` };
+          }
+          result[key] = data[key].trim();
+        } else if (!partial) {
+          return { error: `Missing required field: ${key}` };
+        }
+      }
+
+      return { data: result };
+    },
+
+    /**
+     * Phrases of a variant: the bundled tables with the added phrases applied
+     * @param {object} filters - { variant (required), origin: 'bundled' | 'custom', search }
+     * @param {object} pagination - { page, pageSize }
+     * @returns {Promise<object>} { results: [{ source, target, origin, id? }], pagination }
+     */
+    async listPhrases(filters, { page = 1, pageSize = 25 } = {}) {
+      const { variant, origin, search } = filters;
+      const custom = await strapi.db.query(UID).findMany({ where: { variant }, orderBy: { id: 'asc' } });
+      const phrases = new Map(readBundled(variant).map(([source, target]) => [source, { source, target, origin: 'bundled' }]));
+
+      for (const { id, source, target } of custom) {
+        phrases.set(source, { id, source, target, origin: 'custom', bundled: phrases.get(source)?.target ?? null });
+      }
+
+      const results = [...phrases.values()].filter((phrase) =>
+        (!origin || phrase.origin === origin) &&
+        (!search || phrase.source.includes(search) || phrase.target.includes(search))
+      );
+
+      const total = results.length;
+      return {
+        results: results.slice((page - 1) * pageSize, page * pageSize),
+        pagination: { page, pageSize, total, pageCount: Math.ceil(total / pageSize) },
+      };
+    },
+
+    async findOne(id) {
+      return strapi.db.query(UID).findOne({ where: { id } });
+    },
+
+    async findBySource(variant, source) {
+      return strapi.db.query(UID).findOne({ where: { variant, source } });
+    },
+
+    async create(data) {
+      const phrase = await strapi.db.query(UID).create({ data });
+      clearCache();
+      return phrase;
+    },
+
+    async update(id, data) {
+      const phrase = await strapi.db.query(UID).update({ where: { id }, data });
+      clearCache();
+      return phrase;
+    },
+
+    async delete(id) {
+      const phrase = await strapi.db.query(UID).delete({ where: { id } });
+      clearCache();
+      return phrase;
+    },
+  };
+};
@@ -0,0 +1,210 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { detectLanguage, matchesLocale } = require('../utils/detect');
+
+/**
+ * Language detection service.
+ * Checks text against the locale it is declared in, with the local detector of
+ * utils/detect.js. A localization saved in the wrong locale (Chinese text filed
+ * as `en`, typically created through the API without a locale) is not translated
+ * as if it were written in that locale: it is corrected or flagged, as
+ * `detect.onMismatch` in config/translate.js says.
+ */
+
+const TS_CHARACTERS = path.join(__dirname, '..', 'data', 'chinese', 'ts-characters.txt');
+
+module.exports = ({ strapi }) => {
+  let characters = null;
+
+  function settings() {
+    return { onMismatch: 'correct', minConfidence: 0.8, ...strapi.config.get('translate.detect', {}) };
+  }
+
+  /**
+   * Characters only Traditional or only Simplified Chinese writes, from the
+   * OpenCC table bundled for the Chinese conversion; read once
+   * @returns {object} { traditional: Set, simplified: Set }
+   */
+  function readCharacters() {
+    if (!characters) {
+      const traditional = new Set();
+      const simplified = new Set();
+      for (const line of fs.readFileSync(TS_CHARACTERS, 'utf8').split(/\r?\n/)) {
+        const [source, targets = ''] = line.split('\t');
+        if (source && !line.startsWith('#')) {
+          traditional.add(source);
+          targets.trim().split(' ').filter(Boolean).forEach((target) => simplified.add(target));
+        }
+      }
+      characters = {
+        traditional: new Set([...traditional].filter((char) => !simplified.has(char))),
+        simplified: new Set([...simplified].filter((char) => !traditional.has(char))),
+      };
+    }
+    return characters;
+  }
+
+  return {
+    /**
+     * Detect the language of a text
+     * @param {string} text
+     * @returns {object} { language, script, locale, confidence, scripts } (see utils/detect.js)
+     */
+    detect(text) {
+      return detectLanguage(text, readCharacters());
+    },
+
+    /**
+     * Text of the translatable fields and dynamic zones of an entry
+     * @param {string} contentType - Content type uid
+     * @param {object} entry - Localization, with its components and dynamic zones populated
+     * @returns {string}
+     */
+    getText(contentType, entry) {
+      const texts = [];
+      const collector = {
+        add(text) {
+          texts.push(text);
+          return () => text;
+        },
+      };
+      strapi.service('api::translate.translate').collectEntry(collector, { contentType, entry });
+      return texts.join('\n');
+    },
+
+    /**
+     * Locales of the locale matrix of a content type (the default matrix without
+     * one), source locales first
+     * @param {string} [contentType] - Content type uid
+     * @returns {string[]}
+     */
+    getLocales(contentType) {
+      const matrix = strapi.service('api::translate.locales').getMatrix(contentType);
+      return [...new Set([...Object.keys(matrix), ...Object.values(matrix).flat()])];
+    },
+
+    /**
+     * Check a text against the locale it is declared in
+     * @param {string} text
+     * @param {string} [declaredLocale] - Locale the text is said to be written in
+     * @param {object} options - { contentType: look the detected language up in its locale matrix }
+     * @returns {object} {
+     *   declaredLocale,
+     *   detected: see detect(),
+     *   locale: configured locale of the detected language, or null,
+     *   matches: whether the detected language is the declared one (null when undecided),
+     *   mismatch: it is not, with at least `detect.minConfidence`
+     * }
+     */
+    check(text, declaredLocale, { contentType } = {}) {
+      const detected = this.detect(text);
+      const matches = declaredLocale ? matchesLocale(detected, declaredLocale) : null;
+      const locale = matches
+        ? declaredLocale
+        : this.getLocales(contentType).find((candidate) => matchesLocale(detected, candidate)) || null;
+
+      return {
+        declaredLocale: declaredLocale || null,
+        detected,
+        locale,
+        matches,
+        mismatch: matches === false && detected.confidence >= settings().minConfidence,
+      };
+    },
+
+    /**
+     * Check a localization against its locale
+     * @param {string} contentType - Content type uid
+     * @param {object} entry - Localization, with locale and its components and dynamic zones populated
+     * @returns {object} See check()
+     */
+    checkEntry(contentType, entry) {
+      return this.check(this.getText(contentType, entry), entry.locale, { contentType });
+    },
+
+    /**
+     * Act on a saved localization written in another language than its locale.
+     * 'correct' moves the content to the localization of the detected locale, when
+     * that locale is translated into the declared one and has no localization yet:
+     * its translation then replaces the misfiled content. Otherwise, or with 'flag',
+     * translation.language_mismatch is announced (see api::translate.review notify()).
+     * @param {string} contentType - Content type uid
+     * @param {object} entry - Saved localization, with id, documentId, locale and its components and dynamic zones populated
+     * @returns {Promise<object|null>} null when the localization may be translated as it is,
+     *   otherwise { action: 'corrected' | 'flagged', ...check() }
+     */
+    async resolveMismatch(contentType, entry) {
+      const { onMismatch } = settings();
+      if (onMismatch === 'ignore') {
+        return null;
+      }
+
+      const result = this.checkEntry(contentType, entry);
+      if (!result.mismatch) {
+        return null;
+      }
+
+      const { documentId, locale: declaredLocale } = entry;
+      const { locale, detected } = result;
+      const description = `${contentType} ${documentId} (${declaredLocale}) reads as ${detected.locale} (confidence ${detected.confidence})`;
+
+      if (onMismatch === 'correct' && locale &&
+        strapi.service('api::translate.locales').getTargets(contentType, locale).includes(declaredLocale) &&
+        !await strapi.db.query(contentType).findOne({ where: { documentId, locale } })) {
+        strapi.log.info(`[Detect] ${description}: moving it to ${locale}`);
+        await this.moveContent(contentType, entry, locale);
+        return { action: 'corrected', ...result };
+      }
+
+      strapi.log.warn(`[Detect] ${description}: not translating it`);
+      await strapi.service('api::translate.review').notify(
+        'translation.language_mismatch',
+        { contentType, documentId, targetLocale: declaredLocale },
+        { detection: { detectedLocale: detected.locale, locale, confidence: detected.confidence } }
+      );
+      return { action: 'flagged', ...result };
+    },
+
+    /**
+     * Copy the content of a misfiled localization to a new localization of the
+     * locale it is written in. The misfiled one is marked as an unedited machine
+     * translation of it, so the translation queued by the new localization's
+     * lifecycle overwrites it.
+     * @param {string} contentType - Content type uid
+     * @param {object} entry - Misfiled localization, with its components and dynamic zones populated
+     * @param {string} locale - Locale the content is written in
+     * @returns {Promise<object>} The new localization
+     */
+    async moveContent(contentType, entry, locale) {
+      const schema = strapi.service('api::translate.schema');
+      const provenance = strapi.service('api::translate.provenance');
+      const attributes = schema.getAttributes(contentType);
+
+      const source = await strapi.db.query(contentType).findOne({ where: { id: entry.id }, populate: schema.getPopulate(contentType) });
+      const data = schema.getSharedData(contentType, source);
+      for (const name of [...schema.getTranslatableFields(contentType), ...schema.getDynamicZones(contentType)]) {
+        if (source[name] !== undefined && source[name] !== null) {
+          data[name] = schema.toWritable(attributes[name], source[name]);
+        }
+      }
+
+      const previous = await provenance.find(contentType, entry.documentId, entry.locale);
+      await provenance.record(contentType, entry.documentId, entry.locale, {
+        originLocale: locale,
+        sourceHash: null,
+        sourceHashes: null,
+        contentHash: provenance.hashContent(contentType, entry),
+        fieldHashes: provenance.hashFields(contentType, entry),
+        blockHashes: provenance.hashBlocks(contentType, entry),
+      });
+      try {
+        return await strapi.documents(contentType).update({ documentId: entry.documentId, locale, data });
+      } catch (error) {
+        await provenance.restore(contentType, entry.documentId, entry.locale, previous);
+        throw error;
+      }
+    },
+  };
+};
@@ -0,0 +1,275 @@
+'use strict';
+
+/**
+ * Translation writer.
+ * Translates a localization of any localized content type into a target locale
+ * and writes it, reading the schema (see api::translate.schema): localized text
+ * fields, components and dynamic zone blocks are translated, everything else a
+ * new localization needs (relations, media, uids...) is copied from the source.
+ * Used by the translation job worker for every content type without a
+ * translation service of its own.
+ */
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Translate the source localization of a document and create or update the target one.
+   * Only fields and blocks whose source changed since the last translation are sent to
+   * the provider; unchanged target blocks are kept as they are. A dry run translates
+   * but writes nothing, not even translation memory or usage, and fires no lifecycles:
+   * it returns what would be written.
+   * @param {string} contentType - Content type uid
+   * @param {string} documentId - Document ID shared by all localizations
+   * @param {string} sourceLocale - Locale to translate from
+   * @param {string} targetLocale - Locale to write
+   * @param {object} options - {
+   *   transform(data, context): adjust the translated data before it is written,
+   *   trigger: what started the translation, recorded with the usage ('lifecycle', 'api', 'manual' or 'bulk'),
+   *   dryRun: return the proposed data and its diff (see diff()) instead of writing,
+   *   force: translate every field and block again, changed or not (edited and locked ones stay protected)
+   * }
+   * @returns {Promise<object>} { id, action: 'created' | 'updated' | 'skipped', locale, title, written, untouched, blocks, warnings, media }
+   *   and for a dry run { dryRun: true, proposed, diff } instead of media
+   */
+  async translateToLocale(contentType, documentId, sourceLocale, targetLocale, { transform, trigger, dryRun = false, force = false } = {}) {
+    const translateService = strapi.service('api::translate.translate');
+    const provenance = strapi.service('api::translate.provenance');
+    const schema = strapi.service('api::translate.schema');
+
+    if (!schema.isLocalized(contentType)) {
+      throw new Error(`${contentType} is not localized`);
+    }
+    const name = schema.getSchema(contentType).info?.singularName || contentType;
+    const titleField = schema.getTitleField(contentType);
+
+    // Check the provider for this locale pair has its credentials
+    const provider = translateService.getProvider(sourceLocale, targetLocale);
+    if (!provider.isConfigured()) {
+      throw new Error(`Translation provider "${provider.name}" is not configured`);
+    }
+
+    const populate = schema.getPopulate(contentType);
+    const source = await strapi.documents(contentType).findOne({ documentId, locale: sourceLocale, populate });
+
+    if (!source) {
+      throw new Error(`${name} ${documentId} has no ${sourceLocale} version`);
+    }
+
+    // Translation writes drafts: a published version is only replaced by publishing
+    const target = await strapi.db.query(contentType).findOne({
+      where: { documentId, locale: targetLocale, ...(schema.hasDraftAndPublish(contentType) ? { publishedAt: null } : {}) },
+      populate,
+    });
+    const marker = target ? await provenance.find(contentType, documentId, targetLocale) : null;
+
+    const plan = provenance.planWrite(contentType, { sourceLocale, source, target, marker, force });
+    const report = { locale: targetLocale, written: [], untouched: plan.untouched };
+
+    if (plan.untouched.length) {
+      strapi.log.info(`[Translation] ${targetLocale} ${name} keeps ${plan.untouched.map(({ field, reason }) => `${field} (${reason})`).join(', ')}`);
+    }
+    if (plan.blocked) {
+      strapi.log.info(`[Translation] Left ${targetLocale} ${name} (ID: ${target.id}) untouched`);
+      const preview = dryRun ? { dryRun, proposed: {}, diff: this.diff(contentType, { target, untouched: plan.untouched }) } : {};
+      return { id: target.id, action: 'skipped', title: target[titleField], ...report, ...preview };
+    }
+
+    const zones = Object.entries(plan.zones);
+    const blocksToTranslate = Object.fromEntries(zones.map(([zone, entries]) => [zone, entries.filter((entry) => entry.source).map((entry) => entry.source)]));
+    const total = zones.reduce((sum, [, entries]) => sum + entries.length, 0);
+    const translatedBlocks = Object.values(blocksToTranslate).reduce((sum, blocks) => sum + blocks.length, 0);
+    report.blocks = { translated: translatedBlocks, kept: total - translatedBlocks };
+
+    strapi.log.info(`[Translation] ${name} ${documentId}: ${sourceLocale} → ${targetLocale} (provider: ${provider.name}), fields: ${plan.fields.join(', ') || 'none'}, blocks: ${translatedBlocks} of ${total}`);
+
+    // Send only what changed
+    const partial = { ...Object.fromEntries(plan.fields.map((field) => [field, source[field]])), ...blocksToTranslate };
+    let translatedData = plan.fields.length || translatedBlocks
+      ? await translateService.translateEntry(contentType, partial, sourceLocale, targetLocale, { trigger, dryRun })
+      : {};
+
+    if (transform) {
+      translatedData = (await transform(translatedData, { contentType, documentId, sourceLocale, targetLocale, source, target })) || translatedData;
+    }
+
+    // Translations over the length limit of their attribute are shortened, with a warning
+    const fitted = await strapi.service('api::translate.length').enforce(contentType, translatedData, { source: partial, sourceLocale, targetLocale, trigger, dryRun });
+    translatedData = fitted.data;
+    report.warnings = fitted.warnings;
+
+    if (!target && plan.fields.length && plan.fields.every((field) => isEmpty(translatedData[field]))) {
+      throw new Error('Translation returned empty data');
+    }
+
+    const content = Object.fromEntries(plan.fields.map((field) => [field, translatedData[field] ?? null]));
+    report.written = Object.keys(content);
+    report.title = content[titleField] ?? target?.[titleField];
+
+    // Kept blocks are passed by id so the document service patches them in place
+    const zoneData = {};
+    const proposedZones = {};
+    for (const [zone, entries] of zones) {
+      const fresh = [...(translatedData[zone] || [])];
+      proposedZones[zone] = entries.map((entry) => entry.reuse || fresh.shift());
+      const blocks = proposedZones[zone].map((block, index) =>
+        entries[index].reuse ? { id: block.id, __component: block.__component } : block
+      );
+      const current = target?.[zone] || [];
+
+      if (!target || blocksToTranslate[zone].length > 0 || blocks.length !== current.length ||
+        blocks.some((block, index) => block.id !== current[index].id)) {
+        zoneData[zone] = blocks;
+      }
+    }
+    const changed = !target || report.written.length > 0 || Object.keys(zoneData).length > 0;
+
+    if (dryRun) {
+      strapi.log.info(`[Translation] Dry run of ${targetLocale} ${name} ${documentId}: nothing written`);
+      return {
+        id: target?.id ?? null,
+        action: target ? 'updated' : 'created',
+        ...report,
+        dryRun,
+        proposed: { ...content, ...proposedZones },
+        diff: this.diff(contentType, { target, content, zones: proposedZones, untouched: plan.untouched }),
+      };
+    }
+
+    // Warnings of fields not written this time still hold
+    const rewritten = [...report.written, ...Object.keys(zoneData)];
+    const warnings = [
+      ...(marker?.warnings || []).filter(({ field }) => !rewritten.includes(field.split(/[.[]/)[0])),
+      ...report.warnings,
+    ];
+
+    // The marker is recorded before the write: the lifecycles it fires must see it.
+    // A failed write puts the previous one back, the new one describes content never stored
+    const previous = target ? marker : await provenance.find(contentType, documentId, targetLocale);
+    const written = await provenance.recordWrite(contentType, {
+      documentId,
+      sourceLocale,
+      targetLocale,
+      source,
+      target,
+      marker,
+      data: content,
+      zones: proposedZones,
+      untouched: plan.untouched,
+      changed,
+      warnings,
+    });
+    let created;
+    try {
+      if (target && changed) {
+        await strapi.documents(contentType).update({
+          documentId,
+          locale: targetLocale,
+          data: { ...content, ...zoneData },
+        });
+      } else if (!target) {
+        // A new localization starts from everything the source has besides the translation
+        created = await strapi.documents(contentType).update({
+          documentId,
+          locale: targetLocale,
+          data: {
+            ...schema.getSharedData(contentType, source),
+            ...content,
+            ...zoneData,
+          },
+        });
+      }
+    } catch (error) {
+      await provenance.restore(contentType, documentId, targetLocale, previous);
+      throw error;
+    }
+    report.media = await this.translateMedia(contentType, source, targetLocale, trigger);
+
+    if (target) {
+      if (changed) {
+        await strapi.service('api::translate.review').notify('translation.needs_review', written);
+      }
+      strapi.log.info(`[Translation] Updated ${targetLocale} ${name} (ID: ${target.id}): ${[...report.written, ...Object.keys(zoneData)].join(', ') || 'nothing changed'}`);
+
+      return { id: target.id, action: 'updated', ...report };
+    }
+
+    strapi.log.info(`[Translation] Created ${targetLocale} ${name} (ID: ${created?.id})`);
+    await strapi.service('api::translate.review').notify('translation.needs_review', written);
+
+    return { id: created?.id, action: 'created', ...report };
+  },
+
+  /**
+   * Field by field comparison of a proposed translation with the target localization.
+   * Components and blocks are compared by their text.
+   * @param {string} contentType - Content type uid
+   * @param {object} options - { target, content: proposed fields, zones: proposed blocks per dynamic zone, untouched }
+   * @returns {object[]} [{ field, status, before, after, reason? }], status being 'added', 'changed',
+   *   'unchanged', 'kept' (left as it is: an edited field or block, or a reused block) or 'removed'
+   */
+  diff(contentType, { target, content = {}, zones = {}, untouched = [] }) {
+    const schema = strapi.service('api::translate.schema');
+    const attributes = schema.getAttributes(contentType);
+    const sameText = (attribute, before, after) =>
+      JSON.stringify(schema.project(attribute, before)) === JSON.stringify(schema.project(attribute, after));
+    const changes = [];
+
+    for (const [field, after] of Object.entries(content)) {
+      const before = target?.[field] ?? null;
+      const status = isEmpty(before) ? 'added' : sameText(attributes[field], before, after) ? 'unchanged' : 'changed';
+      changes.push({ field, status, before, after });
+    }
+    // Blocks of proposed zones are listed with the zone
+    const reasons = new Map(untouched.map(({ field, reason }) => [field, reason]));
+    for (const { field, reason } of untouched.filter(({ field }) => !(field.split('[')[0] in zones))) {
+      changes.push({ field, status: 'kept', reason, before: target?.[field] ?? null, after: target?.[field] ?? null });
+    }
+
+    for (const [zone, blocks] of Object.entries(zones)) {
+      const current = target?.[zone] || [];
+      const blockText = (block) => ({ __component: block.__component, ...schema.projectComponent(block.__component, block) });
+
+      blocks.forEach((block, index) => {
+        const field = `${zone}[${index}]`;
+        const before = current[index] ?? null;
+        if (current.includes(block)) {
+          const reason = reasons.get(field) || reasons.get(zone);
+          changes.push({ field, status: 'kept', ...(reason ? { reason } : {}), before: block, after: block });
+        } else if (!before) {
+          changes.push({ field, status: 'added', before: null, after: block });
+        } else {
+          const status = JSON.stringify(blockText(before)) === JSON.stringify(blockText(block)) ? 'unchanged' : 'changed';
+          changes.push({ field, status, before, after: block });
+        }
+      });
+      current.slice(blocks.length).forEach((block, offset) => {
+        if (!blocks.includes(block)) {
+          changes.push({ field: `${zone}[${blocks.length + offset}]`, status: 'removed', before: block, after: null });
+        }
+      });
+    }
+
+    return changes;
+  },
+
+  /**
+   * Translate the alternative text and caption of the files an entry uses (see
+   * api::translate.media). A failure is logged, not thrown: the entry itself was
+   * translated, and its files are tried again with its next translation.
+   * @param {string} contentType - Content type uid
+   * @param {object} source - Source localization, media populated
+   * @param {string} targetLocale - Locale to translate into
+   * @param {string} trigger - What started the translation
+   * @returns {Promise<object>} { translated, kept }
+   */
+  async translateMedia(contentType, source, targetLocale, trigger) {
+    try {
+      const files = strapi.service('api::translate.schema').getMediaFiles(contentType, source);
+      return await strapi.service('api::translate.media').translateFiles(files, targetLocale, { contentType, trigger });
+    } catch (error) {
+      strapi.log.warn(`[Media] Could not translate media texts into ${targetLocale}: ${error.message}`);
+      return { translated: 0, kept: 0, error: error.message };
+    }
+  },
+});
@@ -0,0 +1,224 @@
+'use strict';
+
+const { protectTerms } = require('../utils/placeholders');
+
+/**
+ * Glossary service.
+ * One glossary per locale pair holds term pairs (`entries`) and terms that must
+ * never be translated (`doNotTranslate`). They are synced to DeepL when DeepL is
+ * the provider for the pair, and protected with placeholders for every other provider.
+ */
+
+const UID = 'api::translate.glossary';
+
+// Glossaries are read on every translateText call, keep them briefly in memory
+const CACHE_TTL = 60 * 1000;
+
+module.exports = ({ strapi }) => {
+  const cache = new Map();
+
+  function clearCache() {
+    cache.clear();
+  }
+
+  return {
+    /**
+     * Validate and normalize glossary input
+     * @param {object} data - Request body
+     * @param {boolean} partial - Allow missing required fields (updates)
+     * @returns {object} { data, error }
+     */
+    validate(data = {}, partial = false) {
+      const result = {};
+
+      for (const key of ['name', 'sourceLocale', 'targetLocale']) {
+        if (data[key] !== undefined) {
+          if (typeof data[key] !== 'string' || !data[key].trim()) {
+            return { error: `${key} must be a non-empty string` };
+          }
+          result[key] = data[key].trim();
+        } else if (!partial) {
+          return { error: `Missing required field: ${key}` };
+        }
+      }
+
+      if (data.entries !== undefined) {
+        const valid = Array.isArray(data.entries) && data.entries.every((entry) =>
+          entry && typeof entry.source === 'string' && entry.source.trim() &&
+          typeof entry.target === 'string' && entry.target.trim()
+        );
+        if (!valid) {
+          return { error: 'entries must be an array of { source, target } strings' };
+        }
+        result.entries = data.entries.map(({ source, target }) => ({ source: source.trim(), target: target.trim() }));
+      }
+
+      if (data.doNotTranslate !== undefined) {
+        const valid = Array.isArray(data.doNotTranslate) &&
+          data.doNotTranslate.every((term) => typeof term === 'string' && term.trim());
+        if (!valid) {
+          return { error: 'doNotTranslate must be an array of strings' };
+        }
+        result.doNotTranslate = [...new Set(data.doNotTranslate.map((term) => term.trim()))];
+      }
+
+      return { data: result };
+    },
+
+    async find() {
+      return strapi.db.query(UID).findMany({ orderBy: { name: 'asc' } });
+    },
+
+    async findOne(id) {
+      return strapi.db.query(UID).findOne({ where: { id } });
+    },
+
+    async findByPair(sourceLocale, targetLocale) {
+      return strapi.db.query(UID).findOne({ where: { sourceLocale, targetLocale } });
+    },
+
+    async create(data) {
+      const glossary = await strapi.db.query(UID).create({
+        data: { entries: [], doNotTranslate: [], ...data },
+      });
+      return this.afterChange(glossary);
+    },
+
+    async update(id, data) {
+      const glossary = await strapi.db.query(UID).update({ where: { id }, data });
+      return glossary ? this.afterChange(glossary) : null;
+    },
+
+    async delete(id) {
+      const glossary = await strapi.db.query(UID).delete({ where: { id } });
+      if (glossary) {
+        await this.removeFromProvider(glossary);
+        await this.purgeMemory(glossary);
+        clearCache();
+      }
+      return glossary;
+    },
+
+    /**
+     * Keep DeepL and the translation memory consistent after a glossary write
+     */
+    async afterChange(glossary) {
+      clearCache();
+      await this.purgeMemory(glossary);
+      return this.sync(glossary);
+    },
+
+    /**
+     * Cached translations of the pair were produced with the old terms
+     */
+    async purgeMemory(glossary) {
+      await strapi.service('api::translate.memory').purge({
+        sourceLocale: glossary.sourceLocale,
+        targetLocale: glossary.targetLocale,
+      });
+    },
+
+    /**
+     * Get the glossary for a locale pair
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @returns {Promise<object|null>}
+     */
+    async getForPair(sourceLocale, targetLocale) {
+      const key = `${sourceLocale}:${targetLocale}`;
+      const cached = cache.get(key);
+      if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+        return cached.glossary;
+      }
+
+      const glossary = await this.findByPair(sourceLocale, targetLocale);
+      cache.set(key, { glossary, loadedAt: Date.now() });
+      return glossary;
+    },
+
+    /**
+     * Prepare text for a provider: placeholder-protect do-not-translate terms, and
+     * glossary terms too when the provider cannot apply the glossary itself
+     * @param {string} text - Source text
+     * @param {object|null} glossary - Glossary for the pair
+     * @param {object} provider - Provider instance
+     * @returns {object} { text, restore(translated), glossaryId }
+     */
+    protect(text, glossary, provider) {
+      if (!glossary) {
+        return { text, restore: (translated) => translated, glossaryId: null };
+      }
+
+      const dntTerms = (glossary.doNotTranslate || []).map((term) => ({ source: term, target: term }));
+
+      if (provider.supportsGlossaries && glossary.deeplGlossaryId) {
+        // DeepL keeps do-not-translate terms through identity entries in the synced glossary
+        return { text, restore: (translated) => translated, glossaryId: glossary.deeplGlossaryId };
+      }
+
+      return { ...protectTerms(text, [...dntTerms, ...(glossary.entries || [])]), glossaryId: null };
+    },
+
+    /**
+     * Push a glossary to the provider of its pair when that provider supports glossaries.
+     * DeepL glossaries are immutable, so a new one is created and the previous one
+     * deleted once the glossary points to the new one: a failed sync leaves the
+     * previous one in use.
+     * @param {object} glossary - Glossary entry
+     * @returns {Promise<object>} The glossary with its updated provider id
+     */
+    async sync(glossary) {
+      const provider = strapi.service('api::translate.translate').getProvider(glossary.sourceLocale, glossary.targetLocale);
+
+      if (!provider.supportsGlossaries || !provider.isConfigured()) {
+        return glossary;
+      }
+
+      const entries = {};
+      for (const term of glossary.doNotTranslate || []) {
+        entries[term] = term;
+      }
+      for (const { source, target } of glossary.entries || []) {
+        entries[source] = target;
+      }
+
+      let deeplGlossaryId = null;
+      if (Object.keys(entries).length) {
+        deeplGlossaryId = await provider.createGlossary({
+          name: `strapi-${glossary.name}`,
+          sourceLocale: glossary.sourceLocale,
+          targetLocale: glossary.targetLocale,
+          entries,
+        });
+        strapi.log.info(`[Glossary] Synced "${glossary.name}" to ${provider.name} (${deeplGlossaryId})`);
+      }
+
+      const updated = await strapi.db.query(UID).update({
+        where: { id: glossary.id },
+        data: { deeplGlossaryId, syncedAt: new Date() },
+      });
+      clearCache();
+
+      await this.removeFromProvider(glossary, provider);
+      return updated;
+    },
+
+    async removeFromProvider(glossary, provider = null) {
+      if (!glossary.deeplGlossaryId) {
+        return;
+      }
+
+      const target = provider || strapi.service('api::translate.translate').getProvider(glossary.sourceLocale, glossary.targetLocale);
+      if (!target.supportsGlossaries || !target.isConfigured()) {
+        return;
+      }
+
+      try {
+        await target.deleteGlossary(glossary.deeplGlossaryId);
+      } catch (error) {
+        // Already gone on the provider side
+        strapi.log.warn(`[Glossary] Could not delete ${glossary.deeplGlossaryId}: ${error.message}`);
+      }
+    },
+  };
+};
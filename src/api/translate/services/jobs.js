@@ -0,0 +1,357 @@
+'use strict';
+
+/**
+ * Translation job queue.
+ * Lifecycles of the auto-translated content types enqueue one job per (document,
+ * source locale, target locale); a worker started from bootstrap polls the table
+ * and runs due jobs one at a time, retrying failures with exponential backoff.
+ * Jobs live in the database, so nothing is lost on a crash or restart.
+ * Jobs queued by lifecycles wait while the monthly budget of their provider is
+ * used up (see api::translate.usage); jobs queued by hand run regardless.
+ */
+
+const UID = 'api::translate.translation-job';
+
+module.exports = ({ strapi }) => {
+  let timer = null;
+  let running = false;
+
+  function settings() {
+    return {
+      enabled: true,
+      pollInterval: 2000,
+      maxAttempts: 5,
+      backoff: 30 * 1000,
+      maxBackoff: 60 * 60 * 1000,
+      lease: 30 * 60 * 1000,
+      ...strapi.config.get('translate.jobs', {}),
+    };
+  }
+
+  return {
+    /**
+     * Content types translated automatically (`contentTypes` in config/translate.js)
+     * @returns {string[]}
+     */
+    getContentTypes() {
+      const schema = strapi.service('api::translate.schema');
+      return strapi.config.get('translate.contentTypes', []).filter((uid) => schema.isLocalized(uid));
+    },
+
+    /**
+     * Queue translations whenever an auto-translated content type is saved
+     */
+    subscribe() {
+      const models = this.getContentTypes();
+      const queue = async ({ model, result, params }) => {
+        const locale = result?.locale || params?.locale || params?.data?.locale || params?.where?.locale;
+        if (!result?.id || !result.documentId || !locale) {
+          return;
+        }
+
+        try {
+          const jobs = await this.queueTranslations(model.uid, { ...result, locale });
+          strapi.log.info(`[Jobs] Queued ${jobs.length} translation job(s) for ${locale} ${model.uid} ${result.documentId}`);
+        } catch (error) {
+          strapi.log.error(`[Jobs] Could not queue translations of ${model.uid} ${result.documentId}: ${error.message}`);
+        }
+      };
+
+      strapi.db.lifecycles.subscribe({ models, afterCreate: queue, afterUpdate: queue });
+      strapi.log.info(`[Jobs] Translating ${models.join(', ') || 'no content types'} automatically`);
+    },
+
+    /**
+     * Queue the translation of a localization into a target locale.
+     * A job already waiting for the same document and locale pair is reused:
+     * it reads the source when it runs, so it picks up the latest content.
+     * @param {string} contentType - Content type uid
+     * @param {object} data - { documentId, sourceLocale, targetLocale, trigger: 'lifecycle' (default), 'api', 'manual' or 'bulk' }
+     * @returns {Promise<object>} The job
+     */
+    async enqueue(contentType, { documentId, sourceLocale, targetLocale, trigger = 'lifecycle' }) {
+      if (!strapi.service('api::translate.schema').isLocalized(contentType)) {
+        throw new Error(`${contentType} is not localized`);
+      }
+
+      const key = { contentType, documentId, sourceLocale, targetLocale };
+      const waiting = await strapi.db.query(UID).findOne({ where: { ...key, status: 'pending' } });
+
+      if (waiting) {
+        // A job someone asked for stays one when a save queues it again
+        const usage = strapi.service('api::translate.usage');
+        return strapi.db.query(UID).update({
+          where: { id: waiting.id },
+          data: {
+            attempts: 0,
+            runAt: new Date(),
+            lastError: null,
+            trigger: usage.isAutomatic(trigger) && !usage.isAutomatic(waiting.trigger) ? waiting.trigger : trigger,
+          },
+        });
+      }
+
+      const job = await strapi.db.query(UID).create({
+        data: { ...key, trigger, status: 'pending', attempts: 0, maxAttempts: settings().maxAttempts, runAt: new Date() },
+      });
+      strapi.log.info(`[Jobs] Queued ${contentType} ${documentId}: ${sourceLocale} → ${targetLocale} (job ${job.id})`);
+      return job;
+    },
+
+    /**
+     * Queue the translations a saved localization needs: none when the localization
+     * is an untouched machine translation or is written in another language than
+     * its locale (see api::translate.detect), otherwise one job per configured
+     * target that was not translated from this exact revision yet
+     * @param {string} contentType - Content type uid
+     * @param {object} entry - Saved localization, with documentId and locale
+     * @returns {Promise<object[]>} Queued jobs
+     */
+    async queueTranslations(contentType, entry) {
+      const provenance = strapi.service('api::translate.provenance');
+      const { documentId, locale: sourceLocale } = entry;
+
+      // Hashes need the components and dynamic zones, which lifecycle results lack
+      if (entry.id) {
+        const populate = strapi.service('api::translate.schema').getPopulate(contentType, { relations: false });
+        const saved = await strapi.db.query(contentType).findOne({ where: { id: entry.id }, populate });
+        if (!saved) {
+          return [];
+        }
+        entry = { ...saved, locale: sourceLocale };
+      }
+
+      if (await provenance.isMachineWritten(contentType, entry)) {
+        strapi.log.info(`[Jobs] ${contentType} ${documentId} (${sourceLocale}) is an unedited machine translation, not queueing`);
+        return [];
+      }
+      // Text filed under another language than its locale's is not translated from that locale
+      if (await strapi.service('api::translate.detect').resolveMismatch(contentType, entry)) {
+        return [];
+      }
+      await provenance.markEdited(contentType, entry);
+
+      const sourceHash = provenance.hashRevision(contentType, entry);
+      const queued = [];
+
+      for (const targetLocale of strapi.service('api::translate.locales').getTargets(contentType, sourceLocale)) {
+        const target = await strapi.db.query(contentType).findOne({ where: { documentId, locale: targetLocale } });
+        if (target && await provenance.isUpToDate(contentType, documentId, sourceLocale, sourceHash, targetLocale)) {
+          continue;
+        }
+        queued.push(await this.enqueue(contentType, { documentId, sourceLocale, targetLocale }));
+      }
+
+      return queued;
+    },
+
+    async findOne(id) {
+      return strapi.db.query(UID).findOne({ where: { id } });
+    },
+
+    /**
+     * List jobs, most recently queued first
+     * @param {object} filters - { status, contentType, documentId, sourceLocale, targetLocale }
+     * @param {object} pagination - { page, pageSize }
+     * @returns {Promise<object>} { results, pagination, counts }
+     */
+    async list(filters = {}, { page = 1, pageSize = 25 } = {}) {
+      const where = {};
+      for (const key of ['status', 'contentType', 'documentId', 'sourceLocale', 'targetLocale']) {
+        if (filters[key]) {
+          where[key] = filters[key];
+        }
+      }
+
+      const [results, total, counts] = await Promise.all([
+        strapi.db.query(UID).findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          offset: (page - 1) * pageSize,
+          limit: pageSize,
+        }),
+        strapi.db.query(UID).count({ where }),
+        this.counts(),
+      ]);
+
+      return {
+        results,
+        pagination: { page, pageSize, total, pageCount: Math.ceil(total / pageSize) },
+        counts,
+      };
+    },
+
+    /**
+     * Number of jobs per status
+     * @returns {Promise<object>} { pending, running, succeeded, failed }
+     */
+    async counts() {
+      const statuses = ['pending', 'running', 'succeeded', 'failed'];
+      const values = await Promise.all(statuses.map((status) => strapi.db.query(UID).count({ where: { status } })));
+      return Object.fromEntries(statuses.map((status, index) => [status, values[index]]));
+    },
+
+    /**
+     * Put a failed job back in the queue with a fresh set of attempts. A retried
+     * job counts as a manual one.
+     * @param {number} id - Job ID
+     * @returns {Promise<object|null>}
+     */
+    async retry(id) {
+      const job = await this.findOne(id);
+      if (!job || job.status === 'running') {
+        return job;
+      }
+
+      return strapi.db.query(UID).update({
+        where: { id },
+        data: { status: 'pending', trigger: 'manual', attempts: 0, runAt: new Date(), lastError: null, finishedAt: null },
+      });
+    },
+
+    /**
+     * Claim the next due job, or a job still running after its lease: the
+     * worker that claimed it stopped (a crash or a restart) without finishing it.
+     * The status and start checks in the update keep two workers from taking the same job.
+     * @returns {Promise<object|null>}
+     */
+    async claimNext() {
+      const { lease } = settings();
+      const job = await strapi.db.query(UID).findOne({
+        where: {
+          $or: [
+            { status: 'pending', runAt: { $lte: new Date() } },
+            { status: 'running', startedAt: { $lt: new Date(Date.now() - lease) } },
+          ],
+        },
+        orderBy: { runAt: 'asc' },
+      });
+      if (!job) {
+        return null;
+      }
+
+      const { count } = await strapi.db.query(UID).updateMany({
+        where: { id: job.id, status: job.status, startedAt: job.startedAt },
+        data: { status: 'running', startedAt: new Date(), attempts: (job.attempts || 0) + 1 },
+      });
+      if (count && job.status === 'running') {
+        strapi.log.warn(`[Jobs] Job ${job.id} outlived its lease, running it again`);
+      }
+      return count ? this.findOne(job.id) : null;
+    },
+
+    /**
+     * Write the translation of a document into a target locale
+     * @param {string} contentType - Content type uid
+     * @param {string} documentId - Document ID
+     * @param {string} sourceLocale - Locale to translate from
+     * @param {string} targetLocale - Locale to write
+     * @param {object} options - {
+     *   trigger: what started the translation (default 'api'),
+     *   dryRun: preview without writing,
+     *   force: translate unchanged fields and blocks again
+     * }
+     * @returns {Promise<object>} Report of the write
+     */
+    async translate(contentType, documentId, sourceLocale, targetLocale, { trigger = 'api', dryRun = false, force = false } = {}) {
+      return strapi.service('api::translate.entries').translateToLocale(contentType, documentId, sourceLocale, targetLocale, { trigger, dryRun, force });
+    },
+
+    /**
+     * Run one job and record the outcome
+     * @param {object} job - A claimed job
+     */
+    async run(job) {
+      const { backoff, maxBackoff } = settings();
+      const usage = strapi.service('api::translate.usage');
+
+      if (usage.isAutomatic(job.trigger)) {
+        const provider = strapi.service('api::translate.translate').getProvider(job.sourceLocale, job.targetLocale);
+        const budget = await usage.findExceededBudget(provider.name);
+
+        // Not an attempt: the job waits and looks again later
+        if (budget) {
+          await strapi.db.query(UID).update({
+            where: { id: job.id },
+            data: {
+              status: 'pending',
+              attempts: Math.max(job.attempts - 1, 0),
+              runAt: new Date(Date.now() + maxBackoff),
+              lastError: `Paused: monthly budget of ${budget.budget} characters (${budget.provider}) used up`,
+            },
+          });
+          strapi.log.warn(`[Jobs] Job ${job.id} paused: monthly budget of ${budget.provider} used up (${budget.used}/${budget.budget} characters)`);
+          return;
+        }
+      }
+
+      try {
+        const result = await this.translate(job.contentType, job.documentId, job.sourceLocale, job.targetLocale, { trigger: job.trigger || 'lifecycle' });
+
+        await strapi.db.query(UID).update({
+          where: { id: job.id },
+          data: { status: 'succeeded', finishedAt: new Date(), lastError: null, result },
+        });
+        strapi.log.info(`[Jobs] Job ${job.id} succeeded: ${job.contentType} ${job.documentId} → ${job.targetLocale}`);
+      } catch (error) {
+        const failed = job.attempts >= (job.maxAttempts || 1);
+        const delay = Math.min(backoff * 2 ** (job.attempts - 1), maxBackoff);
+
+        await strapi.db.query(UID).update({
+          where: { id: job.id },
+          data: failed
+            ? { status: 'failed', finishedAt: new Date(), lastError: error.message }
+            : { status: 'pending', runAt: new Date(Date.now() + delay), lastError: error.message },
+        });
+
+        if (failed) {
+          strapi.log.error(`[Jobs] Job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+        } else {
+          strapi.log.warn(`[Jobs] Job ${job.id} attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+        }
+      }
+    },
+
+    /**
+     * Run due jobs until the queue has none left
+     */
+    async tick() {
+      if (running) {
+        return;
+      }
+      running = true;
+
+      try {
+        let job;
+        while (timer && (job = await this.claimNext())) {
+          await this.run(job);
+        }
+      } catch (error) {
+        strapi.log.error(`[Jobs] Worker error: ${error.message}`);
+      } finally {
+        running = false;
+      }
+    },
+
+    /**
+     * Start polling for due jobs. Jobs left running by a crash are claimed again
+     * by a poll once their lease is over (see claimNext).
+     */
+    async start() {
+      const { enabled, pollInterval } = settings();
+      if (!enabled || timer) {
+        return;
+      }
+
+      timer = setInterval(() => this.tick(), pollInterval);
+      strapi.log.info(`[Jobs] Worker started (polling every ${pollInterval}ms)`);
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    },
+  };
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+const { truncate } = require('../utils/truncate');
+
+/**
+ * Translation length service.
+ * Translations often run longer than their source. Translated text attributes,
+ * in components and dynamic zone blocks too, are checked against the length
+ * limit of their schema before they are written. One over the limit is asked
+ * for again, shorter, when the provider can be given a length (`length.retry`
+ * in config/translate.js), and otherwise cut at a sentence or word boundary
+ * (see utils/truncate). Each shortened field is reported as a warning.
+ */
+
+// String attributes are varchar(255) columns
+const STRING_LENGTH = 255;
+
+// Markdown and blocks are translated segment by segment and cannot be asked for as a whole
+const RETRY_TYPES = ['string', 'text'];
+
+const MAX_DEPTH = 5;
+
+module.exports = ({ strapi }) => {
+  function settings() {
+    return { retry: true, ...strapi.config.get('translate.length', {}) };
+  }
+
+  return {
+    /**
+     * Length limit of a text attribute: its `maxLength`, or the column size of a string
+     * @param {object} attribute - Attribute schema
+     * @returns {number|null} null when the attribute has no limit
+     */
+    getLimit(attribute) {
+      if (Number.isInteger(attribute?.maxLength) && attribute.maxLength > 0) {
+        return attribute.maxLength;
+      }
+      return attribute?.type === 'string' ? STRING_LENGTH : null;
+    },
+
+    /**
+     * Bring translated data within the length limits of its schema
+     * @param {string} uid - Content type uid
+     * @param {object} data - Translated data (fields, components, dynamic zones)
+     * @param {object} options - { source: the source data that was translated, sourceLocale, targetLocale, trigger, dryRun }
+     * @returns {Promise<object>} { data, warnings: [{ field, maxLength, length, action: 'retranslated' | 'truncated' }] }
+     */
+    async enforce(uid, data, { source = {}, sourceLocale, targetLocale, trigger, dryRun = false }) {
+      const warnings = [];
+      const context = { sourceLocale, targetLocale, warnings, usage: { contentType: uid, trigger, dryRun } };
+      const result = await this.enforceComponent(uid, data, source, context, '', 0);
+
+      if (warnings.length) {
+        strapi.log.warn(`[Length] ${uid} (${targetLocale}) shortened ${warnings.map(({ field, length, maxLength }) => `${field} (${length} → ${maxLength})`).join(', ')}`);
+      }
+      return { data: result, warnings };
+    },
+
+    /**
+     * @param {string} uid - Content type or component uid
+     * @param {object} value - Translated entry or component
+     * @param {object} source - Its source
+     * @param {object} context - { sourceLocale, targetLocale, warnings, usage }
+     * @param {string} path - Field path of the value, for warnings
+     * @returns {Promise<object>}
+     */
+    async enforceComponent(uid, value, source, context, path, depth) {
+      if (!value || typeof value !== 'object' || depth >= MAX_DEPTH) {
+        return value;
+      }
+
+      const attributes = strapi.service('api::translate.schema').getAttributes(uid);
+      const result = { ...value };
+      for (const [name, attribute] of Object.entries(attributes)) {
+        if (value[name] !== undefined && value[name] !== null) {
+          result[name] = await this.enforceValue(attribute, value[name], source?.[name], context, path ? `${path}.${name}` : name, depth);
+        }
+      }
+      return result;
+    },
+
+    async enforceValue(attribute, value, source, context, field, depth) {
+      switch (attribute.type) {
+        case 'component': {
+          if (!Array.isArray(value)) {
+            return this.enforceComponent(attribute.component, value, source, context, field, depth + 1);
+          }
+          const items = [];
+          for (const [index, item] of value.entries()) {
+            items.push(await this.enforceComponent(attribute.component, item, source?.[index], context, `${field}[${index}]`, depth + 1));
+          }
+          return items;
+        }
+        case 'dynamiczone': {
+          const blocks = [];
+          for (const [index, block] of value.entries()) {
+            blocks.push(await this.enforceComponent(block.__component, block, source?.[index], context, `${field}[${index}]`, depth + 1));
+          }
+          return blocks;
+        }
+        default: {
+          const maxLength = this.getLimit(attribute);
+          if (typeof value !== 'string' || !maxLength || value.length <= maxLength) {
+            return value;
+          }
+          return this.shorten(attribute, value, source, maxLength, context, field);
+        }
+      }
+    },
+
+    /**
+     * Shorten one translated text: a shorter translation when the provider can
+     * give one, else the translation cut at a boundary
+     * @returns {Promise<string>}
+     */
+    async shorten(attribute, value, source, maxLength, { sourceLocale, targetLocale, warnings, usage }, field) {
+      let shorter = null;
+
+      if (settings().retry && RETRY_TYPES.includes(attribute.type) && typeof source === 'string') {
+        try {
+          shorter = await strapi.service('api::translate.translate').translateShorter(source, sourceLocale, targetLocale, maxLength, usage);
+        } catch (error) {
+          strapi.log.warn(`[Length] Shorter translation of ${field} failed: ${error.message}`);
+        }
+      }
+
+      const action = shorter && shorter.length <= maxLength ? 'retranslated' : 'truncated';
+      warnings.push({ field, maxLength, length: value.length, action });
+
+      return action === 'retranslated' ? shorter : truncate(shorter || value, maxLength);
+    },
+  };
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Locale matrix service.
+ * Reads `locales` from config/translate.js: which locales each content type is
+ * written in and the locales every entry is translated into.
+ */
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Locale matrix for a content type
+   * @param {string} uid - Content type uid (e.g. 'api::article.article')
+   * @returns {object} Source locale → target locales
+   */
+  getMatrix(uid) {
+    const settings = strapi.config.get('translate.locales', {});
+    return settings.contentTypes?.[uid] || settings.default || {};
+  },
+
+  /**
+   * Locales a source localization is translated into
+   * @param {string} uid - Content type uid
+   * @param {string} sourceLocale - Locale of the edited entry
+   * @returns {string[]} Target locales (empty when the locale is not a source)
+   */
+  getTargets(uid, sourceLocale) {
+    const targets = this.getMatrix(uid)[sourceLocale] || [];
+    return [...new Set(targets)].filter((locale) => locale !== sourceLocale);
+  },
+
+  /**
+   * Locales entries of a content type can be written in
+   * @param {string} uid - Content type uid
+   * @returns {string[]}
+   */
+  getSourceLocales(uid) {
+    return Object.keys(this.getMatrix(uid));
+  },
+});
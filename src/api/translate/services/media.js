@@ -0,0 +1,176 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Media text service.
+ * Media library files have one alternative text and caption, written in the
+ * media locale (`media.locale` in config/translate.js). When an entry is
+ * translated, the texts of the files it uses are translated into the target
+ * locale and kept in `translation_media_texts`; API responses get them with
+ * localize(). Texts corrected by an editor are never overwritten.
+ */
+
+const UID = 'api::translate.media-text';
+
+// Texts of a file as written in the media library, for change detection
+function hashFile(file) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([file.alternativeText || null, file.caption || null]))
+    .digest('hex');
+}
+
+// Populated media in API responses: objects with a mime type and a url
+const isFile = (value) => Boolean(value && typeof value === 'object' && value.id && value.mime && value.url);
+
+module.exports = ({ strapi }) => {
+  function settings() {
+    return { enabled: true, locale: 'en', ...strapi.config.get('translate.media', {}) };
+  }
+
+  return {
+    /**
+     * Translate the alternative text and caption of files into a locale.
+     * Files whose texts did not change since their last translation, and
+     * texts an editor corrected, are left alone.
+     * @param {object[]} files - Files with id, alternativeText and caption
+     * @param {string} targetLocale - Locale to translate into
+     * @param {object} usage - { contentType, trigger } recorded with the usage
+     * @returns {Promise<object>} { translated, kept }
+     */
+    async translateFiles(files, targetLocale, usage = {}) {
+      const { enabled, locale: sourceLocale } = settings();
+      const report = { translated: 0, kept: 0 };
+
+      if (!enabled || targetLocale === sourceLocale || !files.length) {
+        return report;
+      }
+
+      const existing = await strapi.db.query(UID).findMany({
+        where: { fileId: { $in: files.map((file) => file.id) }, targetLocale },
+      });
+      const byFile = new Map(existing.map((row) => [row.fileId, row]));
+
+      const pending = files.filter((file) => {
+        const row = byFile.get(file.id);
+        return (file.alternativeText || file.caption) && !row?.edited && row?.sourceHash !== hashFile(file);
+      });
+      report.kept = files.length - pending.length;
+
+      if (!pending.length) {
+        return report;
+      }
+
+      const segments = pending.flatMap((file) => [
+        { text: file.alternativeText || '', field: `file ${file.id} alternativeText` },
+        { text: file.caption || '', field: `file ${file.id} caption` },
+      ]);
+      const results = await strapi.service('api::translate.translate').translateCollected({ segments }, sourceLocale, targetLocale, usage);
+
+      for (const [index, file] of pending.entries()) {
+        const data = {
+          sourceLocale,
+          sourceHash: hashFile(file),
+          alternativeText: results[index * 2].text || null,
+          caption: results[index * 2 + 1].text || null,
+        };
+        const row = byFile.get(file.id);
+
+        if (row) {
+          await strapi.db.query(UID).update({ where: { id: row.id }, data });
+        } else {
+          await strapi.db.query(UID).create({ data: { fileId: file.id, targetLocale, ...data } });
+        }
+      }
+
+      report.translated = pending.length;
+      strapi.log.info(`[Media] Translated the texts of ${pending.length} file(s) into ${targetLocale}`);
+      return report;
+    },
+
+    /**
+     * Replace the alternative text and caption of every file in an API response
+     * with their translation into a locale. Files without one keep their texts.
+     * @param {*} response - Controller response ({ data, meta }) or any value holding files
+     * @param {string} locale - Requested locale
+     * @returns {Promise<*>} The same response, files localized in place
+     */
+    async localize(response, locale) {
+      if (!locale || locale === settings().locale) {
+        return response;
+      }
+
+      const files = [];
+      const walk = (value) => {
+        if (Array.isArray(value)) {
+          value.forEach(walk);
+        } else if (value && typeof value === 'object') {
+          if (isFile(value)) {
+            files.push(value);
+          }
+          Object.values(value).forEach(walk);
+        }
+      };
+      walk(response);
+
+      if (!files.length) {
+        return response;
+      }
+
+      const rows = await strapi.db.query(UID).findMany({
+        where: { fileId: { $in: [...new Set(files.map((file) => file.id))] }, targetLocale: locale },
+      });
+      const byFile = new Map(rows.map((row) => [row.fileId, row]));
+
+      for (const file of files) {
+        const row = byFile.get(file.id);
+        if (row) {
+          file.alternativeText = row.alternativeText ?? file.alternativeText;
+          file.caption = row.caption ?? file.caption;
+        }
+      }
+      return response;
+    },
+
+    /**
+     * List translated media texts
+     * @param {object} filters - { fileId, targetLocale, edited }
+     * @returns {Promise<object[]>}
+     */
+    async list(filters = {}) {
+      const where = {};
+      if (filters.fileId) {
+        where.fileId = Number(filters.fileId);
+      }
+      if (filters.targetLocale) {
+        where.targetLocale = filters.targetLocale;
+      }
+      if (filters.edited !== undefined) {
+        where.edited = filters.edited === true || filters.edited === 'true';
+      }
+      return strapi.db.query(UID).findMany({ where, orderBy: { fileId: 'asc' } });
+    },
+
+    /**
+     * Correct the translated texts of a file; corrected texts are never translated again
+     * @param {number} id - Media text ID
+     * @param {object} data - { alternativeText, caption }
+     * @returns {Promise<object|null>}
+     */
+    async update(id, { alternativeText, caption }) {
+      const row = await strapi.db.query(UID).findOne({ where: { id } });
+      if (!row) {
+        return null;
+      }
+
+      const data = { edited: true };
+      if (alternativeText !== undefined) {
+        data.alternativeText = alternativeText;
+      }
+      if (caption !== undefined) {
+        data.caption = caption;
+      }
+      return strapi.db.query(UID).update({ where: { id }, data });
+    },
+  };
+};
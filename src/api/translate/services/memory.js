@@ -0,0 +1,219 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Translation memory service.
+ * Caches provider output keyed by (source text hash, source locale, target locale, provider)
+ * so unchanged strings are never sent to the provider twice.
+ */
+
+const UID = 'api::translate.translation-memory';
+
+// One translation per source text, locale pair and provider (the unique index of the schema)
+const KEY = ['sourceHash', 'sourceLocale', 'targetLocale', 'provider'];
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+module.exports = ({ strapi }) => {
+  // Hit/miss counters since the last restart
+  const session = { hits: 0, misses: 0, charactersSaved: 0 };
+
+  function isEnabled() {
+    return strapi.config.get('translate.memory.enabled', true);
+  }
+
+  return {
+    hashText,
+
+    /**
+     * Find cached translations for several texts in one query, and count the
+     * hits of the entries found in another
+     * @param {string[]} texts - Source texts
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @param {string} provider - Provider name
+     * @returns {Promise<Map<string, string>>} Source text → cached translation (hits only)
+     */
+    async lookupMany(texts, sourceLocale, targetLocale, provider) {
+      const found = new Map();
+      if (!isEnabled() || !texts.length) {
+        return found;
+      }
+
+      try {
+        const byHash = new Map(texts.map((text) => [hashText(text), text]));
+        const entries = await strapi.db.query(UID).findMany({
+          where: { sourceHash: { $in: [...byHash.keys()] }, sourceLocale, targetLocale, provider },
+        });
+
+        for (const entry of entries) {
+          const text = byHash.get(entry.sourceHash);
+          if (text !== undefined && !found.has(text)) {
+            found.set(text, entry.translatedText);
+            session.charactersSaved += text.length;
+          }
+        }
+
+        session.hits += found.size;
+        session.misses += byHash.size - found.size;
+
+        if (entries.length) {
+          const { tableName, attributes } = strapi.db.metadata.get(UID);
+          await strapi.db.getConnection(tableName)
+            .whereIn(attributes.id.columnName, entries.map((entry) => entry.id))
+            .increment(attributes.hits.columnName, 1)
+            .update({ [attributes.lastUsedAt.columnName]: new Date() });
+        }
+      } catch (error) {
+        // A broken cache must never block translation
+        strapi.log.warn(`[TranslationMemory] Lookup failed: ${error.message}`);
+      }
+
+      return found;
+    },
+
+    /**
+     * Store provider translations. A text another translation stored meanwhile
+     * keeps the stored translation.
+     * @param {array} pairs - [{ text, translatedText }]
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @param {string} provider - Provider name
+     */
+    async storeMany(pairs, sourceLocale, targetLocale, provider) {
+      if (!isEnabled() || !pairs.length) {
+        return;
+      }
+
+      try {
+        const { tableName, attributes } = strapi.db.metadata.get(UID);
+        const toColumns = (data) => Object.fromEntries(Object.entries(data).map(([name, value]) => [attributes[name].columnName, value]));
+        const now = new Date();
+
+        await strapi.db.getConnection(tableName)
+          .insert(pairs.map(({ text, translatedText }) => toColumns({
+            documentId: attributes.documentId.default(),
+            sourceHash: hashText(text),
+            sourceLocale,
+            targetLocale,
+            provider,
+            sourceText: text,
+            translatedText,
+            hits: 0,
+            edited: false,
+            lastUsedAt: now,
+            createdAt: now,
+            updatedAt: now,
+          })))
+          .onConflict(KEY.map((name) => attributes[name].columnName))
+          .ignore();
+      } catch (error) {
+        strapi.log.warn(`[TranslationMemory] Store failed: ${error.message}`);
+      }
+    },
+
+    /**
+     * Build a where clause from admin filters
+     * @param {object} filters - { sourceLocale, targetLocale, provider, olderThan }
+     * @returns {object} Query where clause
+     */
+    buildWhere(filters = {}) {
+      const where = {};
+      for (const key of ['sourceLocale', 'targetLocale', 'provider']) {
+        if (filters[key]) {
+          where[key] = filters[key];
+        }
+      }
+      if (filters.olderThan) {
+        where.lastUsedAt = { $lt: new Date(filters.olderThan) };
+      }
+      return where;
+    },
+
+    /**
+     * List cached entries
+     * @param {object} filters - See buildWhere
+     * @param {object} pagination - { page, pageSize }
+     * @returns {Promise<object>} { results, pagination }
+     */
+    async list(filters = {}, { page = 1, pageSize = 25 } = {}) {
+      const where = this.buildWhere(filters);
+      const [results, total] = await Promise.all([
+        strapi.db.query(UID).findMany({
+          where,
+          orderBy: { lastUsedAt: 'desc' },
+          offset: (page - 1) * pageSize,
+          limit: pageSize,
+        }),
+        strapi.db.query(UID).count({ where }),
+      ]);
+
+      return {
+        results,
+        pagination: { page, pageSize, total, pageCount: Math.ceil(total / pageSize) },
+      };
+    },
+
+    /**
+     * Correct a cached translation; edited entries are served as-is from then on
+     * @param {number} id - Entry id
+     * @param {string} translatedText - Corrected translation
+     * @returns {Promise<object|null>} Updated entry
+     */
+    async update(id, translatedText) {
+      return strapi.db.query(UID).update({
+        where: { id },
+        data: { translatedText, edited: true },
+      });
+    },
+
+    /**
+     * Delete one entry
+     * @param {number} id - Entry id
+     * @returns {Promise<object|null>} Deleted entry
+     */
+    async remove(id) {
+      return strapi.db.query(UID).delete({ where: { id } });
+    },
+
+    /**
+     * Delete all entries matching the filters
+     * @param {object} filters - See buildWhere
+     * @returns {Promise<number>} Number of deleted entries
+     */
+    async purge(filters = {}) {
+      const { count } = await strapi.db.query(UID).deleteMany({ where: this.buildWhere(filters) });
+      return count;
+    },
+
+    /**
+     * Hit/miss statistics, counted in the database
+     * @returns {Promise<object>}
+     */
+    async stats() {
+      const { tableName, attributes } = strapi.db.metadata.get(UID);
+      const hits = attributes.hits.columnName;
+      // MySQL's LENGTH counts bytes
+      const length = strapi.db.dialect.client === 'mysql' ? 'CHAR_LENGTH' : 'LENGTH';
+      const [totals] = await strapi.db.getConnection(tableName)
+        .count({ entries: '*' })
+        .sum({ totalHits: hits })
+        .select(strapi.db.connection.raw(`SUM(COALESCE(??, 0) * ${length}(COALESCE(??, ''))) AS ??`, [hits, attributes.sourceText.columnName, 'charactersSaved']));
+      const lookups = session.hits + session.misses;
+
+      return {
+        enabled: isEnabled(),
+        entries: Number(totals?.entries) || 0,
+        totalHits: Number(totals?.totalHits) || 0,
+        charactersSaved: Number(totals?.charactersSaved) || 0,
+        session: {
+          ...session,
+          hitRate: lookups ? session.hits / lookups : 0,
+        },
+      };
+    },
+  };
+};
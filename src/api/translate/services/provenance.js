@@ -0,0 +1,457 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Translation provenance service.
+ * Every localization written by automatic translation gets a persisted marker:
+ * the locale it was translated from, hashes of that source revision (whole, per
+ * field and per dynamic zone block) and hashes of the content as written. Lifecycles compare hashes instead of
+ * keeping in-process state, so a translation write is never translated back and
+ * an unchanged source is never translated twice, whatever the timing or the
+ * number of Strapi instances.
+ *
+ * The marker also holds the state of the localization: `machine` (as translated),
+ * `edited` (an editor changed translated fields) or `locked` (never written by
+ * translation). Edited fields are protected according to the `humanEdits` policy
+ * of the content type.
+ *
+ * Length warnings of the last translation (fields shortened to fit their
+ * maxLength, see api::translate.length) are kept on the marker as well.
+ *
+ * Hashes cover the translatable fields and dynamic zones of the schema (see
+ * api::translate.schema), components reduced to their text.
+ */
+
+const UID = 'api::translate.translation-provenance';
+
+const POLICIES = ['merge', 'skip', 'overwrite'];
+
+// The database returns null for fields written as empty strings or left out
+const normalize = (value) => (value === undefined || value === '' ? null : value);
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(normalize(value))).digest('hex');
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Hash the translated content of a localization: the translatable fields and
+   * dynamic zones of its schema, components and blocks reduced to their text
+   * @param {string} contentType - Content type uid
+   * @param {object} entry - Localization (database row or data as written)
+   * @param {object} options - { zones: include the dynamic zones (default true; markers
+   *   recorded before blocks were tracked hashed the fields only) }
+   * @returns {string} sha256 hex digest
+   */
+  hashContent(contentType, entry, { zones = true } = {}) {
+    const schema = strapi.service('api::translate.schema');
+    const attributes = schema.getAttributes(contentType);
+    const fields = [...schema.getTranslatableFields(contentType), ...(zones ? schema.getDynamicZones(contentType) : [])];
+    const values = fields.map((field) => normalize(schema.project(attributes[field], entry?.[field])));
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+  },
+
+  /**
+   * Whether a localization holds the content a marker says was written
+   * @param {string} contentType - Content type uid
+   * @param {object} marker - Provenance marker
+   * @param {object} entry - Localization, with its components and dynamic zones populated
+   * @returns {boolean}
+   */
+  matchesContent(contentType, marker, entry) {
+    if (!marker?.contentHash) {
+      return false;
+    }
+    if (marker.contentHash === this.hashContent(contentType, entry)) {
+      return true;
+    }
+    return !marker.blockHashes && marker.contentHash === this.hashContent(contentType, entry, { zones: false });
+  },
+
+  /**
+   * Hash each translated field of a localization
+   * @param {string} contentType - Content type uid
+   * @param {object} entry - Localization or data as written
+   * @param {string[]} fields - Fields to hash (defaults to every translated field)
+   * @returns {object} Field → sha256 hex digest
+   */
+  hashFields(contentType, entry, fields = strapi.service('api::translate.schema').getTranslatableFields(contentType)) {
+    const schema = strapi.service('api::translate.schema');
+    const attributes = schema.getAttributes(contentType);
+    return Object.fromEntries(fields.map((field) => [field, hashValue(schema.project(attributes[field], entry?.[field]))]));
+  },
+
+  /**
+   * What translation does to edited fields of a content type:
+   * 'merge' writes only unedited fields, 'skip' leaves an edited localization
+   * alone, 'overwrite' writes every field. Locked localizations are never written.
+   * @param {string} contentType - Content type uid
+   * @returns {string}
+   */
+  getPolicy(contentType) {
+    const settings = strapi.config.get('translate.humanEdits', {});
+    const policy = settings.contentTypes?.[contentType] || settings.default || 'merge';
+    return POLICIES.includes(policy) ? policy : 'merge';
+  },
+
+  async find(contentType, documentId, targetLocale) {
+    return strapi.db.query(UID).findOne({ where: { contentType, documentId, targetLocale } });
+  },
+
+  /**
+   * List markers
+   * @param {object} filters - { contentType, documentId, targetLocale, state, reviewStatus }
+   * @returns {Promise<object[]>}
+   */
+  async list(filters = {}) {
+    const where = {};
+    for (const key of ['contentType', 'documentId', 'targetLocale', 'state', 'reviewStatus']) {
+      if (filters[key]) {
+        where[key] = filters[key];
+      }
+    }
+    return strapi.db.query(UID).findMany({ where, orderBy: { updatedAt: 'desc' } });
+  },
+
+  /**
+   * Record that a localization was written by translation. Called before the
+   * write, so the lifecycles it fires already see the marker.
+   * @param {string} contentType - Content type uid
+   * @param {string} documentId - Document ID
+   * @param {string} targetLocale - Locale of the written localization
+   * @param {object} marker - { originLocale, sourceHash, sourceHashes, contentHash, fieldHashes, blockHashes, state, warnings, ...review fields }
+   * @returns {Promise<object>}
+   */
+  async record(contentType, documentId, targetLocale, { originLocale, sourceHash, sourceHashes, contentHash, fieldHashes, blockHashes, state = 'machine', warnings = [], ...review }) {
+    const data = { originLocale, sourceHash, sourceHashes, contentHash, fieldHashes, blockHashes, state, warnings, translatedAt: new Date(), ...review };
+    const existing = await this.find(contentType, documentId, targetLocale);
+
+    if (existing) {
+      return strapi.db.query(UID).update({ where: { id: existing.id }, data });
+    }
+    return strapi.db.query(UID).create({ data: { contentType, documentId, targetLocale, ...data } });
+  },
+
+  /**
+   * Put back the marker a localization had before a write that failed: the
+   * marker recorded for it describes content that was never stored
+   * @param {string} contentType - Content type uid
+   * @param {string} documentId - Document ID
+   * @param {string} targetLocale - Locale of the localization
+   * @param {object|null} previous - Marker before the write, null when there was none
+   * @returns {Promise<void>}
+   */
+  async restore(contentType, documentId, targetLocale, previous) {
+    const current = await this.find(contentType, documentId, targetLocale);
+    if (!current) {
+      return;
+    }
+    if (!previous) {
+      await strapi.db.query(UID).delete({ where: { id: current.id } });
+      return;
+    }
+    const { id, createdAt, updatedAt, ...data } = previous;
+    await strapi.db.query(UID).update({ where: { id: current.id }, data });
+  },
+
+  /**
+   * Lock or unlock a localization. Unlocked localizations count as edited:
+   * only fields still matching what translation wrote are written again.
+   * @param {string} contentType - Content type uid
+   * @param {string} documentId - Document ID
+   * @param {string} targetLocale - Locale of the localization
+   * @param {boolean} locked
+   * @returns {Promise<object>}
+   */
+  async setLocked(contentType, documentId, targetLocale, locked) {
+    const state = locked ? 'locked' : 'edited';
+    const existing = await this.find(contentType, documentId, targetLocale);
+
+    if (existing) {
+      return strapi.db.query(UID).update({ where: { id: existing.id }, data: { state } });
+    }
+    return strapi.db.query(UID).create({ data: { contentType, documentId, targetLocale, state } });
+  },
+
+  /**
+   * Whether a localization still holds exactly what automatic translation wrote.
+   * Any human edit changes its content hash.
+   * @param {string} contentType - Content type uid
+   * @param {object} entry - Localization, with documentId and locale
+   * @returns {Promise<boolean>}
+   */
+  async isMachineWritten(contentType, entry) {
+    const marker = await this.find(contentType, entry.documentId, entry.locale);
+    return this.matchesContent(contentType, marker, entry);
+  },
+
+  /**
+   * Flag a translated localization as edited after an editor saved changes to it
+   * @param {string} contentType - Content type uid
+   * @param {object} entry - Saved localization, with documentId and locale
+   */
+  async markEdited(contentType, entry) {
+    const marker = await this.find(contentType, entry.documentId, entry.locale);
+    if (marker?.state === 'machine' && !this.matchesContent(contentType, marker, entry)) {
+      await strapi.db.query(UID).update({ where: { id: marker.id }, data: { state: 'edited' } });
+      strapi.log.info(`[Provenance] ${contentType} ${entry.documentId} (${entry.locale}) edited by hand`);
+    }
+  },
+
+  /**
+   * Whether a target localization was translated from this exact source revision
+   * @param {string} contentType - Content type uid
+   * @param {string} documentId - Document ID
+   * @param {string} sourceLocale - Locale of the source
+   * @param {string} sourceHash - Current content hash of the source
+   * @param {string} targetLocale - Target locale
+   * @returns {Promise<boolean>}
+   */
+  async isUpToDate(contentType, documentId, sourceLocale, sourceHash, targetLocale) {
+    const marker = await this.find(contentType, documentId, targetLocale);
+    return Boolean(marker) && marker.originLocale === sourceLocale && marker.sourceHash === sourceHash;
+  },
+
+  /**
+   * Hash a dynamic zone block. Component ids differ between localizations and
+   * media or relations are not populated everywhere, so only its text counts.
+   * @param {object} block - Dynamic zone component
+   * @returns {string} sha256 hex digest
+   */
+  hashBlock(block) {
+    const text = strapi.service('api::translate.schema').projectComponent(block?.__component, block);
+    return hashValue({ __component: block?.__component, ...text });
+  },
+
+  /**
+   * Hash each block of the dynamic zones of a localization
+   * @param {string} contentType - Content type uid
+   * @param {object} entry - Localization, with its dynamic zones populated, or data as written
+   * @returns {object} Zone → sha256 hex digest per block
+   */
+  hashBlocks(contentType, entry) {
+    const zones = strapi.service('api::translate.schema').getDynamicZones(contentType);
+    return Object.fromEntries(zones.map((zone) => [zone, (entry?.[zone] || []).map((block) => this.hashBlock(block))]));
+  },
+
+  /**
+   * Per-field and per-block hashes of a source revision
+   * @param {string} contentType - Content type uid
+   * @param {object} entry - Source localization, with its components and dynamic zones populated
+   * @returns {object} { fields: { field: hash }, blocks: { zone: hash[] } }
+   */
+  hashSource(contentType, entry) {
+    return {
+      fields: this.hashFields(contentType, entry),
+      blocks: this.hashBlocks(contentType, entry),
+    };
+  },
+
+  /**
+   * Target blocks of a dynamic zone that translation did not write. Markers
+   * recorded before blocks were tracked know of no edited block.
+   * @param {array} targetBlocks - Current target blocks
+   * @param {object} marker - Provenance marker of the target
+   * @param {string} zone - Dynamic zone
+   * @returns {object} { all: the editor added, removed or reordered blocks, indexes: Set of the edited blocks }
+   */
+  findEditedBlocks(targetBlocks = [], marker, zone) {
+    const blocks = targetBlocks || [];
+    if (marker && !marker.blockHashes) {
+      return { all: false, indexes: new Set() };
+    }
+    const recorded = marker?.blockHashes?.[zone] || [];
+    if (recorded.length !== blocks.length) {
+      return { all: blocks.length > 0, indexes: new Set(blocks.keys()) };
+    }
+    return {
+      all: false,
+      indexes: new Set([...blocks.keys()].filter((index) => this.hashBlock(blocks[index]) !== recorded[index])),
+    };
+  },
+
+  /**
+   * Hash a whole source revision: translated fields and dynamic zone blocks
+   * @param {string} contentType - Content type uid
+   * @param {object} entry - Source localization, with its components and dynamic zones populated
+   * @returns {string} sha256 hex digest
+   */
+  hashRevision(contentType, entry) {
+    return crypto.createHash('sha256').update(JSON.stringify(this.hashSource(contentType, entry))).digest('hex');
+  },
+
+  /**
+   * Plan the translation of a source revision into an existing (or new) localization:
+   * which fields may be written (edited and locked localizations keep their fields
+   * as the humanEdits policy says), which of them changed since the last translation,
+   * and which dynamic zone blocks must be translated or can be kept.
+   * A field or block is edited when it has a value translation did not write: every
+   * non-empty field and block of a localization translation never wrote counts as edited,
+   * and so does every block of a dynamic zone whose blocks an editor added, removed or moved.
+   * With `force`, every writable field and block is translated again, changed or not.
+   * @param {string} contentType - Content type uid
+   * @param {object} options - { sourceLocale, source, target, marker, force }
+   * @returns {object} {
+   *   blocked: nothing may be written,
+   *   fields: fields to translate and write,
+   *   zones: per dynamic zone, per source block { source } to translate or { reuse, edited } target block to keep,
+   *   untouched: [{ field, reason: 'locked' | 'edited' | 'policy' }], field being a field,
+   *     a dynamic zone kept whole or a block of one (`zone[index]`)
+   * }
+   */
+  planWrite(contentType, { sourceLocale, source, target, marker, force = false }) {
+    const schema = strapi.service('api::translate.schema');
+    const fields = schema.getTranslatableFields(contentType);
+    const zones = schema.getDynamicZones(contentType);
+
+    if (!target) {
+      return {
+        blocked: false,
+        fields: fields.filter((field) => !isEmpty(source[field])),
+        zones: Object.fromEntries(zones.map((zone) => [zone, (source[zone] || []).map((block) => ({ source: block }))])),
+        untouched: [],
+      };
+    }
+    if (marker?.state === 'locked') {
+      return { blocked: true, fields: [], zones: {}, untouched: [...fields, ...zones].map((field) => ({ field, reason: 'locked' })) };
+    }
+
+    const written = this.hashFields(contentType, target);
+    const policy = this.getPolicy(contentType);
+    const edited = policy === 'overwrite'
+      ? []
+      : fields.filter((field) => !isEmpty(target[field]) && written[field] !== marker?.fieldHashes?.[field]);
+    const editedBlocks = Object.fromEntries(zones.map((zone) => [
+      zone,
+      policy === 'overwrite' ? { all: false, indexes: new Set() } : this.findEditedBlocks(target[zone], marker, zone),
+    ]));
+    const editedZones = zones.filter((zone) => editedBlocks[zone].indexes.size > 0);
+    let writable = fields;
+    let untouched = [];
+
+    if ((edited.length || editedZones.length) && policy === 'skip') {
+      return {
+        blocked: true,
+        fields: [],
+        zones: {},
+        untouched: [...fields, ...zones].map((field) => ({
+          field,
+          reason: edited.includes(field) || editedZones.includes(field) ? 'edited' : 'policy',
+        })),
+      };
+    }
+    if (edited.length) {
+      writable = fields.filter((field) => !edited.includes(field));
+      untouched = edited.map((field) => ({ field, reason: 'edited' }));
+    }
+
+    // Hashes of the previous revision only apply when it came from the same source locale
+    const previous = !force && marker?.originLocale === sourceLocale ? marker.sourceHashes || {} : {};
+    const current = this.hashFields(contentType, source);
+    const changed = writable.filter((field) =>
+      !isEmpty(source[field]) && (current[field] !== previous.fields?.[field] || isEmpty(target[field]))
+    );
+
+    // A zone whose blocks an editor rearranged no longer lines up with the source: it is kept whole
+    const planned = {};
+    for (const zone of zones) {
+      if (editedBlocks[zone].all) {
+        planned[zone] = target[zone].map((block) => ({ reuse: block, edited: true }));
+        untouched.push({ field: zone, reason: 'edited' });
+        continue;
+      }
+      planned[zone] = this.planBlocks(source[zone], target[zone], previous.blocks?.[zone], editedBlocks[zone].indexes);
+      planned[zone].forEach((entry, index) => {
+        if (entry.edited) {
+          untouched.push({ field: `${zone}[${index}]`, reason: 'edited' });
+        }
+      });
+    }
+
+    return {
+      blocked: false,
+      fields: changed,
+      zones: planned,
+      untouched,
+    };
+  },
+
+  /**
+   * Match source blocks with the target blocks translated from them last time.
+   * Target blocks line up with the previous source blocks; when an editor added or
+   * removed target blocks they no longer do, and every block is translated again.
+   * A changed source block whose target block was edited keeps the edited block.
+   * @param {array} sourceBlocks - Current source blocks
+   * @param {array} targetBlocks - Current target blocks
+   * @param {string[]} previousHashes - Source block hashes of the last translation
+   * @param {Set<number>} edited - Positions of the target blocks an editor changed
+   * @returns {array} Per source block: { source } to translate or { reuse, edited } target block
+   */
+  planBlocks(sourceBlocks = [], targetBlocks = [], previousHashes = [], edited = new Set()) {
+    const targets = targetBlocks || [];
+    const previous = (previousHashes || []).length === targets.length ? previousHashes : [];
+    const used = new Set();
+
+    const planned = (sourceBlocks || []).map((block) => {
+      const hash = this.hashBlock(block);
+      const index = previous.findIndex((candidate, position) =>
+        candidate === hash && !used.has(position) && targets[position]?.__component === block.__component
+      );
+
+      if (index === -1) {
+        return { source: block };
+      }
+      used.add(index);
+      return { reuse: targets[index], edited: edited.has(index) };
+    });
+
+    // Changed source blocks: the edited target block in their place stays
+    return planned.map((entry, index) => {
+      const block = targets[index];
+      if (entry.source && edited.has(index) && !used.has(index) && block?.__component === entry.source.__component) {
+        used.add(index);
+        return { reuse: block, edited: true };
+      }
+      return entry;
+    });
+  },
+
+  /**
+   * Record the marker of a translation write. Called before the write, so the
+   * lifecycles it fires already see it. A write that changes the localization
+   * puts it back in review.
+   * @param {string} contentType - Content type uid
+   * @param {object} options - { documentId, sourceLocale, targetLocale, source, target, marker, data,
+   *   zones: blocks of each dynamic zone as written, untouched, changed, warnings }
+   * @returns {Promise<object>}
+   */
+  async recordWrite(contentType, { documentId, sourceLocale, targetLocale, source, target, marker, data, zones = {}, untouched, changed = !target || Object.keys(data).length > 0, warnings }) {
+    const result = { ...target, ...data, ...zones };
+    const review = changed
+      ? { reviewStatus: 'needs_review', reviewComment: null, reviewedBy: null, reviewedAt: null }
+      : {};
+
+    // Fields and blocks kept for an editor are not translation output: they stay out of
+    // fieldHashes, and their blocks are recorded without a hash
+    const kept = new Set(untouched.map(({ field }) => field));
+    const blockHashes = Object.fromEntries(Object.entries(this.hashBlocks(contentType, result)).map(([zone, hashes]) => [
+      zone,
+      hashes.map((hash, index) => (kept.has(zone) || kept.has(`${zone}[${index}]`) ? null : hash)),
+    ]));
+
+    return this.record(contentType, documentId, targetLocale, {
+      originLocale: sourceLocale,
+      sourceHash: this.hashRevision(contentType, source),
+      sourceHashes: this.hashSource(contentType, source),
+      contentHash: this.hashContent(contentType, result),
+      fieldHashes: { ...(target ? marker?.fieldHashes : {}), ...this.hashFields(contentType, result, Object.keys(data)) },
+      blockHashes,
+      state: untouched.some(({ reason }) => reason === 'edited') ? 'edited' : 'machine',
+      warnings,
+      ...review,
+    });
+  },
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Localized relations in API responses.
+ * A relation points to one row of a localized content type: the localization it
+ * was saved with, usually the default locale's (translations take the relations
+ * of their source over). localize() replaces the localized fields of populated
+ * relations with those of the localization in the entry's locale, so an article
+ * read in zh-Hant-HK shows its category and author in zh-Hant-HK. A relation
+ * without a localization in that locale is returned as it was populated.
+ */
+
+const STRUCTURE_TYPES = ['relation', 'media', 'component', 'dynamiczone'];
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Populated relations of a response in the locale of the entries holding them
+   * @param {string} contentType - Content type uid of the response's entries
+   * @param {object} response - { data, meta } of a core controller
+   * @param {string} [locale] - Requested locale, for entries returned without one
+   * @returns {Promise<object>} The response, changed in place
+   */
+  async localize(contentType, response, locale) {
+    const schema = strapi.service('api::translate.schema');
+    const entries = [].concat(response?.data || []);
+    const relations = Object.entries(schema.getAttributes(contentType))
+      .filter(([, attribute]) => attribute.type === 'relation' && schema.isLocalized(attribute.target));
+
+    // Related entries to swap, per target content type and locale
+    const wanted = new Map();
+    for (const entry of entries) {
+      const entryLocale = entry.locale || locale;
+      for (const [name, attribute] of relations) {
+        for (const related of [].concat(entry[name] || [])) {
+          if (!entryLocale || !related?.documentId || related.locale === entryLocale) {
+            continue;
+          }
+          const key = `${attribute.target}\u0000${entryLocale}`;
+          if (!wanted.has(key)) {
+            wanted.set(key, { target: attribute.target, locale: entryLocale, items: [] });
+          }
+          wanted.get(key).items.push(related);
+        }
+      }
+    }
+
+    for (const { target, locale: targetLocale, items } of wanted.values()) {
+      const rows = await strapi.db.query(target).findMany({
+        where: {
+          documentId: { $in: [...new Set(items.map((item) => item.documentId))] },
+          locale: targetLocale,
+          ...(schema.hasDraftAndPublish(target) ? { publishedAt: { $notNull: true } } : {}),
+        },
+      });
+      const byDocument = new Map(rows.map((row) => [row.documentId, row]));
+      const fields = Object.entries(schema.getAttributes(target))
+        .filter(([, attribute]) => attribute.pluginOptions?.i18n?.localized && !STRUCTURE_TYPES.includes(attribute.type))
+        .map(([name]) => name);
+
+      for (const item of items) {
+        const row = byDocument.get(item.documentId);
+        if (!row) {
+          continue;
+        }
+        item.id = row.id;
+        item.locale = row.locale;
+        for (const field of fields.filter((name) => name in item)) {
+          item[field] = row[field];
+        }
+      }
+    }
+
+    return response;
+  },
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Translation review service.
+ * Localizations written by automatic translation stay drafts marked
+ * `needs_review` until a bilingual editor approves them (which publishes them)
+ * or rejects them with a comment. The review state lives on the provenance
+ * marker; every change is announced through notify().
+ */
+
+const UID = 'api::translate.translation-provenance';
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Localizations by review state, most recently translated first
+   * @param {object} filters - { reviewStatus (defaults to needs_review), contentType, documentId, targetLocale }
+   * @param {object} pagination - { page, pageSize }
+   * @returns {Promise<object>} { results, pagination }
+   */
+  async list(filters = {}, { page = 1, pageSize = 25 } = {}) {
+    const where = { reviewStatus: filters.reviewStatus || 'needs_review' };
+    for (const key of ['contentType', 'documentId', 'targetLocale']) {
+      if (filters[key]) {
+        where[key] = filters[key];
+      }
+    }
+
+    const [results, total] = await Promise.all([
+      strapi.db.query(UID).findMany({
+        where,
+        orderBy: { translatedAt: 'desc' },
+        offset: (page - 1) * pageSize,
+        limit: pageSize,
+      }),
+      strapi.db.query(UID).count({ where }),
+    ]);
+
+    return {
+      results,
+      pagination: { page, pageSize, total, pageCount: Math.ceil(total / pageSize) },
+    };
+  },
+
+  /**
+   * Approve a translated localization and publish it
+   * @param {string} contentType - Content type uid
+   * @param {string} documentId - Document ID
+   * @param {string} locale - Locale of the localization
+   * @param {object} review - { comment, reviewer }
+   * @returns {Promise<object|null>} The marker, or null when the localization does not exist
+   */
+  async approve(contentType, documentId, locale, { comment, reviewer } = {}) {
+    const entry = await strapi.db.query(contentType).findOne({ where: { documentId, locale } });
+    if (!entry) {
+      return null;
+    }
+
+    if (strapi.contentTypes[contentType]?.options?.draftAndPublish) {
+      await strapi.documents(contentType).publish({ documentId, locale });
+    }
+
+    const marker = await this.setStatus(contentType, documentId, locale, 'approved', { comment, reviewer });
+    strapi.log.info(`[Review] ${reviewer || 'Someone'} approved ${contentType} ${documentId} (${locale})`);
+    await this.notify('translation.approved', marker);
+    return marker;
+  },
+
+  /**
+   * Reject a translated localization. It stays a draft; the comment tells the
+   * translator what to fix.
+   * @param {string} contentType - Content type uid
+   * @param {string} documentId - Document ID
+   * @param {string} locale - Locale of the localization
+   * @param {object} review - { comment, reviewer }
+   * @returns {Promise<object|null>} The marker, or null when the localization does not exist
+   */
+  async reject(contentType, documentId, locale, { comment, reviewer } = {}) {
+    const entry = await strapi.db.query(contentType).findOne({ where: { documentId, locale } });
+    if (!entry) {
+      return null;
+    }
+
+    const marker = await this.setStatus(contentType, documentId, locale, 'rejected', { comment, reviewer });
+    strapi.log.info(`[Review] ${reviewer || 'Someone'} rejected ${contentType} ${documentId} (${locale}): ${comment}`);
+    await this.notify('translation.rejected', marker);
+    return marker;
+  },
+
+  /**
+   * Store a review decision on the marker of a localization
+   * @returns {Promise<object>} The marker
+   */
+  async setStatus(contentType, documentId, targetLocale, reviewStatus, { comment, reviewer }) {
+    const data = { reviewStatus, reviewComment: comment || null, reviewedBy: reviewer || null, reviewedAt: new Date() };
+    const existing = await strapi.service('api::translate.provenance').find(contentType, documentId, targetLocale);
+
+    if (existing) {
+      return strapi.db.query(UID).update({ where: { id: existing.id }, data });
+    }
+    // Written by hand: there is no marker to hold the review yet
+    return strapi.db.query(UID).create({ data: { contentType, documentId, targetLocale, state: 'edited', ...data } });
+  },
+
+  /**
+   * Announce a review event on strapi.eventHub and to the configured webhook.
+   * A failing webhook is logged, never thrown: it must not fail the translation.
+   * @param {string} event - translation.needs_review, translation.approved, translation.rejected
+   *   or translation.language_mismatch
+   * @param {object} marker - Provenance marker of the localization
+   * @param {object} details - Added to the payload, e.g. { detection } of a language mismatch
+   */
+  async notify(event, marker, details = {}) {
+    const { webhookUrl, webhookHeaders = {} } = strapi.config.get('translate.review', {});
+    const payload = {
+      event,
+      createdAt: new Date().toISOString(),
+      localization: {
+        contentType: marker.contentType,
+        documentId: marker.documentId,
+        locale: marker.targetLocale,
+        originLocale: marker.originLocale,
+        reviewStatus: marker.reviewStatus,
+        reviewComment: marker.reviewComment,
+        reviewedBy: marker.reviewedBy,
+      },
+      ...details,
+    };
+
+    strapi.eventHub.emit(event, payload);
+
+    if (!webhookUrl) {
+      return;
+    }
+    try {
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...webhookHeaders },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      strapi.log.warn(`[Review] ${event} webhook failed: ${error.message}`);
+    }
+  },
+});
@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * Translation schema service.
+ * Reads content-type and component schemas to find what automatic translation
+ * works on: localized attributes (pluginOptions.i18n.localized) holding text,
+ * directly or inside components and dynamic zones. Components have no i18n
+ * options of their own: they are translated with the attribute that holds them.
+ */
+
+// Attribute type → how its value is translated
+const TEXT_TYPES = {
+  string: 'text',
+  text: 'text',
+  richtext: 'markdown',
+  blocks: 'blocks',
+};
+
+// Managed by Strapi, never copied to another localization
+const SYSTEM_ATTRIBUTES = ['id', 'documentId', 'locale', 'localizations', 'createdAt', 'updatedAt', 'publishedAt', 'createdBy', 'updatedBy'];
+
+// Components nested deeper than this are not followed
+const MAX_DEPTH = 5;
+
+const isLocalizedAttribute = (attribute) => attribute?.pluginOptions?.i18n?.localized === true;
+
+// The database returns null for fields written as empty strings or left out
+const normalize = (value) => (value === undefined || value === '' ? null : value);
+
+module.exports = ({ strapi }) => ({
+  /**
+   * @param {string} uid - Content type or component uid
+   * @returns {object|null} Schema
+   */
+  getSchema(uid) {
+    return strapi.contentTypes[uid] || strapi.components[uid] || null;
+  },
+
+  getAttributes(uid) {
+    return this.getSchema(uid)?.attributes || {};
+  },
+
+  /**
+   * @param {string} uid - Content type uid
+   * @returns {boolean} Whether the content type has i18n enabled
+   */
+  isLocalized(uid) {
+    return strapi.contentTypes[uid]?.pluginOptions?.i18n?.localized === true;
+  },
+
+  hasDraftAndPublish(uid) {
+    return strapi.contentTypes[uid]?.options?.draftAndPublish === true;
+  },
+
+  /**
+   * How a text attribute is translated
+   * @param {object} attribute - Attribute schema
+   * @returns {'text'|'markdown'|'blocks'|null} null when the attribute is not text
+   */
+  getTextFormat(attribute) {
+    return TEXT_TYPES[attribute?.type] || null;
+  },
+
+  /**
+   * Whether an attribute holds text, itself or in its (nested) components
+   * @param {object} attribute - Attribute schema
+   * @param {number} depth
+   * @returns {boolean}
+   */
+  hasText(attribute, depth = 0) {
+    if (TEXT_TYPES[attribute?.type]) {
+      return true;
+    }
+    if (depth >= MAX_DEPTH) {
+      return false;
+    }
+
+    const components = attribute?.type === 'component' ? [attribute.component]
+      : attribute?.type === 'dynamiczone' ? attribute.components
+        : [];
+    return components.some((uid) =>
+      Object.values(this.getAttributes(uid)).some((child) => this.hasText(child, depth + 1))
+    );
+  },
+
+  /**
+   * Localized attributes translated as a whole: text fields and components with text
+   * @param {string} uid - Content type uid
+   * @returns {string[]}
+   */
+  getTranslatableFields(uid) {
+    return Object.entries(this.getAttributes(uid))
+      .filter(([, attribute]) => isLocalizedAttribute(attribute) && attribute.type !== 'dynamiczone' && this.hasText(attribute))
+      .map(([name]) => name);
+  },
+
+  /**
+   * Localized dynamic zones, translated block by block
+   * @param {string} uid - Content type uid
+   * @returns {string[]}
+   */
+  getDynamicZones(uid) {
+    return Object.entries(this.getAttributes(uid))
+      .filter(([, attribute]) => isLocalizedAttribute(attribute) && attribute.type === 'dynamiczone' && this.hasText(attribute))
+      .map(([name]) => name);
+  },
+
+  /**
+   * Field shown as the title of an entry in logs and reports: `title`, or else
+   * the first string attribute
+   * @param {string} uid - Content type uid
+   * @returns {string|null}
+   */
+  getTitleField(uid) {
+    const attributes = this.getAttributes(uid);
+    if (attributes.title) {
+      return 'title';
+    }
+    return Object.keys(attributes).find((name) => attributes[name].type === 'string') || null;
+  },
+
+  /**
+   * Populate for reading an entry with its components and dynamic zones, nested ones included
+   * @param {string} uid - Content type or component uid
+   * @param {object} options - { relations: also populate media and relations (default true) }
+   * @returns {object} Populate object for the document service or db.query
+   */
+  getPopulate(uid, { relations = true } = {}, depth = 0) {
+    const populate = {};
+    if (depth >= MAX_DEPTH) {
+      return populate;
+    }
+
+    const nested = (componentUid) => {
+      const inner = this.getPopulate(componentUid, { relations }, depth + 1);
+      return Object.keys(inner).length ? { populate: inner } : true;
+    };
+
+    for (const [name, attribute] of Object.entries(this.getAttributes(uid))) {
+      if (SYSTEM_ATTRIBUTES.includes(name)) {
+        continue;
+      }
+      if (attribute.type === 'component') {
+        populate[name] = nested(attribute.component);
+      } else if (attribute.type === 'dynamiczone') {
+        populate[name] = { on: Object.fromEntries(attribute.components.map((component) => [component, nested(component)])) };
+      } else if (relations && (attribute.type === 'media' || attribute.type === 'relation')) {
+        populate[name] = true;
+      }
+    }
+    return populate;
+  },
+
+  /**
+   * The text content of a value, for hashing: text attributes and components,
+   * without ids, media or relations
+   * @param {object} attribute - Attribute schema
+   * @param {*} value
+   * @returns {*}
+   */
+  project(attribute, value, depth = 0) {
+    if (TEXT_TYPES[attribute?.type]) {
+      return normalize(value);
+    }
+    if (value === undefined || value === null || depth >= MAX_DEPTH) {
+      return null;
+    }
+    if (attribute.type === 'component') {
+      const project = (item) => this.projectComponent(attribute.component, item, depth + 1);
+      return Array.isArray(value) ? value.map(project) : project(value);
+    }
+    if (attribute.type === 'dynamiczone') {
+      return value.map((block) => ({ __component: block.__component, ...this.projectComponent(block.__component, block, depth + 1) }));
+    }
+    return null;
+  },
+
+  /**
+   * @param {string} uid - Component uid
+   * @param {object} value - Component
+   * @returns {object} Text attribute → projected value
+   */
+  projectComponent(uid, value, depth = 0) {
+    const projection = {};
+    for (const [name, attribute] of Object.entries(this.getAttributes(uid))) {
+      if (this.hasText(attribute, depth)) {
+        projection[name] = this.project(attribute, value?.[name], depth);
+      }
+    }
+    return projection;
+  },
+
+  /**
+   * Copy a value so it can be written to another localization: components lose
+   * their ids (new ones are created), media and relations become ids
+   * @param {object} attribute - Attribute schema
+   * @param {*} value
+   * @returns {*}
+   */
+  toWritable(attribute, value, depth = 0) {
+    if (value === undefined || value === null) {
+      return value;
+    }
+
+    switch (attribute?.type) {
+      case 'media':
+      case 'relation': {
+        const toId = (item) => (item && typeof item === 'object' ? item.id : item);
+        return Array.isArray(value) ? value.map(toId) : toId(value);
+      }
+      case 'component': {
+        const copy = (item) => this.toWritableComponent(attribute.component, item, depth + 1);
+        return Array.isArray(value) ? value.map(copy) : copy(value);
+      }
+      case 'dynamiczone':
+        return value.map((block) => ({ __component: block.__component, ...this.toWritableComponent(block.__component, block, depth + 1) }));
+      default:
+        return value;
+    }
+  },
+
+  toWritableComponent(uid, value, depth = 0) {
+    const copy = {};
+    if (depth >= MAX_DEPTH) {
+      return copy;
+    }
+    for (const [name, attribute] of Object.entries(this.getAttributes(uid))) {
+      if (value?.[name] !== undefined) {
+        copy[name] = this.toWritable(attribute, value[name], depth);
+      }
+    }
+    return copy;
+  },
+
+  /**
+   * Media files an entry uses, in its own media fields and in its components and
+   * dynamic zones
+   * @param {string} uid - Content type or component uid
+   * @param {object} entry - Entry, media populated
+   * @returns {object[]} Files (with id), each once
+   */
+  getMediaFiles(uid, entry, depth = 0) {
+    const files = new Map();
+    if (!entry || depth >= MAX_DEPTH) {
+      return [];
+    }
+
+    const add = (items) => [].concat(items || []).forEach((file) => file?.id && files.set(file.id, file));
+    for (const [name, attribute] of Object.entries(this.getAttributes(uid))) {
+      const value = entry[name];
+      if (attribute.type === 'media') {
+        add(value);
+      } else if (attribute.type === 'component') {
+        [].concat(value || []).forEach((item) => add(this.getMediaFiles(attribute.component, item, depth + 1)));
+      } else if (attribute.type === 'dynamiczone') {
+        (value || []).forEach((block) => add(this.getMediaFiles(block.__component, block, depth + 1)));
+      }
+    }
+    return [...files.values()];
+  },
+
+  /**
+   * What a new localization takes over from its source besides the translation:
+   * every attribute that is neither translated nor managed by Strapi (relations,
+   * media, uids, numbers, enumerations, components without text...). Relations
+   * owned by the other side (`mappedBy`, e.g. the articles of a category) are left
+   * out: writing them would move the related entries to the new localization.
+   * @param {string} uid - Content type uid
+   * @param {object} source - Source localization, relations populated
+   * @returns {object} Data to write
+   */
+  getSharedData(uid, source) {
+    const translated = [...this.getTranslatableFields(uid), ...this.getDynamicZones(uid)];
+    const data = {};
+
+    for (const [name, attribute] of Object.entries(this.getAttributes(uid))) {
+      if (SYSTEM_ATTRIBUTES.includes(name) || translated.includes(name) || attribute.type === 'password' || attribute.mappedBy || source[name] === undefined) {
+        continue;
+      }
+      data[name] = this.toWritable(attribute, source[name]);
+    }
+    return data;
+  },
+});
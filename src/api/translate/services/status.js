@@ -0,0 +1,269 @@
+'use strict';
+
+/**
+ * Translation status service.
+ * Per document and target locale, whether the localization is missing, up to
+ * date with its source, stale, queued or failed to translate. Backs the
+ * Translation Status admin page.
+ */
+
+const JOB_UID = 'api::translate.translation-job';
+const PROVENANCE_UID = 'api::translate.translation-provenance';
+
+const STATES = ['missing', 'up-to-date', 'stale', 'queued', 'failed', 'manual'];
+
+// Documents whose status is worked out at a time when filtering by state
+const BATCH_SIZE = 100;
+
+/**
+ * One row per locale: with draft & publish a locale has a draft and a published
+ * row, keep the most recently updated one
+ */
+function latestPerLocale(rows) {
+  const byLocale = new Map();
+  for (const row of rows) {
+    const current = byLocale.get(row.locale);
+    if (!current || new Date(row.updatedAt) > new Date(current.updatedAt)) {
+      byLocale.set(row.locale, row);
+    }
+  }
+  return byLocale;
+}
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Source locale of a document: the oldest localization translation did not
+   * write, or else the origin of a translated one
+   * @param {Map} localizations - Locale → localization
+   * @param {Map} markers - Target locale → provenance marker
+   * @returns {string|null}
+   */
+  findSourceLocale(localizations, markers) {
+    const authored = [...localizations.values()]
+      .filter((entry) => !markers.get(entry.locale)?.originLocale)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    if (authored.length) {
+      return authored[0].locale;
+    }
+    return [...markers.values()].find((marker) => marker.originLocale)?.originLocale || null;
+  },
+
+  /**
+   * Status of every document of the auto-translated content types. Filtered by
+   * state, the documents are only checked up to the end of the page, so the
+   * pagination has no total: `hasMore` tells whether there is a next page.
+   * @param {object} filters - { contentType, state, documentId }
+   * @param {object} pagination - { page, pageSize }
+   * @returns {Promise<object>} { results, pagination: { page, pageSize, total, pageCount, hasMore }, states, contentTypes }
+   */
+  async list(filters = {}, { page = 1, pageSize = 25 } = {}) {
+    const contentTypes = strapi.service('api::translate.jobs').getContentTypes();
+    const selected = contentTypes.filter((candidate) => !filters.contentType || candidate === filters.contentType);
+    const start = (page - 1) * pageSize;
+    const results = [];
+
+    if (filters.state) {
+      // States are worked out from the hashes, not stored: documents are checked a
+      // batch at a time until the page is full and one more match shows a next page
+      let matched = 0;
+      let hasMore = false;
+      for (const uid of selected) {
+        for (let offset = 0; !hasMore; offset += BATCH_SIZE) {
+          const documentIds = await this.findDocumentIds(uid, { documentId: filters.documentId, offset, limit: BATCH_SIZE });
+          const rows = documentIds.length ? await this.listContentType(uid, documentIds) : [];
+          for (const row of rows.filter((candidate) => Object.values(candidate.locales).some(({ state }) => state === filters.state))) {
+            if (results.length === pageSize) {
+              hasMore = true;
+              break;
+            }
+            if (matched >= start) {
+              results.push(row);
+            }
+            matched += 1;
+          }
+          if (documentIds.length < BATCH_SIZE) {
+            break;
+          }
+        }
+        if (hasMore) {
+          break;
+        }
+      }
+
+      return {
+        results,
+        pagination: { page, pageSize, total: null, pageCount: null, hasMore },
+        states: STATES,
+        contentTypes,
+      };
+    }
+
+    const counts = await Promise.all(selected.map((uid) => this.countDocuments(uid, filters.documentId)));
+    const total = counts.reduce((sum, count) => sum + count, 0);
+
+    let offset = start;
+    for (const [index, uid] of selected.entries()) {
+      if (results.length >= pageSize) {
+        break;
+      }
+      if (offset >= counts[index]) {
+        offset -= counts[index];
+        continue;
+      }
+      const documentIds = await this.findDocumentIds(uid, { documentId: filters.documentId, offset, limit: pageSize - results.length });
+      results.push(...await this.listContentType(uid, documentIds));
+      offset = 0;
+    }
+
+    return {
+      results,
+      pagination: { page, pageSize, total, pageCount: Math.ceil(total / pageSize), hasMore: start + results.length < total },
+      states: STATES,
+      contentTypes,
+    };
+  },
+
+  /**
+   * Documents of a content type, counted in the database
+   * @param {string} uid - Content type uid
+   * @param {string} [documentId] - Optional single document
+   * @returns {Promise<number>}
+   */
+  async countDocuments(uid, documentId) {
+    const { tableName, attributes } = strapi.db.metadata.get(uid);
+    const column = attributes.documentId.columnName;
+    const query = strapi.db.getConnection(tableName);
+    const [{ count }] = await (documentId ? query.where(column, documentId) : query).countDistinct({ count: column });
+    return Number(count) || 0;
+  },
+
+  /**
+   * One page of the documents of a content type, newest first
+   * @param {string} uid - Content type uid
+   * @param {object} options - { documentId: optional single document, offset, limit }
+   * @returns {Promise<string[]>} Document IDs
+   */
+  async findDocumentIds(uid, { documentId, offset = 0, limit }) {
+    const { tableName, attributes } = strapi.db.metadata.get(uid);
+    const column = attributes.documentId.columnName;
+    const query = strapi.db.getConnection(tableName)
+      .select(column)
+      .max({ created: attributes.createdAt.columnName })
+      .groupBy(column)
+      .orderBy([{ column: 'created', order: 'desc' }, { column, order: 'asc' }])
+      .offset(offset)
+      .limit(limit);
+    const rows = await (documentId ? query.where(column, documentId) : query);
+    return rows.map((row) => row[column]);
+  },
+
+  /**
+   * @param {string} uid - Content type uid
+   * @param {string[]} documentIds - Documents to list
+   * @returns {Promise<object[]>} One row per document, in the order of documentIds
+   */
+  async listContentType(uid, documentIds) {
+    const schema = strapi.service('api::translate.schema');
+    const provenance = strapi.service('api::translate.provenance');
+    const locales = strapi.service('api::translate.locales');
+    const attributes = schema.getAttributes(uid);
+    const titleField = schema.getTitleField(uid);
+    const where = { documentId: { $in: documentIds } };
+
+    // Only what the page shows and the source revision hash reads; components
+    // and dynamic zones are part of that hash
+    const select = [...new Set([
+      'id', 'documentId', 'locale', 'createdAt', 'updatedAt',
+      ...(titleField ? [titleField] : []),
+      ...schema.getTranslatableFields(uid).filter((field) => attributes[field].type !== 'component'),
+    ])];
+    const populate = schema.getPopulate(uid, { relations: false });
+
+    const [entries, markers, jobs] = await Promise.all([
+      strapi.db.query(uid).findMany({ where, select, populate }),
+      strapi.db.query(PROVENANCE_UID).findMany({ where: { contentType: uid, ...where } }),
+      strapi.db.query(JOB_UID).findMany({ where: { contentType: uid, ...where }, orderBy: { createdAt: 'desc' } }),
+    ]);
+
+    const documents = new Map(documentIds.map((docId) => [docId, []]));
+    for (const entry of entries) {
+      documents.get(entry.documentId)?.push(entry);
+    }
+
+    return [...documents.entries()].filter(([, rows]) => rows.length).map(([docId, rows]) => {
+      const localizations = latestPerLocale(rows);
+      const docMarkers = new Map(markers.filter((marker) => marker.documentId === docId).map((marker) => [marker.targetLocale, marker]));
+      const sourceLocale = this.findSourceLocale(localizations, docMarkers);
+      const source = localizations.get(sourceLocale);
+
+      const row = {
+        contentType: uid,
+        documentId: docId,
+        title: (titleField && (source?.[titleField] || rows[0][titleField])) || null,
+        sourceLocale,
+        locales: {},
+      };
+
+      for (const targetLocale of locales.getTargets(uid, sourceLocale)) {
+        const entry = localizations.get(targetLocale);
+        const marker = docMarkers.get(targetLocale);
+        // Jobs are sorted newest first: the first match is the latest attempt
+        const job = jobs.find((candidate) => candidate.documentId === docId && candidate.targetLocale === targetLocale);
+        const origin = marker?.originLocale && localizations.get(marker.originLocale);
+
+        let state;
+        if (job && (job.status === 'pending' || job.status === 'running')) {
+          state = 'queued';
+        } else if (job?.status === 'failed') {
+          state = 'failed';
+        } else if (!entry) {
+          state = 'missing';
+        } else if (!marker?.sourceHash) {
+          state = 'manual';
+        } else {
+          state = origin && provenance.hashRevision(uid, origin) === marker.sourceHash ? 'up-to-date' : 'stale';
+        }
+
+        row.locales[targetLocale] = {
+          state,
+          id: entry?.id || null,
+          locked: marker?.state === 'locked',
+          edited: marker?.state === 'edited',
+          review: marker?.reviewStatus || null,
+          warnings: marker?.warnings || [],
+          translatedAt: marker?.translatedAt || null,
+          jobId: job?.id || null,
+          error: state === 'failed' ? job.lastError : null,
+        };
+      }
+
+      return row;
+    });
+  },
+
+  /**
+   * Queue translation again for selected documents
+   * @param {object[]} rows - [{ contentType, documentId, locales?: string[] }]
+   * @returns {Promise<object[]>} Queued jobs
+   */
+  async retranslate(rows) {
+    const jobs = strapi.service('api::translate.jobs');
+    const queued = [];
+
+    for (const { contentType, documentId, locales: only } of rows) {
+      const [row] = await this.listContentType(contentType, [documentId]);
+      if (!row?.sourceLocale) {
+        continue;
+      }
+
+      for (const targetLocale of Object.keys(row.locales)) {
+        if (!only || only.includes(targetLocale)) {
+          queued.push(await jobs.enqueue(contentType, { documentId, sourceLocale: row.sourceLocale, targetLocale, trigger: 'manual' }));
+        }
+      }
+    }
+
+    return queued;
+  },
+});
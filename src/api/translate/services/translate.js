@@ -1,242 +1,546 @@
 'use strict';
 
-const deepl = require('deepl-node');
+const { createProvider, resolveProviderName } = require('../providers');
+const { segmentMarkdown } = require('../utils/markdown');
+const { segmentBlocks } = require('../utils/blocks');
 
 /**
  * translate service.
  */
 
-module.exports = ({ strapi }) => ({
-  /**
-   * Translate text using DeepL API
-   * @param {string} text - Text to translate
-   * @param {string} sourceLang - Source language code (e.g., 'EN', 'zh-TW')
-   * @param {string} targetLang - Target language code (e.g., 'EN', 'zh-TW')
-   * @returns {Promise<string>} Translated text
-   */
-  async translateText(text, sourceLang, targetLang) {
-    const apiKey = process.env.DEEPL_API_KEY;
-
-    if (!apiKey) {
-      throw new Error('DEEPL_API_KEY environment variable is not set');
+/**
+ * Split items into batches that respect the provider's request limits
+ * @param {array} items - [{ text }]
+ * @param {object} limits - { maxTexts, maxCharacters }
+ * @returns {array[]} Batches
+ */
+function chunkByLimits(items, { maxTexts = 50, maxCharacters = 30000 } = {}) {
+  const batches = [];
+  let current = [];
+  let characters = 0;
+
+  for (const item of items) {
+    if (current.length && (current.length >= maxTexts || characters + item.text.length > maxCharacters)) {
+      batches.push(current);
+      current = [];
+      characters = 0;
     }
+    current.push(item);
+    characters += item.text.length;
+  }
 
-    // Skip empty strings
-    if (!text || text.trim() === '') {
-      return text;
-    }
+  if (current.length) {
+    batches.push(current);
+  }
+  return batches;
+}
 
-    // Map Strapi locale codes to DeepL language codes
-    // DeepL API language codes (CORRECT):
-    // - 'EN-US' or 'EN-GB' for English (just 'EN' is deprecated for target)
-    // - 'ZH-HANS' for Simplified Chinese
-    // - 'ZH-HANT' for Traditional Chinese
-    const localeMap = {
-      'en': 'EN-US',  // Use EN-US for English (EN is deprecated as target)
-      'EN': 'EN-US',
-      'en-US': 'EN-US',
-      'en-GB': 'EN-GB',
-      'zh-TW': 'ZH-HANT',  // Traditional Chinese
-      'zh-Hant-HK': 'ZH-HANT',  // Traditional Chinese (Hong Kong)
-      'zh-HK': 'ZH-HANT',  // Traditional Chinese
-      'zh': 'ZH-HANT',  // Default to Traditional Chinese
-      'zh-Hans': 'ZH-HANS',  // Simplified Chinese
-    };
-
-    // For source language, DeepL accepts 'EN' and 'ZH' (auto-detects variant)
-    const sourceLocaleMap = {
-      'en': 'EN',
-      'EN': 'EN',
-      'en-US': 'EN',
-      'en-GB': 'EN',
-      'zh-TW': 'ZH',  // For source, just use ZH
-      'zh-Hant-HK': 'ZH',
-      'zh-HK': 'ZH',
-      'zh': 'ZH',
-      'zh-Hans': 'ZH',
-    };
-
-    const sourceLangCode = sourceLocaleMap[sourceLang] || (sourceLang.toLowerCase().startsWith('zh') ? 'ZH' : 'EN');
-    let targetLangCode = localeMap[targetLang] || (targetLang.toLowerCase().startsWith('zh') ? 'ZH-HANT' : 'EN-US');
-
-    // Force Traditional Chinese (ZH-HANT) for Traditional Chinese locales
-    if (targetLang === 'zh-Hant-HK' || targetLang === 'zh-TW' || targetLang === 'zh-HK' || 
-        (targetLang.toLowerCase().startsWith('zh') && !targetLang.toLowerCase().includes('hans'))) {
-      targetLangCode = 'ZH-HANT';  // DeepL code for Traditional Chinese
-    }
+/**
+ * Collects the translatable segments of an entry so they can be sent to the
+ * provider together; `add` returns a getter for the segment's translation.
+ */
+function createCollector() {
+  const segments = [];
+
+  return {
+    segments,
+    add(text, { format = 'text', field } = {}) {
+      const index = segments.length;
+      segments.push({ text, format, field });
+      return (results) => results[index].text;
+    },
+  };
+}
+
+module.exports = ({ strapi }) => {
+  // Provider instances are cached so clients (e.g. deepl.Translator) are built once
+  const providerCache = new Map();
+
+  return {
+    /**
+     * Get the provider configured for a locale pair. A derived Chinese locale
+     * (see api::translate.chinese) uses the provider of its base locale.
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @returns {object} Provider instance
+     */
+    getProvider(sourceLocale, targetLocale) {
+      const settings = strapi.config.get('translate', {});
+      const baseLocale = strapi.service('api::translate.chinese').getBaseLocale(targetLocale);
+      const name = resolveProviderName(settings, sourceLocale, baseLocale || targetLocale);
+
+      if (!providerCache.has(name)) {
+        const config = { ...settings.providers?.[name], languageCodes: settings.languageCodes?.[name] };
+        providerCache.set(name, createProvider(name, { strapi, config }));
+      }
 
-    // Force EN-US for English target locales
-    if (targetLang === 'en' || targetLang === 'EN' || targetLang === 'en-US') {
-      targetLangCode = 'EN-US';  // DeepL requires EN-US or EN-GB, not just EN
-    }
+      return providerCache.get(name);
+    },
+
+    /**
+     * Whether the provider for a locale pair has the credentials it needs
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @returns {boolean}
+     */
+    isConfigured(sourceLocale, targetLocale) {
+      return this.getProvider(sourceLocale, targetLocale).isConfigured();
+    },
+
+    /**
+     * Translate text using the provider configured for the locale pair,
+     * applying the pair's glossary and consulting the translation memory first
+     * @param {string} text - Text to translate
+     * @param {string} sourceLang - Source language code (e.g., 'en', 'zh-Hant-HK')
+     * @param {string} targetLang - Target language code (e.g., 'en', 'zh-Hant-HK')
+     * @param {object} options - { format: 'text' | 'xml', contentType, trigger } (contentType and trigger are recorded with the usage)
+     * @returns {Promise<string>} Translated text
+     */
+    async translateText(text, sourceLang, targetLang, { format = 'text', contentType, trigger } = {}) {
+      const [result] = await this.translateSegments([{ text, format }], sourceLang, targetLang, { contentType, trigger });
+
+      if (result.error) {
+        throw new Error(`Translation failed: ${result.error}`);
+      }
+      return result.text;
+    },
+
+    /**
+     * Ask the provider of a locale pair for a translation of at most maxLength
+     * characters. Only providers declaring `supportsMaxLength` take a length; the
+     * result bypasses the translation memory, which keeps the full translation.
+     * @param {string} text - Text to translate
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @param {number} maxLength - Length limit
+     * @param {object} usage - { contentType, trigger } recorded with the usage, or { dryRun } to record nothing
+     * @returns {Promise<string|null>} null when the provider cannot take a length
+     */
+    async translateShorter(text, sourceLocale, targetLocale, maxLength, usage = {}) {
+      const chinese = strapi.service('api::translate.chinese');
+      const baseLocale = chinese.getBaseLocale(targetLocale);
+      if (baseLocale) {
+        const shorter = baseLocale === sourceLocale ? null : await this.translateShorter(text, sourceLocale, baseLocale, maxLength, usage);
+        return shorter === null ? null : chinese.convert(shorter, targetLocale);
+      }
 
-    try {
-      // Initialize translator - for free API, use 'https://api-free.deepl.com'
-      const apiUrl = process.env.DEEPL_API_URL;
-      const translator = apiUrl 
-        ? new deepl.Translator(apiKey, { serverUrl: apiUrl })
-        : new deepl.Translator(apiKey);
-      
-      // Use null for source language to let DeepL auto-detect, or specific language code
-      const sourceLangForApi = sourceLangCode === 'auto' ? null : sourceLangCode;
-
-      strapi.log.info(`[Translate] Translating from ${sourceLangForApi || 'auto'} to ${targetLangCode} (${targetLangCode === 'ZH-HANT' ? 'Traditional Chinese' : targetLangCode === 'ZH-HANS' ? 'Simplified Chinese' : targetLangCode})`);
-
-      const result = await translator.translateText(
-        text,
-        sourceLangForApi,
-        targetLangCode
-      );
+      const provider = this.getProvider(sourceLocale, targetLocale);
+      if (!provider.supportsMaxLength) {
+        return null;
+      }
 
-      return result.text;
-    } catch (error) {
-      strapi.log.error('DeepL translation error:', error);
-      throw new Error(`Translation failed: ${error.message}`);
-    }
-  },
-
-  /**
-   * Translate dynamic zone blocks (e.g., rich-text, quote components)
-   * @param {array} blocks - Dynamic zone blocks array
-   * @param {string} sourceLocale - Source locale code
-   * @param {string} targetLocale - Target locale code
-   * @returns {Promise<array>} Translated blocks
-   */
-  async translateBlocks(blocks, sourceLocale, targetLocale) {
-    if (!blocks || !Array.isArray(blocks)) {
-      return blocks;
-    }
+      const glossaryService = strapi.service('api::translate.glossary');
+      const glossary = await glossaryService.getForPair(sourceLocale, targetLocale);
+      const prepared = glossaryService.protect(text, glossary, provider);
+      const translated = await provider.translate(prepared.text, {
+        sourceLocale,
+        targetLocale,
+        glossaryId: prepared.glossaryId,
+        format: 'text',
+        maxLength,
+      });
+      if (!usage.dryRun) {
+        await strapi.service('api::translate.usage').record({
+          ...usage,
+          provider: provider.name,
+          sourceLocale,
+          targetLocale,
+          characters: prepared.text.length,
+        });
+      }
+      const localize = await chinese.getRegionalConverter(targetLocale);
+      return prepared.restore(localize(translated));
+    },
+
+    /**
+     * Translate many segments with as few provider requests as possible: glossary
+     * terms are protected, memory hits are resolved in one query, duplicates are
+     * sent once and the rest goes out in batches bounded by the provider's limits.
+     * A failing batch is retried segment by segment so one bad string cannot sink the rest.
+     * The characters sent are recorded (see api::translate.usage) and the translations
+     * stored in the memory, except in a dry run, which leaves both alone. Chinese output is
+     * converted to the regional variant of the target locale, and derived Chinese
+     * locales are converted from the translation into their base locale (see
+     * api::translate.chinese).
+     * @param {array} segments - [{ text, format: 'text' | 'xml', field }]
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @param {object} usage - { contentType, trigger: 'lifecycle' | 'api' | 'manual' | 'bulk', dryRun }
+     * @returns {Promise<array>} [{ text, error, field }] in input order; `error` is null on success
+     */
+    async translateSegments(segments, sourceLocale, targetLocale, usage = {}) {
+      const results = segments.map(({ text, field }) => ({ text, error: null, field }));
+      const pending = segments
+        .map((segment, index) => ({ ...segment, index }))
+        .filter(({ text }) => text && text.trim() !== '');
+
+      if (!pending.length) {
+        return results;
+      }
+
+      // No provider call of its own: the base locale's translation (often from memory) is converted
+      const chinese = strapi.service('api::translate.chinese');
+      const baseLocale = chinese.getBaseLocale(targetLocale);
+      if (baseLocale) {
+        const base = baseLocale === sourceLocale ? results : await this.translateSegments(segments, sourceLocale, baseLocale, usage);
+        const convert = await chinese.getConverter(targetLocale);
+        return base.map((result) => (result.error ? result : { ...result, text: convert(result.text) }));
+      }
+
+      const provider = this.getProvider(sourceLocale, targetLocale);
+      const memory = strapi.service('api::translate.memory');
+      const glossaryService = strapi.service('api::translate.glossary');
+      // Before placeholders are restored, so glossary terms stay as written
+      const localize = await chinese.getRegionalConverter(targetLocale);
 
-    const translatedBlocks = [];
+      // Glossary and do-not-translate terms
+      const glossary = await glossaryService.getForPair(sourceLocale, targetLocale);
+      for (const item of pending) {
+        item.prepared = glossaryService.protect(item.text, glossary, provider);
+      }
 
-    for (const block of blocks) {
-      const translatedBlock = { ...block };
-      
-      // Remove id to create new block in target locale
-      delete translatedBlock.id;
+      // Unchanged strings are served from the translation memory at zero cost
+      const cached = await memory.lookupMany(
+        [...new Set(pending.map((item) => item.prepared.text))],
+        sourceLocale,
+        targetLocale,
+        provider.name
+      );
 
-      // Handle different component types
-      if (block.__component === 'shared.rich-text' && block.body) {
-        translatedBlock.body = await this.translateText(block.body, sourceLocale, targetLocale);
-      } else if (block.__component === 'shared.quote') {
-        if (block.title) {
-          translatedBlock.title = await this.translateText(block.title, sourceLocale, targetLocale);
+      // Identical strings in the same format are only sent once
+      const requests = new Map();
+      for (const item of pending) {
+        if (cached.has(item.prepared.text)) {
+          results[item.index].text = item.prepared.restore(localize(cached.get(item.prepared.text)));
+          continue;
         }
-        if (block.body) {
-          translatedBlock.body = await this.translateText(block.body, sourceLocale, targetLocale);
+        const key = `${item.format || 'text'}:${item.prepared.text}`;
+        if (!requests.has(key)) {
+          requests.set(key, { text: item.prepared.text, format: item.format || 'text', glossaryId: item.prepared.glossaryId, items: [] });
         }
+        requests.get(key).items.push(item);
       }
-      // shared.media and shared.slider don't need text translation
 
-      translatedBlocks.push(translatedBlock);
-    }
+      if (!requests.size) {
+        return results;
+      }
 
-    return translatedBlocks;
-  },
-
-  /**
-   * Translate an article and return data for creating/updating target locale
-   * @param {object} article - Source article object
-   * @param {string} sourceLocale - Source locale code
-   * @param {string} targetLocale - Target locale code
-   * @returns {Promise<object>} Translated article data
-   */
-  async translateArticle(article, sourceLocale, targetLocale) {
-    const translatedData = {};
-
-    // Translate text fields
-    if (article.title) {
-      translatedData.title = await this.translateText(article.title, sourceLocale, targetLocale);
-    }
+      const groups = new Map();
+      for (const request of requests.values()) {
+        const groupKey = `${request.format}:${request.glossaryId || ''}`;
+        if (!groups.has(groupKey)) {
+          groups.set(groupKey, []);
+        }
+        groups.get(groupKey).push(request);
+      }
 
-    if (article.description) {
-      translatedData.description = await this.translateText(article.description, sourceLocale, targetLocale);
-    }
+      const translate = async (batch) => {
+        const characters = batch.reduce((sum, request) => sum + request.text.length, 0);
+        const options = {
+          sourceLocale,
+          targetLocale,
+          glossaryId: batch[0].glossaryId,
+          format: batch[0].format,
+        };
+        let translated;
+        if (provider.translateBatch) {
+          translated = await provider.translateBatch(batch.map((request) => request.text), options);
+        } else {
+          translated = [];
+          for (const request of batch) {
+            translated.push(await provider.translate(request.text, options));
+          }
+        }
+        sent.characters += characters;
+        sent.requests += provider.translateBatch ? 1 : batch.length;
+        return translated;
+      };
+
+      const stored = [];
+      const sent = { characters: 0, requests: 0 };
+      const settle = (request, translated, error) => {
+        if (!error) {
+          stored.push({ text: request.text, translatedText: translated });
+        }
+        for (const item of request.items) {
+          results[item.index].text = error ? item.text : item.prepared.restore(localize(translated));
+          results[item.index].error = error;
+        }
+      };
+
+      strapi.log.info(`[Translate] Translating ${requests.size} segment(s) from ${sourceLocale} to ${targetLocale} with ${provider.name} (${pending.length - [...requests.values()].reduce((sum, request) => sum + request.items.length, 0)} from memory)`);
+
+      for (const group of groups.values()) {
+        for (const batch of chunkByLimits(group, provider.batchLimits)) {
+          try {
+            const translated = await translate(batch);
+            batch.forEach((request, index) => settle(request, translated[index], null));
+          } catch (error) {
+            if (batch.length === 1) {
+              strapi.log.error(`[Translate] ${provider.name} translation error: ${error.message}`);
+              settle(batch[0], null, error.message);
+              continue;
+            }
+
+            strapi.log.warn(`[Translate] ${provider.name} batch of ${batch.length} failed (${error.message}), retrying one by one`);
+            for (const request of batch) {
+              try {
+                const [translated] = await translate([request]);
+                settle(request, translated, null);
+              } catch (segmentError) {
+                strapi.log.error(`[Translate] ${provider.name} translation error: ${segmentError.message}`);
+                settle(request, null, segmentError.message);
+              }
+            }
+          }
+        }
+      }
 
-    if (article.cover_text) {
-      translatedData.cover_text = await this.translateText(article.cover_text, sourceLocale, targetLocale);
-    }
+      if (!usage.dryRun) {
+        await memory.storeMany(stored, sourceLocale, targetLocale, provider.name);
+        await strapi.service('api::translate.usage').record({ ...usage, provider: provider.name, sourceLocale, targetLocale, ...sent });
+      }
 
-    // Translate dynamic zone blocks
-    if (article.blocks && article.blocks.length > 0) {
-      translatedData.blocks = await this.translateBlocks(article.blocks, sourceLocale, targetLocale);
-    }
+      return results;
+    },
+
+    /**
+     * Translate the collected segments and fail with a per-segment report if any failed
+     * @param {object} collector - From createCollector()
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @param {object} usage - { contentType, trigger } recorded with the usage
+     * @returns {Promise<array>} Segment results
+     */
+    async translateCollected(collector, sourceLocale, targetLocale, usage = {}) {
+      const results = await this.translateSegments(collector.segments, sourceLocale, targetLocale, usage);
+      const failed = results.filter((result) => result.error);
+
+      if (failed.length) {
+        const error = new Error(
+          `Translation failed for ${failed.length} of ${results.length} segment(s): ` +
+          failed.map((result) => `${result.field || 'text'} (${result.error})`).join('; ')
+        );
+        error.details = failed.map(({ field, error: message }) => ({ field, error: message }));
+        throw error;
+      }
 
-    // Copy non-translatable fields
-    // Use article ID as slug (will be updated by lifecycle hook after creation)
-    // For translated articles, we'll let the lifecycle hook set the correct ID
-    if (article.id) {
-      // Temporarily use source article ID, will be updated after creation
-      translatedData.slug = String(article.id);
-    } else if (article.slug) {
-      translatedData.slug = article.slug;
-    }
+      return results;
+    },
+
+    /**
+     * Queue a plain string; empty strings are returned as they are
+     * @param {object} collector - From createCollector()
+     * @param {string} text - Source text
+     * @param {string} field - Field path used in error reports
+     * @returns {function} build(results) → translated text
+     */
+    collectText(collector, text, field) {
+      if (!text || text.trim() === '') {
+        return () => text;
+      }
+      return collector.add(text, { field });
+    },
+
+    /**
+     * Queue markdown while keeping its structure: only prose segments are sent
+     * to the provider, code, URLs and markup come back exactly as written
+     * @param {object} collector - From createCollector()
+     * @param {string} markdown - Markdown source
+     * @param {string} field - Field path used in error reports
+     * @returns {function} build(results) → translated markdown
+     */
+    collectMarkdown(collector, markdown, field) {
+      if (!markdown || markdown.trim() === '') {
+        return () => markdown;
+      }
 
-    // Copy relations (author, category, cover image)
-    if (article.author?.id) {
-      translatedData.author = article.author.id;
-    }
-    if (article.category?.id) {
-      translatedData.category = article.category.id;
-    }
-    if (article.cover?.id) {
-      translatedData.cover = article.cover.id;
-    }
+      const { segments, render } = segmentMarkdown(markdown);
+      const getters = segments.map((segment) => collector.add(segment, { format: 'xml', field }));
+
+      return (results) => render(getters.map((get) => get(results)));
+    },
+
+    /**
+     * Queue a Blocks-editor value (attribute type 'blocks'): text leaves are
+     * translated, formatting marks, links, inline code, code blocks and images are kept
+     * @param {object} collector - From createCollector()
+     * @param {array} blocks - Blocks JSON (paragraphs, headings, lists, quotes...)
+     * @param {string} field - Field path used in error reports
+     * @returns {function} build(results) → translated Blocks JSON
+     */
+    collectBlocksContent(collector, blocks, field) {
+      if (!blocks || !Array.isArray(blocks)) {
+        return () => blocks;
+      }
 
-    return translatedData;
-  },
-
-  /**
-   * Translate content entry fields
-   * @param {object} entry - Content entry object
-   * @param {string} sourceLocale - Source locale code
-   * @param {string} targetLocale - Target locale code
-   * @param {array} fieldsToTranslate - Array of field names to translate
-   * @returns {Promise<object>} Translated entry data
-   */
-  async translateEntry(entry, sourceLocale, targetLocale, fieldsToTranslate = []) {
-    const translatedData = { ...entry };
-
-    for (const fieldName of fieldsToTranslate) {
-      if (entry[fieldName]) {
-        const fieldValue = entry[fieldName];
-        
-        // Handle different field types
-        if (typeof fieldValue === 'string') {
-          translatedData[fieldName] = await this.translateText(
-            fieldValue,
-            sourceLocale,
-            targetLocale
-          );
-        } else if (Array.isArray(fieldValue)) {
-          // Handle array fields (e.g., rich text components)
-          translatedData[fieldName] = await Promise.all(
-            fieldValue.map(async (item) => {
-              if (typeof item === 'string') {
-                return await this.translateText(item, sourceLocale, targetLocale);
-              } else if (typeof item === 'object') {
-                // Recursively translate object fields
-                const translatedItem = { ...item };
-                delete translatedItem.id; // Remove id for new entries
-                for (const key in item) {
-                  if (typeof item[key] === 'string') {
-                    translatedItem[key] = await this.translateText(
-                      item[key],
-                      sourceLocale,
-                      targetLocale
-                    );
-                  }
-                }
-                return translatedItem;
-              }
-              return item;
-            })
-          );
+      const { segments, render } = segmentBlocks(blocks);
+      const getters = segments.map((segment) => collector.add(segment, { format: 'xml', field }));
+
+      return (results) => render(getters.map((get) => get(results)));
+    },
+
+    /**
+     * Queue a value according to its attribute schema: text, markdown and Blocks
+     * are translated, components and dynamic zones are walked, media and
+     * relations are kept (as ids)
+     * @param {object} collector - From createCollector()
+     * @param {object} attribute - Attribute schema
+     * @param {*} value - Source value
+     * @param {string} field - Field path used in error reports
+     * @returns {function} build(results) → translated value
+     */
+    collectValue(collector, attribute, value, field) {
+      const schema = strapi.service('api::translate.schema');
+
+      switch (schema.getTextFormat(attribute)) {
+        case 'text':
+          return this.collectText(collector, value, field);
+        case 'markdown':
+          return this.collectMarkdown(collector, value, field);
+        case 'blocks':
+          return this.collectBlocksContent(collector, value, field);
+      }
+
+      if (attribute?.type === 'component' && value) {
+        if (!attribute.repeatable) {
+          return this.collectComponent(collector, attribute.component, value, field);
         }
+        const items = value.map((item, index) => this.collectComponent(collector, attribute.component, item, `${field}[${index}]`));
+        return (results) => items.map((build) => build(results));
+      }
+      if (attribute?.type === 'dynamiczone') {
+        return this.collectBlocks(collector, value, field);
+      }
+
+      const copy = schema.toWritable(attribute, value);
+      return () => copy;
+    },
+
+    /**
+     * Queue the attributes of a component. The copy has no id: the target
+     * localization gets a component of its own.
+     * @param {object} collector - From createCollector()
+     * @param {string} uid - Component uid
+     * @param {object} component - Source component
+     * @param {string} field - Field path used in error reports
+     * @returns {function} build(results) → translated component
+     */
+    collectComponent(collector, uid, component, field) {
+      if (!component) {
+        return () => component;
       }
-    }
 
-    return translatedData;
-  },
-});
+      const attributes = strapi.service('api::translate.schema').getAttributes(uid);
+      const builders = Object.entries(attributes)
+        .filter(([name]) => component[name] !== undefined)
+        .map(([name, attribute]) => [name, this.collectValue(collector, attribute, component[name], `${field}.${name}`)]);
+
+      return (results) => {
+        const translated = component.__component ? { __component: component.__component } : {};
+        for (const [name, build] of builders) {
+          translated[name] = build(results);
+        }
+        return translated;
+      };
+    },
+
+    /**
+     * Queue dynamic zone blocks, each according to its component schema
+     * @param {object} collector - From createCollector()
+     * @param {array} blocks - Dynamic zone blocks array
+     * @param {string} field - Field path used in error reports
+     * @returns {function} build(results) → translated blocks
+     */
+    collectBlocks(collector, blocks, field = 'blocks') {
+      if (!blocks || !Array.isArray(blocks)) {
+        return () => blocks;
+      }
 
+      const builders = blocks.map((block, index) => this.collectComponent(collector, block.__component, block, `${field}[${index}]`));
+      return (results) => builders.map((build) => build(results));
+    },
+
+    /**
+     * Queue the translatable fields and dynamic zones of an entry, as its schema
+     * says. Only the ones present in `entry` are queued, so a partial entry
+     * translates part of a localization.
+     * @param {object} collector - From createCollector()
+     * @param {object} options - { contentType, entry }
+     * @returns {function} build(results) → translated data
+     */
+    collectEntry(collector, { contentType, entry }) {
+      const schema = strapi.service('api::translate.schema');
+      const attributes = schema.getAttributes(contentType);
+      const builders = [...schema.getTranslatableFields(contentType), ...schema.getDynamicZones(contentType)]
+        .filter((name) => entry[name] !== undefined && entry[name] !== null)
+        .map((name) => [name, this.collectValue(collector, attributes[name], entry[name], name)]);
+
+      return (results) => Object.fromEntries(builders.map(([name, build]) => [name, build(results)]));
+    },
+
+    /**
+     * Run a collect* method and translate everything it queued in one go
+     * @param {string} method - Name of the collect* method
+     * @param {*} value - Value passed to the collect* method
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @param {object} usage - { contentType, trigger } recorded with the usage
+     * @returns {Promise<*>} Translated value
+     */
+    async translateWith(method, value, sourceLocale, targetLocale, usage = {}) {
+      const collector = createCollector();
+      const build = this[method](collector, value);
+      const results = await this.translateCollected(collector, sourceLocale, targetLocale, usage);
+      return build(results);
+    },
+
+    /**
+     * Translate markdown while keeping its structure
+     * @param {string} markdown - Markdown source
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @returns {Promise<string>} Translated markdown
+     */
+    async translateMarkdown(markdown, sourceLocale, targetLocale) {
+      return this.translateWith('collectMarkdown', markdown, sourceLocale, targetLocale);
+    },
+
+    /**
+     * Translate a Blocks-editor value (attribute type 'blocks')
+     * @param {array} blocks - Blocks JSON
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @returns {Promise<array>} Translated Blocks JSON
+     */
+    async translateBlocksContent(blocks, sourceLocale, targetLocale) {
+      return this.translateWith('collectBlocksContent', blocks, sourceLocale, targetLocale);
+    },
+
+    /**
+     * Translate dynamic zone blocks (e.g., rich-text, quote components)
+     * @param {array} blocks - Dynamic zone blocks array
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @returns {Promise<array>} Translated blocks
+     */
+    async translateBlocks(blocks, sourceLocale, targetLocale) {
+      return this.translateWith('collectBlocks', blocks, sourceLocale, targetLocale);
+    },
+
+    /**
+     * Translate the localized fields of an entry of any localized content type,
+     * reading its schema. All fields, components and blocks go to the provider in
+     * one or a few batched requests.
+     * @param {string} contentType - Content type uid
+     * @param {object} entry - Source entry, components and dynamic zones populated
+     * @param {string} sourceLocale - Source locale code
+     * @param {string} targetLocale - Target locale code
+     * @param {object} options - { trigger } recorded with the usage, { dryRun } to record nothing
+     * @returns {Promise<object>} Translated data for the fields present in `entry`
+     */
+    async translateEntry(contentType, entry, sourceLocale, targetLocale, { trigger, dryRun = false } = {}) {
+      return this.translateWith('collectEntry', { contentType, entry }, sourceLocale, targetLocale, { contentType, trigger, dryRun });
+    },
+  };
+};
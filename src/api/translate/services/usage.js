@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Translation usage service.
+ * Counts the characters sent to translation providers, per (UTC) day, provider,
+ * locale pair, content type and trigger; translation memory hits cost nothing
+ * and are not counted. Enforces the monthly character budgets of
+ * config/translate.js: once a budget is used up, automatic translations wait
+ * for the next month (or a higher budget) while manual, API and bulk runs go on.
+ */
+
+const UID = 'api::translate.translation-usage';
+
+// What started a translation
+const TRIGGERS = ['lifecycle', 'api', 'manual', 'bulk'];
+
+// Triggers paused by an exceeded budget
+const AUTOMATIC_TRIGGERS = ['lifecycle'];
+
+const FILTERS = ['provider', 'sourceLocale', 'targetLocale', 'contentType', 'trigger'];
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+const monthStart = (date = new Date()) => `${date.toISOString().slice(0, 7)}-01`;
+
+const add = (totals, key, characters) => {
+  totals[key] = (totals[key] || 0) + characters;
+};
+
+/**
+ * Characters and requests of usage rows, in total and broken down
+ * @param {object[]} rows - Usage rows
+ * @returns {object} { characters, requests, byProvider, byPair, byContentType, byTrigger }
+ */
+function summarize(rows) {
+  const summary = { characters: 0, requests: 0, byProvider: {}, byPair: {}, byContentType: {}, byTrigger: {} };
+
+  for (const row of rows) {
+    const characters = Number(row.characters) || 0;
+    summary.characters += characters;
+    summary.requests += row.requests || 0;
+    add(summary.byProvider, row.provider, characters);
+    add(summary.byPair, `${row.sourceLocale}:${row.targetLocale}`, characters);
+    add(summary.byContentType, row.contentType || 'none', characters);
+    add(summary.byTrigger, row.trigger, characters);
+  }
+  return summary;
+}
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Whether translations started this way pause when a budget is used up
+   * @param {string} trigger
+   * @returns {boolean}
+   */
+  isAutomatic(trigger) {
+    return AUTOMATIC_TRIGGERS.includes(trigger || 'lifecycle');
+  },
+
+  /**
+   * Add provider usage to today's counters. Counters are incremented in the
+   * database, so concurrent translations do not overwrite each other's counts;
+   * two of them creating the day's row at once make two rows, which reports add up.
+   * A failure is logged, never thrown: the translation it counts already happened.
+   * @param {object} usage - { provider, sourceLocale, targetLocale, contentType, trigger, characters, requests }
+   */
+  async record({ provider, sourceLocale, targetLocale, contentType, trigger, characters, requests = 1 }) {
+    if (!characters) {
+      return;
+    }
+
+    const key = {
+      day: toDay(new Date()),
+      provider,
+      sourceLocale,
+      targetLocale,
+      contentType: contentType || null,
+      trigger: TRIGGERS.includes(trigger) ? trigger : 'api',
+    };
+
+    try {
+      const row = await strapi.db.query(UID).findOne({ where: key, select: ['id'] });
+      if (row) {
+        const { tableName, attributes } = strapi.db.metadata.get(UID);
+        await strapi.db.getConnection(tableName).where({ id: row.id }).increment({
+          [attributes.characters.columnName]: characters,
+          [attributes.requests.columnName]: requests,
+        });
+      } else {
+        await strapi.db.query(UID).create({ data: { ...key, characters, requests } });
+      }
+    } catch (error) {
+      strapi.log.warn(`[Usage] Could not record ${characters} characters for ${provider}: ${error.message}`);
+    }
+  },
+
+  /**
+   * Usage per day or month
+   * @param {object} options - { period: 'day' | 'month', from, to (YYYY-MM-DD), provider, sourceLocale, targetLocale, contentType, trigger }
+   * @returns {Promise<object>} { period, from, to, results: [{ period, ...summary }], totals, budgets }
+   */
+  async report({ period = 'day', from, to, ...filters } = {}) {
+    const now = new Date();
+    if (!from) {
+      // The last 30 days, or the last 12 months
+      const start = period === 'month'
+        ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 11, 1))
+        : new Date(now.getTime() - 29 * 24 * 60 * 60 * 1000);
+      from = toDay(start);
+    }
+    to = to || toDay(now);
+
+    const where = { day: { $gte: from, $lte: to } };
+    for (const key of FILTERS) {
+      if (filters[key]) {
+        where[key] = filters[key];
+      }
+    }
+
+    const rows = await strapi.db.query(UID).findMany({ where, orderBy: { day: 'asc' } });
+    const buckets = new Map();
+    for (const row of rows) {
+      const bucket = period === 'month' ? String(row.day).slice(0, 7) : String(row.day).slice(0, 10);
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, []);
+      }
+      buckets.get(bucket).push(row);
+    }
+
+    return {
+      period,
+      from,
+      to,
+      results: [...buckets.entries()].map(([bucket, bucketRows]) => ({ period: bucket, ...summarize(bucketRows) })),
+      totals: summarize(rows),
+      budgets: await this.getBudgets(),
+    };
+  },
+
+  /**
+   * Monthly budgets with the characters used so far this month. Budgets are
+   * keyed by provider name; '*' caps all providers together.
+   * @returns {Promise<object[]>} [{ provider, budget, used, remaining, exceeded }]
+   */
+  async getBudgets() {
+    const budgets = Object.entries(strapi.config.get('translate.usage.budgets', {}))
+      .filter(([, budget]) => Number(budget) > 0);
+    if (!budgets.length) {
+      return [];
+    }
+
+    const rows = await strapi.db.query(UID).findMany({
+      where: { day: { $gte: monthStart() } },
+      select: ['provider', 'characters'],
+    });
+
+    return budgets.map(([provider, budget]) => {
+      const used = rows
+        .filter((row) => provider === '*' || row.provider === provider)
+        .reduce((sum, row) => sum + (Number(row.characters) || 0), 0);
+      return { provider, budget: Number(budget), used, remaining: Math.max(Number(budget) - used, 0), exceeded: used >= Number(budget) };
+    });
+  },
+
+  /**
+   * The used-up budget that applies to a provider, if any
+   * @param {string} provider - Provider name
+   * @returns {Promise<object|null>} { provider, budget, used, remaining, exceeded }
+   */
+  async findExceededBudget(provider) {
+    const budgets = await this.getBudgets();
+    return budgets.find((budget) => budget.exceeded && (budget.provider === '*' || budget.provider === provider)) || null;
+  },
+});
@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Translation helpers for Strapi Blocks-editor values (attributes of type 'blocks').
+ *
+ * Each run of inline nodes (text leaves and links) inside a paragraph, heading,
+ * quote or list item becomes one translatable segment, so sentences are never
+ * split at formatting boundaries. Formatting travels through the provider as XML
+ * tags: `<gN>…</gN>` wraps marked text and links, `<xN/>` stands for inline code,
+ * which is never translated. Code blocks and images are left untouched.
+ */
+
+const MARKS = ['bold', 'italic', 'underline', 'strikethrough', 'code'];
+const SKIPPED_BLOCKS = ['code', 'image'];
+
+const isInline = (node) => node && (node.type === 'text' || node.type === 'link');
+
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(value) {
+  return value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function marksOf(node) {
+  const marks = {};
+  for (const mark of MARKS) {
+    if (node[mark]) {
+      marks[mark] = true;
+    }
+  }
+  return marks;
+}
+
+/**
+ * Serialize inline nodes to a tagged string, registering each tag's node
+ */
+function toTagged(nodes, markup) {
+  return nodes.map((node) => {
+    if (node.type === 'link') {
+      const id = markup.length;
+      markup.push(node);
+      return `<g${id}>${toTagged(node.children || [], markup)}</g${id}>`;
+    }
+
+    const value = node.text || '';
+    if (node.code) {
+      const id = markup.length;
+      markup.push(node);
+      return `<x${id}/>`;
+    }
+    if (Object.keys(marksOf(node)).length && value) {
+      const id = markup.length;
+      markup.push(node);
+      return `<g${id}>${escapeXml(value)}</g${id}>`;
+    }
+    return escapeXml(value);
+  }).join('');
+}
+
+/**
+ * Rebuild inline nodes from a translated tagged string.
+ * Lenient: unknown or unbalanced tags are dropped, inline code the provider lost is appended.
+ */
+function fromTagged(tagged, markup) {
+  const root = { children: [] };
+  const stack = [{ target: root, marks: {} }];
+  const used = new Set();
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (value) => {
+    if (value) {
+      current().target.children.push({ type: 'text', text: value, ...current().marks });
+    }
+  };
+
+  for (const token of tagged.split(/(<\/?[gx]\d+\s*\/?>)/)) {
+    const tag = token.match(/^<(\/?)([gx])(\d+)\s*(\/?)>$/);
+    if (!tag) {
+      pushText(unescapeXml(token));
+      continue;
+    }
+
+    const [, closing, kind, idText] = tag;
+    const node = markup[Number(idText)];
+    if (!node) {
+      continue;
+    }
+
+    if (kind === 'x' && !closing && !used.has(idText)) {
+      current().target.children.push({ ...node });
+      used.add(idText);
+    } else if (kind === 'g' && !closing && !used.has(idText)) {
+      used.add(idText);
+      if (node.type === 'link') {
+        const { children, ...link } = node;
+        const linkNode = { ...link, children: [] };
+        current().target.children.push(linkNode);
+        stack.push({ id: idText, target: linkNode, marks: current().marks });
+      } else {
+        stack.push({ id: idText, target: current().target, marks: { ...current().marks, ...marksOf(node) } });
+      }
+    } else if (kind === 'g' && closing && stack.some((entry) => entry.id === idText)) {
+      while (stack.length > 1 && stack.pop().id !== idText);
+    }
+  }
+
+  markup.forEach((node, id) => {
+    if (node.code && !used.has(String(id))) {
+      root.children.push({ ...node });
+    }
+  });
+
+  // Links and the editor both expect at least one text leaf
+  const ensureText = (children) => (children.length ? children : [{ type: 'text', text: '' }]);
+  for (const child of root.children) {
+    if (child.type === 'link') {
+      child.children = ensureText(child.children);
+    }
+  }
+  return ensureText(root.children);
+}
+
+/**
+ * Split a Blocks value into translatable tagged segments
+ * @param {array} blocks - Blocks-editor value
+ * @returns {object} { segments: string[], render(translatedSegments): array }
+ */
+function segmentBlocks(blocks) {
+  const segments = [];
+  const slots = [];
+
+  // Collect runs of inline children, recursing into nested blocks (lists, list items)
+  const visit = (node, path) => {
+    if (!node || !Array.isArray(node.children) || SKIPPED_BLOCKS.includes(node.type)) {
+      return;
+    }
+
+    let run = [];
+    const flush = (endIndex) => {
+      if (!run.length) return;
+      const markup = [];
+      const tagged = toTagged(run.map((index) => node.children[index]), markup);
+      const [, lead, core, trail] = tagged.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      if (/\p{L}/u.test(core.replace(/<[^>]+>/g, ''))) {
+        slots.push({ path, start: run[0], end: endIndex, markup, lead, trail, index: segments.length });
+        segments.push(core);
+      }
+      run = [];
+    };
+
+    node.children.forEach((child, index) => {
+      if (isInline(child)) {
+        run.push(index);
+      } else {
+        flush(index);
+        visit(child, [...path, index]);
+      }
+    });
+    flush(node.children.length);
+  };
+
+  (blocks || []).forEach((block, index) => visit(block, [index]));
+
+  return {
+    segments,
+    render(translated) {
+      const result = JSON.parse(JSON.stringify(blocks || []));
+
+      // Replace runs from the end so earlier indexes stay valid
+      for (const slot of [...slots].reverse()) {
+        const node = slot.path.slice(1).reduce((parent, index) => parent.children[index], result[slot.path[0]]);
+        const tagged = slot.lead + (translated[slot.index] ?? segments[slot.index]) + slot.trail;
+        node.children.splice(slot.start, slot.end - slot.start, ...fromTagged(tagged, slot.markup));
+      }
+
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  segmentBlocks,
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Dictionary-based Chinese conversion, in the manner of OpenCC: text is scanned
+ * once, left to right, replacing the longest phrase of the table that starts at
+ * each position. Only text matching a table entry changes; markup, placeholders
+ * and other scripts pass through as they are.
+ */
+
+const { parseLocale, chineseScript } = require('./locales');
+
+/**
+ * Read a phrase table: `source<TAB>target` per line (the first of several
+ * space-separated targets is used), `#` starts a comment line
+ * @param {string} text - Table file contents
+ * @returns {Array<[string, string]>} [source, target] entries
+ */
+function parseTable(text) {
+  const entries = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+    const [source, targets = ''] = line.split('\t');
+    const [target] = targets.trim().split(' ');
+    if (source && target) {
+      entries.push([source, target]);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Build a converter from table entries; later entries win over earlier ones
+ * @param {Array<[string, string]>} entries - [source, target]
+ * @returns {function} convert(text) → converted text
+ */
+function createConverter(entries) {
+  const table = new Map(entries);
+  // Keys are compared by code point, so characters outside the BMP count once
+  const firsts = new Set();
+  let longest = 0;
+  for (const source of table.keys()) {
+    const chars = Array.from(source);
+    firsts.add(chars[0]);
+    longest = Math.max(longest, chars.length);
+  }
+
+  return (text) => {
+    if (!text || !table.size) {
+      return text;
+    }
+
+    const chars = Array.from(text);
+    let output = '';
+    let index = 0;
+
+    while (index < chars.length) {
+      let length = 0;
+      if (firsts.has(chars[index])) {
+        for (let size = Math.min(longest, chars.length - index); size > 0; size--) {
+          const candidate = size === 1 ? chars[index] : chars.slice(index, index + size).join('');
+          if (table.has(candidate)) {
+            output += table.get(candidate);
+            length = size;
+            break;
+          }
+        }
+      }
+      if (!length) {
+        output += chars[index];
+        length = 1;
+      }
+      index += length;
+    }
+    return output;
+  };
+}
+
+/**
+ * Chinese variant a locale is written in
+ * @param {string} code - Locale code
+ * @returns {'hk'|'tw'|'hans'|null} null for other languages and Traditional Chinese without a region
+ */
+function chineseVariant(code) {
+  const { language, region } = parseLocale(code);
+  if (language !== 'zh') {
+    return null;
+  }
+  if (chineseScript(code) === 'Hans') {
+    return 'hans';
+  }
+  if (region === 'HK' || region === 'MO') {
+    return 'hk';
+  }
+  return region === 'TW' ? 'tw' : null;
+}
+
+module.exports = {
+  parseTable,
+  createConverter,
+  chineseVariant,
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Language detection from the text itself, without a network call: the script
+ * of each letter decides the language for most scripts; Chinese is told apart
+ * as Traditional or Simplified by the characters only one of them uses, and
+ * languages written in Latin or Cyrillic letters by their most frequent words.
+ * Good enough to tell an article from the locale it was filed under, not to
+ * name the dialect of a tweet.
+ */
+
+const { parseLocale, chineseScript } = require('./locales');
+
+// Script of a letter, tested in order; the first match wins
+const SCRIPTS = [
+  ['Latin', /\p{Script=Latin}/u],
+  ['Han', /\p{Script=Han}/u],
+  ['Kana', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ['Hangul', /\p{Script=Hangul}/u],
+  ['Cyrillic', /\p{Script=Cyrillic}/u],
+  ['Arabic', /\p{Script=Arabic}/u],
+  ['Hebrew', /\p{Script=Hebrew}/u],
+  ['Greek', /\p{Script=Greek}/u],
+  ['Thai', /\p{Script=Thai}/u],
+  ['Devanagari', /\p{Script=Devanagari}/u],
+];
+
+// Languages written in one script only
+const SCRIPT_LANGUAGES = {
+  Hangul: 'ko',
+  Arabic: 'ar',
+  Hebrew: 'he',
+  Greek: 'el',
+  Thai: 'th',
+  Devanagari: 'hi',
+};
+
+// A CJK character carries about as much as a short word: it weighs as much as that many letters
+const CJK_WEIGHT = 3;
+
+// Most frequent words of the languages written in Latin and Cyrillic letters
+const STOPWORDS = {
+  Latin: {
+    en: 'the and of to in is that for it with as was on are this be by at from have not or an which you we they has were but their will',
+    fr: 'le la les de des et est un une du en que qui dans pour pas sur au aux avec ce il elle sont par plus se ont été cette nous',
+    de: 'der die und das ist nicht mit ein eine zu den von sich auf für im dem es auch sie wird werden bei nach wie noch aus einer',
+    es: 'el la de que y en los las del un una es por con para se no al lo como más su sus pero fue este esta han entre',
+    pt: 'o a de que e do da em um uma os as para com não no na por dos das mais se é ao foi são pelo pela também',
+    it: 'il di che e la per un una in del non della sono con le si gli da al è anche lo dei delle nel alla più questo',
+    nl: 'de het een en van is dat op te in niet met voor zijn er die aan ook om worden wordt door bij naar hij',
+    id: 'yang dan di ini itu dengan untuk tidak dari dalam akan pada ada juga ke kami karena oleh sudah bisa mereka',
+  },
+  Cyrillic: {
+    ru: 'и в не на что с по как это он к но из у за от же о так мы вы был было его для только',
+    uk: 'і в не на що з по як це він до але із у за від же та ми ви був було його для тільки',
+  },
+};
+
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([script, languages]) =>
+  [script, Object.fromEntries(Object.entries(languages).map(([language, words]) => [language, new Set(words.split(' '))]))]
+));
+
+// Below this much weighted text, or this many frequent words, nothing is decided
+const MIN_LETTERS = 12;
+const MIN_STOPWORDS = 3;
+
+// Share of the differing characters that decides between Traditional and Simplified Chinese
+const SCRIPT_MAJORITY = 2 / 3;
+
+// Long texts are judged on their beginning
+const MAX_CHARACTERS = 20000;
+
+/**
+ * Text of markup and links left out: tags of markdown and Blocks segments,
+ * URLs and e-mail addresses would count as Latin letters
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMarkup(text) {
+  return String(text)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\b(?:https?:\/\/|www\.)\S+/gi, ' ')
+    .replace(/\S+@\S+\.\S+/g, ' ');
+}
+
+/**
+ * Letters per script
+ * @param {string} text
+ * @returns {object} script → count
+ */
+function countScripts(text) {
+  const counts = {};
+  for (const char of Array.from(text).slice(0, MAX_CHARACTERS)) {
+    if (!/\p{L}/u.test(char)) {
+      continue;
+    }
+    const [script] = SCRIPTS.find(([, pattern]) => pattern.test(char)) || ['Other'];
+    counts[script] = (counts[script] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Language of a text written in Latin or Cyrillic letters, by its frequent words
+ * @param {string} text
+ * @param {string} script - 'Latin' or 'Cyrillic'
+ * @returns {object} { language, share: how far its words outnumber those of the runner-up, 0 to 1 }
+ */
+function detectByWords(text, script) {
+  const scores = {};
+  for (const word of text.toLowerCase().match(/[\p{L}']+/gu) || []) {
+    for (const [language, words] of Object.entries(STOPWORD_SETS[script])) {
+      if (words.has(word)) {
+        scores[language] = (scores[language] || 0) + 1;
+      }
+    }
+  }
+
+  // Related languages share many of these words: the margin over the runner-up counts
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (!best || best[1] < MIN_STOPWORDS) {
+    return { language: null, share: 0 };
+  }
+  return { language: best[0], share: best[1] / (best[1] + (second?.[1] || 0) / 2) };
+}
+
+/**
+ * Detect the language of a text
+ * @param {string} text
+ * @param {object} options - { traditional, simplified: Sets of the characters only Traditional or only Simplified Chinese uses }
+ * @returns {object} {
+ *   language: e.g. 'en', 'zh', or null when the text is too short to tell,
+ *   script: 'Hant' or 'Hans' for Chinese when it can tell, otherwise null,
+ *   locale: language and script as a locale code, e.g. 'zh-Hant',
+ *   confidence: 0 to 1, the share of the text in the script of the language,
+ *     lowered by how close related languages came on frequent words,
+ *   scripts: letters per script
+ * }
+ */
+function detectLanguage(text, { traditional = new Set(), simplified = new Set() } = {}) {
+  const plain = stripMarkup(text || '');
+  const scripts = countScripts(plain);
+  const weights = Object.fromEntries(Object.entries(scripts).map(([script, count]) =>
+    [script, ['Han', 'Kana', 'Hangul'].includes(script) ? count * CJK_WEIGHT : count]
+  ));
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const unknown = { language: null, script: null, locale: null, confidence: 0, scripts };
+
+  if (total < MIN_LETTERS) {
+    return unknown;
+  }
+
+  // Japanese mixes kana with Han characters, which would otherwise outweigh it
+  if (weights.Kana) {
+    weights.Kana += weights.Han || 0;
+    delete weights.Han;
+  }
+
+  const [dominant, weight] = Object.entries(weights).sort((a, b) => b[1] - a[1])[0];
+  const share = weight / total;
+  const result = (language, confidence, script = null) => ({
+    language,
+    script,
+    locale: script ? `${language}-${script}` : language,
+    confidence: Math.round(confidence * 100) / 100,
+    scripts,
+  });
+
+  if (dominant === 'Kana') {
+    return result('ja', share);
+  }
+  if (SCRIPT_LANGUAGES[dominant]) {
+    return result(SCRIPT_LANGUAGES[dominant], share);
+  }
+  if (dominant === 'Han') {
+    let hant = 0;
+    let hans = 0;
+    for (const char of plain) {
+      hant += traditional.has(char) ? 1 : 0;
+      hans += simplified.has(char) ? 1 : 0;
+    }
+    // Both write some characters of the other (布, 台...); short texts may use none that differ
+    if (!(hant + hans) || Math.max(hant, hans) < SCRIPT_MAJORITY * (hant + hans)) {
+      return result('zh', share);
+    }
+    return result('zh', share, hant > hans ? 'Hant' : 'Hans');
+  }
+  if (STOPWORD_SETS[dominant]) {
+    const { language, share: wordShare } = detectByWords(plain, dominant);
+    return language ? result(language, share * wordShare) : unknown;
+  }
+  return unknown;
+}
+
+/**
+ * Whether a detected language is the one of a locale
+ * @param {object} detection - From detectLanguage()
+ * @param {string} locale - Locale code
+ * @returns {boolean|null} null when the detection is undecided
+ */
+function matchesLocale(detection, locale) {
+  if (!detection?.language) {
+    return null;
+  }
+  const { language } = parseLocale(locale);
+  if (language !== detection.language) {
+    return false;
+  }
+  return language !== 'zh' || !detection.script || chineseScript(locale) === detection.script;
+}
+
+module.exports = {
+  detectLanguage,
+  matchesLocale,
+  stripMarkup,
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Locale code helpers used to derive provider language codes from Strapi locales.
+ */
+
+/**
+ * Split a BCP 47-style locale code
+ * @param {string} code - e.g. 'zh-Hant-HK', 'en', 'pt_BR'
+ * @returns {object} { language, script, region }
+ */
+function parseLocale(code) {
+  const [language = '', ...subtags] = String(code).split(/[-_]/);
+  const script = subtags.find((tag) => /^[A-Za-z]{4}$/.test(tag));
+  const region = subtags.find((tag) => /^(?:[A-Za-z]{2}|\d{3})$/.test(tag));
+
+  return {
+    language: language.toLowerCase(),
+    script: script ? script[0].toUpperCase() + script.slice(1).toLowerCase() : null,
+    region: region ? region.toUpperCase() : null,
+  };
+}
+
+/**
+ * Chinese script for a locale. Mainland China and Singapore use Simplified;
+ * everything else, including a bare 'zh', defaults to Traditional.
+ * @param {string} code - Locale code
+ * @returns {string} 'Hans' or 'Hant'
+ */
+function chineseScript(code) {
+  const { script, region } = parseLocale(code);
+  if (script) {
+    return script;
+  }
+  return region === 'CN' || region === 'SG' ? 'Hans' : 'Hant';
+}
+
+/**
+ * English display name, e.g. 'Chinese (Traditional, Hong Kong SAR China)'
+ * @param {string} code - Locale code
+ * @returns {string}
+ */
+function displayName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+module.exports = {
+  parseLocale,
+  chineseScript,
+  displayName,
+};
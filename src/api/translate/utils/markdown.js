@@ -0,0 +1,504 @@
+'use strict';
+
+/**
+ * Markdown-structure-preserving translation helpers for shared.rich-text bodies.
+ *
+ * The markdown is parsed into a small block/inline AST. Code fences, HTML blocks,
+ * thematic breaks, list/quote/heading markers and table pipes stay raw; only prose
+ * is turned into translatable segments. Inline markup is carried through the
+ * provider as XML tags: `<gN>…</gN>` wraps emphasis, link and image text, `<xN/>`
+ * stands for atoms that must come back untouched (code spans, URLs, inline HTML).
+ */
+
+const FENCE = /^(\s{0,3})(`{3,}|~{3,})/;
+const BLANK = /^\s*$/;
+const HTML_BLOCK = /^\s{0,3}<(?:[A-Za-z][\w-]*(?:\s[^>]*)?\/?>|\/[A-Za-z][\w-]*\s*>|!--)/;
+const THEMATIC_BREAK = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const ATX_HEADING = /^(\s{0,3}#{1,6}(?:\s+|$))(.*?)(\s+#+\s*|\s*)$/;
+const SETEXT_UNDERLINE = /^\s{0,3}(?:=+|-+)\s*$/;
+const INDENTED_CODE = /^(?: {4}|\t)/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const CONTAINER = /^(\s*>\s?|\s*(?:[-+*]|\d{1,9}[.)])(?:\s+\[[ xX]\])?(?:\s+|$))/;
+const HARD_BREAK = /(?: {2,}|\\)$/;
+
+/* ------------------------------------------------------------------ */
+/* Inline parsing                                                      */
+/* ------------------------------------------------------------------ */
+
+const text = (value) => ({ type: 'text', value });
+const atom = (raw) => ({ type: 'atom', raw });
+const pair = (open, close, children) => ({ type: 'pair', open, close, children });
+
+/**
+ * Find the index of the bracket closing the one at `start`
+ */
+function findClosing(source, start, openChar, closeChar) {
+  let depth = 0;
+  for (let i = start; i < source.length; i += 1) {
+    if (source[i] === '\\') {
+      i += 1;
+    } else if (source[i] === openChar) {
+      depth += 1;
+    } else if (source[i] === closeChar) {
+      depth -= 1;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse the destination after `]`: `(url "title")` or `[ref]`
+ * @returns {number} Index after the destination, or -1
+ */
+function linkDestinationEnd(source, index) {
+  if (source[index] === '(') {
+    const end = findClosing(source, index, '(', ')');
+    return end === -1 ? -1 : end + 1;
+  }
+  if (source[index] === '[') {
+    const end = findClosing(source, index, '[', ']');
+    return end === -1 ? -1 : end + 1;
+  }
+  return -1;
+}
+
+/**
+ * Parse inline markdown into text, atom and pair nodes
+ * @param {string} source - Inline markdown
+ * @returns {array} Inline nodes
+ */
+function parseInline(source) {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push(text(buffer));
+      buffer = '';
+    }
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const rest = source.slice(i);
+
+    // Backslash escapes stay exactly as written
+    if (char === '\\' && i + 1 < source.length && /[!-/:-@[-`{-~]/.test(source[i + 1])) {
+      flush();
+      nodes.push(atom(source.slice(i, i + 2)));
+      i += 2;
+      continue;
+    }
+
+    // Code spans
+    if (char === '`') {
+      const run = rest.match(/^`+/)[0];
+      const end = source.indexOf(run, i + run.length);
+      if (end !== -1) {
+        flush();
+        nodes.push(atom(source.slice(i, end + run.length)));
+        i = end + run.length;
+        continue;
+      }
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    // Images and links: translate the bracket text, keep the destination
+    if (char === '[' || (char === '!' && source[i + 1] === '[')) {
+      const open = char === '!' ? '![' : '[';
+      const bracketStart = i + open.length - 1;
+      const bracketEnd = findClosing(source, bracketStart, '[', ']');
+      const destinationEnd = bracketEnd === -1 ? -1 : linkDestinationEnd(source, bracketEnd + 1);
+      if (destinationEnd !== -1) {
+        flush();
+        nodes.push(pair(
+          open,
+          source.slice(bracketEnd, destinationEnd),
+          parseInline(source.slice(bracketStart + 1, bracketEnd))
+        ));
+        i = destinationEnd;
+        continue;
+      }
+    }
+
+    // Autolinks and inline HTML
+    if (char === '<') {
+      const match = rest.match(/^<(?:[A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>]+|\/?[A-Za-z][\w-]*(?:\s[^<>]*)?\/?|!--[\s\S]*?--)>/);
+      if (match) {
+        flush();
+        nodes.push(atom(match[0]));
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    // Bare URLs
+    if ((char === 'h' || char === 'w') && /^(?:https?:\/\/|www\.)/.test(rest) && !/\w/.test(source[i - 1] || '')) {
+      const match = rest.match(/^(?:https?:\/\/|www\.)[^\s<]*[^\s<.,:;"')\]]/);
+      if (match) {
+        flush();
+        nodes.push(atom(match[0]));
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    // Emphasis, strong and strikethrough
+    if (char === '*' || char === '_' || char === '~') {
+      const run = rest.match(/^(\*+|_+|~+)/)[0];
+      const delimiter = run.length >= 2 ? run.slice(0, 2) : run;
+      const leftFlanking = /\S/.test(source[i + delimiter.length] || '');
+      const intraword = char === '_' && /\w/.test(source[i - 1] || '');
+      if (leftFlanking && !intraword && !(char === '~' && delimiter.length < 2)) {
+        let end = source.indexOf(delimiter, i + delimiter.length);
+        while (end !== -1 && (/\s/.test(source[end - 1]) || (char === '_' && /\w/.test(source[end + delimiter.length] || '')))) {
+          end = source.indexOf(delimiter, end + 1);
+        }
+        if (end !== -1 && end > i + delimiter.length) {
+          flush();
+          nodes.push(pair(delimiter, delimiter, parseInline(source.slice(i + delimiter.length, end))));
+          i = end + delimiter.length;
+          continue;
+        }
+      }
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    buffer += char;
+    i += 1;
+  }
+
+  flush();
+  return nodes;
+}
+
+/* ------------------------------------------------------------------ */
+/* Block parsing                                                       */
+/* ------------------------------------------------------------------ */
+
+const raw = (value) => ({ type: 'raw', raw: value });
+
+/**
+ * Split a table row into raw pipes and inline cells
+ */
+function tableRowParts(line) {
+  const parts = [];
+  const cells = line.split(/(?<!\\)(\|)/);
+  for (const cell of cells) {
+    if (cell === '|') {
+      parts.push({ raw: '|' });
+    } else {
+      const [, lead, content, trail] = cell.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      if (lead) parts.push({ raw: lead });
+      if (content) parts.push({ inline: parseInline(content) });
+      if (trail) parts.push({ raw: trail });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Parse markdown into a block AST
+ * @param {string} markdown - Markdown source
+ * @returns {object} { type: 'root', children: [raw | line nodes] }
+ */
+function parseMarkdown(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const children = [];
+  let paragraph = null;
+  let lastBlock = null;
+
+  const closeParagraph = () => {
+    if (paragraph) {
+      const inline = [];
+      paragraph.lines.forEach((content, index) => {
+        if (index > 0) {
+          const previous = paragraph.lines[index - 1];
+          if (HARD_BREAK.test(previous)) {
+            // Keep hard line breaks (and the continuation prefix) exactly
+            inline.push(atom(`${previous.match(HARD_BREAK)[0]}\n${paragraph.prefixes[index]}`));
+          } else {
+            inline.push(text(' '));
+          }
+        }
+        const trimmed = index < paragraph.lines.length - 1 ? content.replace(HARD_BREAK, '') : content;
+        inline.push(...parseInline(trimmed));
+      });
+      children.push({ type: 'line', parts: [{ raw: paragraph.prefixes[0] }, { inline }] });
+      lastBlock = paragraph.kind;
+      paragraph = null;
+    }
+  };
+
+  const pushRaw = (value, kind = 'raw') => {
+    closeParagraph();
+    children.push(raw(value));
+    lastBlock = kind;
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+
+    // Fenced code blocks
+    const fence = line.match(FENCE);
+    if (fence) {
+      const block = [line];
+      const marker = fence[2];
+      let j = i + 1;
+      while (j < lines.length) {
+        block.push(lines[j]);
+        if (new RegExp(`^\\s{0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`).test(lines[j])) {
+          break;
+        }
+        j += 1;
+      }
+      pushRaw(block.join('\n'));
+      i = j;
+      continue;
+    }
+
+    if (BLANK.test(line)) {
+      pushRaw(line, lastBlock === 'list' ? 'list' : 'blank');
+      continue;
+    }
+
+    // Setext heading underline turns the open paragraph into a heading
+    if (paragraph && SETEXT_UNDERLINE.test(line) && !CONTAINER.test(line)) {
+      pushRaw(line);
+      continue;
+    }
+
+    if (HTML_BLOCK.test(line) && !paragraph) {
+      const block = [line];
+      while (i + 1 < lines.length && !BLANK.test(lines[i + 1])) {
+        i += 1;
+        block.push(lines[i]);
+      }
+      pushRaw(block.join('\n'));
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      pushRaw(line);
+      continue;
+    }
+
+    if (INDENTED_CODE.test(line) && !paragraph && lastBlock !== 'list' && !CONTAINER.test(line.trimStart())) {
+      const block = [line];
+      while (i + 1 < lines.length && (INDENTED_CODE.test(lines[i + 1]) || BLANK.test(lines[i + 1]))) {
+        i += 1;
+        block.push(lines[i]);
+      }
+      pushRaw(block.join('\n'));
+      continue;
+    }
+
+    // Tables: header row followed by a delimiter row
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      closeParagraph();
+      children.push({ type: 'line', parts: tableRowParts(line) });
+      children.push(raw(lines[i + 1]));
+      i += 1;
+      while (i + 1 < lines.length && lines[i + 1].includes('|') && !BLANK.test(lines[i + 1])) {
+        i += 1;
+        children.push({ type: 'line', parts: tableRowParts(lines[i]) });
+      }
+      lastBlock = 'table';
+      continue;
+    }
+
+    // Strip container markers (block quotes, list items)
+    let prefix = '';
+    let content = line;
+    let match;
+    while ((match = content.match(CONTAINER)) && match[0].length) {
+      prefix += match[0];
+      content = content.slice(match[0].length);
+    }
+
+    const isListItem = /(?:[-+*]|\d{1,9}[.)])(?:\s+\[[ xX]\])?(?:\s+|$)$/.test(prefix);
+
+    const heading = content.match(ATX_HEADING);
+    if (heading) {
+      closeParagraph();
+      children.push({
+        type: 'line',
+        parts: [{ raw: prefix + heading[1] }, { inline: parseInline(heading[2]) }, { raw: heading[3] }],
+      });
+      lastBlock = 'heading';
+      continue;
+    }
+
+    if (!content.trim()) {
+      pushRaw(line);
+      continue;
+    }
+
+    const indent = content.match(/^\s*/)[0];
+    prefix += indent;
+    content = content.slice(indent.length);
+
+    // Lazy and indented lines continue the open paragraph or list item; a new list
+    // item or a different container starts a new one (each keeps its own prefix)
+    if (paragraph && !isListItem && (!prefix.trim() || prefix.trim() === paragraph.prefixes[0].trim())) {
+      paragraph.lines.push(content);
+      paragraph.prefixes.push(prefix);
+      continue;
+    }
+
+    closeParagraph();
+    paragraph = { kind: isListItem ? 'list' : 'paragraph', lines: [content], prefixes: [prefix] };
+  }
+
+  closeParagraph();
+  return { type: 'root', children };
+}
+
+/* ------------------------------------------------------------------ */
+/* Tagged segments                                                     */
+/* ------------------------------------------------------------------ */
+
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(value) {
+  return value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * Serialize inline nodes to a tagged string, registering markup by tag id
+ */
+function toTagged(nodes, markup) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return escapeXml(node.value);
+    }
+    const id = markup.length;
+    markup.push(node);
+    if (node.type === 'atom') {
+      return `<x${id}/>`;
+    }
+    return `<g${id}>${toTagged(node.children, markup)}</g${id}>`;
+  }).join('');
+}
+
+function inlineToMarkdown(nodes) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'atom') return node.raw;
+    return node.open + inlineToMarkdown(node.children) + node.close;
+  }).join('');
+}
+
+/**
+ * Rebuild markdown from a translated tagged string.
+ * Lenient: unknown or unbalanced tags are dropped, atoms the provider lost are appended.
+ */
+function fromTagged(tagged, markup) {
+  const used = new Set();
+  const stack = [];
+  let output = '';
+
+  for (const token of tagged.split(/(<\/?[gx]\d+\s*\/?>)/)) {
+    const tag = token.match(/^<(\/?)([gx])(\d+)\s*(\/?)>$/);
+    if (!tag) {
+      output += unescapeXml(token);
+      continue;
+    }
+
+    const [, closing, kind, idText, selfClosing] = tag;
+    const node = markup[Number(idText)];
+    if (!node || used.has(`${closing}${idText}`)) {
+      continue;
+    }
+
+    if (kind === 'x' && node.type === 'atom' && (selfClosing || !closing)) {
+      output += node.raw;
+      used.add(idText);
+    } else if (kind === 'g' && node.type === 'pair' && !closing) {
+      output += node.open;
+      stack.push(idText);
+      used.add(idText);
+    } else if (kind === 'g' && node.type === 'pair' && closing && stack.includes(idText)) {
+      while (stack.length) {
+        const open = stack.pop();
+        output += markup[Number(open)].close;
+        used.add(`/${open}`);
+        if (open === idText) break;
+      }
+    }
+  }
+
+  while (stack.length) {
+    output += markup[Number(stack.pop())].close;
+  }
+
+  // Never lose code spans, URLs or HTML
+  markup.forEach((node, id) => {
+    if (node.type === 'atom' && !used.has(String(id))) {
+      output += node.raw;
+    }
+  });
+
+  return output;
+}
+
+/**
+ * Split markdown into translatable tagged segments
+ * @param {string} markdown - Markdown source
+ * @returns {object} { ast, segments: string[], render(translatedSegments): string }
+ */
+function segmentMarkdown(markdown) {
+  const ast = parseMarkdown(markdown);
+  const segments = [];
+  const slots = [];
+
+  for (const block of ast.children) {
+    if (block.type !== 'line') continue;
+    for (const part of block.parts) {
+      if (!part.inline) continue;
+      const markup = [];
+      const tagged = toTagged(part.inline, markup);
+      const [, lead, core, trail] = tagged.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      // Only segments with actual words go to the provider
+      if (/\p{L}/u.test(core.replace(/<[^>]+>/g, ''))) {
+        slots.push({ part, markup, lead, trail, index: segments.length });
+        segments.push(core);
+      }
+    }
+  }
+
+  return {
+    ast,
+    segments,
+    render(translated) {
+      const rendered = new Map(slots.map((slot) => [
+        slot.part,
+        slot.lead + fromTagged(translated[slot.index] ?? segments[slot.index], slot.markup) + slot.trail,
+      ]));
+
+      return ast.children.map((block) => {
+        if (block.type === 'raw') return block.raw;
+        return block.parts.map((part) => {
+          if (part.raw !== undefined) return part.raw;
+          return rendered.has(part) ? rendered.get(part) : inlineToMarkdown(part.inline);
+        }).join('');
+      }).join('\n');
+    },
+  };
+}
+
+module.exports = {
+  parseMarkdown,
+  parseInline,
+  segmentMarkdown,
+};
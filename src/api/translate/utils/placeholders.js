@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Placeholder protection for glossary and do-not-translate terms.
+ * Terms are swapped for `{{T0}}`-style placeholders before the text is sent
+ * to a provider and swapped back (or for their glossary target) afterwards.
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*T(\d+)\s*\}\}/g;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a matcher for a term; Latin terms only match on word boundaries,
+ * CJK terms match anywhere since they have no word separators
+ */
+function termPattern(term) {
+  const start = /^\w/.test(term) ? '\\b' : '';
+  const end = /\w$/.test(term) ? '\\b' : '';
+  return new RegExp(`${start}${escapeRegExp(term)}${end}`, 'g');
+}
+
+/**
+ * Replace terms with placeholders
+ * @param {string} text - Source text
+ * @param {array} terms - [{ source, target }]; target is what the placeholder is restored to
+ * @returns {object} { text, restore(translated) }
+ */
+function protectTerms(text, terms = []) {
+  const replacements = [];
+  let protectedText = text;
+
+  // Longest terms first so "Strapi Cloud" wins over "Strapi"
+  const sorted = [...terms]
+    .filter((term) => term && term.source)
+    .sort((a, b) => b.source.length - a.source.length);
+
+  for (const term of sorted) {
+    protectedText = protectedText.replace(termPattern(term.source), () => {
+      replacements.push(term.target ?? term.source);
+      return `{{T${replacements.length - 1}}}`;
+    });
+  }
+
+  return {
+    text: protectedText,
+    restore(translated) {
+      if (!replacements.length || typeof translated !== 'string') {
+        return translated;
+      }
+      return translated.replace(PLACEHOLDER_PATTERN, (match, index) => replacements[index] ?? match);
+    },
+  };
+}
+
+module.exports = {
+  protectTerms,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Shorten text to a length limit at the most natural boundary available: the
+ * end of a sentence, else the end of a word, else any character (CJK text has
+ * no spaces between words).
+ */
+
+const ELLIPSIS = '…';
+
+// Sentence-final punctuation: Latin when followed by a space or the end, CJK always
+const SENTENCE_END = /[.!?](?=["'”’)\]]?(?:\s|$))["'”’)\]]?|[。！？][」』”’）]?/g;
+
+// Chinese, Japanese and Korean characters
+const CJK = /[぀-ヿ㐀-䶿一-鿿豈-﫿가-힯]/;
+
+// Punctuation left dangling at the cut
+const TRAILING = /[\s,;:\-–—，、；：]+$/;
+
+// A boundary is only used when it keeps at least this share of the limit
+const MIN_KEEP = 0.5;
+
+// Cut before `length`, never through a surrogate pair
+function sliceAt(text, length) {
+  const code = text.charCodeAt(length - 1);
+  return text.slice(0, code >= 0xd800 && code <= 0xdbff ? length - 1 : length);
+}
+
+/**
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Length limit, in UTF-16 code units as Strapi validates it
+ * @returns {string} The text itself when within the limit
+ */
+function truncate(text, maxLength) {
+  if (typeof text !== 'string' || text.length <= maxLength) {
+    return text;
+  }
+
+  // Whole sentences need no ellipsis; the character after the limit tells whether one ends there
+  let sentenceEnd = 0;
+  for (const match of text.slice(0, maxLength + 1).matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    if (end <= maxLength) {
+      sentenceEnd = end;
+    }
+  }
+  if (sentenceEnd >= maxLength * MIN_KEEP) {
+    return text.slice(0, sentenceEnd);
+  }
+
+  const budget = maxLength - ELLIPSIS.length;
+  let cut = sliceAt(text, budget);
+
+  if (!CJK.test(text.charAt(cut.length - 1)) && !CJK.test(text.charAt(cut.length))) {
+    const space = text.slice(0, budget + 1).search(/\s\S*$/);
+    if (space >= budget * MIN_KEEP) {
+      cut = text.slice(0, space);
+    }
+  }
+
+  return cut.replace(TRAILING, '') + ELLIPSIS;
+}
+
+module.exports = {
+  truncate,
+};
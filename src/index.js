@@ -17,5 +17,21 @@ module.exports = {
    * This gives you an opportunity to set up your data model,
    * run jobs, or perform some special logic.
    */
-  bootstrap,
+  async bootstrap({ strapi }) {
+    await bootstrap();
+
+    // Queue translations when auto-translated content is saved, and process them in the background
+    strapi.service('api::translate.jobs').subscribe();
+    await strapi.service('api::translate.jobs').start();
+    // Backfills interrupted by the last shutdown continue from their cursor
+    await strapi.service('api::translate.backfill').start();
+  },
+
+  /**
+   * Stop the translation job worker and running backfills on shutdown.
+   */
+  destroy({ strapi }) {
+    strapi.service('api::translate.jobs').stop();
+    strapi.service('api::translate.backfill').stop();
+  },
 };
@@ -0,0 +1,306 @@
+'use strict';
+
+/**
+ * An in-memory stand-in for `strapi.db`: the query API of the services, run
+ * against plain arrays. Where clauses, ordering, paging, defaults and unique
+ * indexes behave as in the database; relations and populate are ignored.
+ * `getConnection` covers the few query builder calls the services make.
+ */
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value ?? null);
+
+const OPERATORS = {
+  $eq: (value, operand) => comparable(value) === comparable(operand),
+  $ne: (value, operand) => comparable(value) !== comparable(operand),
+  $in: (value, operand) => operand.some((item) => comparable(value) === comparable(item)),
+  $notIn: (value, operand) => !operand.some((item) => comparable(value) === comparable(item)),
+  $lt: (value, operand) => value != null && comparable(value) < comparable(operand),
+  $lte: (value, operand) => value != null && comparable(value) <= comparable(operand),
+  $gt: (value, operand) => value != null && comparable(value) > comparable(operand),
+  $gte: (value, operand) => value != null && comparable(value) >= comparable(operand),
+  $null: (value, operand) => (value == null) === Boolean(operand),
+  $notNull: (value, operand) => (value != null) === Boolean(operand),
+};
+
+function test(value, condition) {
+  if (Array.isArray(condition)) {
+    return OPERATORS.$in(value, condition);
+  }
+  if (condition === null || condition instanceof Date || typeof condition !== 'object') {
+    return OPERATORS.$eq(value, condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (!OPERATORS[operator]) {
+      throw new Error(`Operator ${operator} is not supported`);
+    }
+    return OPERATORS[operator](value, operand);
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some((clause) => matches(row, clause));
+    }
+    if (key === '$and') {
+      return condition.every((clause) => matches(row, clause));
+    }
+    if (key === '$not') {
+      return !matches(row, condition);
+    }
+    return test(row[key], condition);
+  });
+}
+
+function sort(rows, orderBy) {
+  const orders = (Array.isArray(orderBy) ? orderBy : [orderBy])
+    .filter(Boolean)
+    .flatMap((order) => (typeof order === 'string' ? [[order, 'asc']] : Object.entries(order)));
+
+  return [...rows].sort((a, b) => {
+    for (const [field, direction] of orders) {
+      const left = comparable(a[field]);
+      const right = comparable(b[field]);
+      if (left !== right) {
+        const result = left === null ? -1 : right === null ? 1 : left < right ? -1 : 1;
+        return direction.toLowerCase() === 'desc' ? -result : result;
+      }
+    }
+    return a.id - b.id;
+  });
+}
+
+const pick = (row, select) => (select ? Object.fromEntries([].concat(select).map((field) => [field, row[field]])) : row);
+
+const toColumn = (name) => name.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`);
+
+const copy = (row) => (row ? structuredClone(row) : null);
+
+let ids = 0;
+const createId = () => `doc${(ids += 1).toString().padStart(6, '0')}`;
+
+/**
+ * @param {object} strapi - Stand-in with the content types
+ * @returns {object} db
+ */
+function createDatabase(strapi) {
+  const tables = new Map();
+
+  const rowsOf = (uid) => {
+    if (!tables.has(uid)) {
+      tables.set(uid, []);
+    }
+    return tables.get(uid);
+  };
+
+  // Unique indexes of a content type, as lists of attribute names
+  const uniqueKeys = (uid) => {
+    const { attributes = {}, indexes = [] } = strapi.contentTypes[uid] || {};
+    const byColumn = Object.fromEntries(Object.keys(attributes).map((name) => [toColumn(name), name]));
+    return indexes.filter((index) => index.type === 'unique').map((index) => index.columns.map((column) => byColumn[column] || column));
+  };
+
+  const findClash = (uid, row, keys = uniqueKeys(uid)) => keys.find((key) => rowsOf(uid)
+    .some((other) => other.id !== row.id && key.every((name) => comparable(other[name]) === comparable(row[name]))));
+
+  const checkUnique = (uid, row) => {
+    const clash = findClash(uid, row);
+    if (clash) {
+      throw new Error(`UNIQUE constraint failed: ${clash.join(', ')}`);
+    }
+  };
+
+  const nextId = (uid) => (rowsOf(uid).length ? Math.max(...rowsOf(uid).map((item) => item.id)) + 1 : 1);
+
+  const query = (uid) => ({
+    async findOne({ where, select, orderBy } = {}) {
+      const row = sort(rowsOf(uid).filter((item) => matches(item, where)), orderBy)[0];
+      return row ? copy(pick(row, select)) : null;
+    },
+
+    async findMany({ where, select, orderBy, offset = 0, limit } = {}) {
+      const rows = sort(rowsOf(uid).filter((item) => matches(item, where)), orderBy);
+      return rows.slice(offset, limit === undefined ? undefined : offset + limit).map((row) => copy(pick(row, select)));
+    },
+
+    async count({ where } = {}) {
+      return rowsOf(uid).filter((item) => matches(item, where)).length;
+    },
+
+    async create({ data }) {
+      const { attributes = {} } = strapi.contentTypes[uid] || {};
+      const now = new Date();
+      const defaults = Object.fromEntries(Object.entries(attributes)
+        .filter(([, attribute]) => attribute.default !== undefined)
+        .map(([name, attribute]) => [name, typeof attribute.default === 'function' ? attribute.default() : attribute.default]));
+      const row = { documentId: createId(), ...defaults, createdAt: now, updatedAt: now, ...copy(data), id: nextId(uid) };
+
+      checkUnique(uid, row);
+      rowsOf(uid).push(row);
+      return copy(row);
+    },
+
+    async createMany({ data }) {
+      const created = [];
+      for (const item of data) {
+        created.push(await this.create({ data: item }));
+      }
+      return { count: created.length, ids: created.map((row) => row.id) };
+    },
+
+    async update({ where, data }) {
+      const row = rowsOf(uid).find((item) => matches(item, where));
+      if (!row) {
+        return null;
+      }
+      const updated = { ...row, updatedAt: new Date(), ...copy(data) };
+      checkUnique(uid, updated);
+      Object.assign(row, updated);
+      return copy(row);
+    },
+
+    async updateMany({ where, data }) {
+      const rows = rowsOf(uid).filter((item) => matches(item, where));
+      for (const row of rows) {
+        Object.assign(row, { updatedAt: new Date() }, copy(data));
+      }
+      return { count: rows.length };
+    },
+
+    async delete({ where }) {
+      const rows = rowsOf(uid);
+      const index = rows.findIndex((item) => matches(item, where));
+      return index === -1 ? null : rows.splice(index, 1)[0];
+    },
+
+    async deleteMany({ where } = {}) {
+      const rows = rowsOf(uid);
+      const kept = rows.filter((item) => !matches(item, where));
+      const count = rows.length - kept.length;
+      tables.set(uid, kept);
+      return { count };
+    },
+  });
+
+  const metadata = {
+    get(uid) {
+      const { collectionName, attributes = {} } = strapi.contentTypes[uid];
+      const all = { id: {}, documentId: { default: createId }, ...attributes, createdAt: {}, updatedAt: {} };
+      return {
+        uid,
+        tableName: collectionName,
+        attributes: Object.fromEntries(Object.entries(all).map(([name, attribute]) => [name, { ...attribute, columnName: toColumn(name) }])),
+      };
+    },
+  };
+
+  /**
+   * A query builder on a table: where/whereIn, then one of increment and
+   * update, insert (with onConflict().ignore()), count/sum or a plain select
+   */
+  const connection = (tableName) => {
+    const uid = Object.keys(strapi.contentTypes).find((name) => strapi.contentTypes[name].collectionName === tableName);
+    const { attributes } = metadata.get(uid);
+    const byColumn = Object.fromEntries(Object.keys(attributes).map((name) => [toColumn(name), name]));
+    const toAttributes = (data) => Object.fromEntries(Object.entries(data).map(([column, value]) => [byColumn[column] || column, value]));
+
+    const where = {};
+    const increments = {};
+    const aggregates = [];
+    let updates = null;
+    let inserts = null;
+    let conflict = null;
+
+    const run = () => {
+      if (inserts) {
+        const key = conflict && conflict.map((column) => byColumn[column] || column);
+        let count = 0;
+        for (const data of inserts) {
+          const row = { ...toAttributes(data), id: nextId(uid) };
+          if (key && findClash(uid, row, [key])) {
+            continue;
+          }
+          checkUnique(uid, row);
+          rowsOf(uid).push(row);
+          count += 1;
+        }
+        return count;
+      }
+
+      const rows = rowsOf(uid).filter((row) => matches(row, where));
+      if (updates || Object.keys(increments).length) {
+        for (const row of rows) {
+          for (const [name, amount] of Object.entries(increments)) {
+            row[name] = (Number(row[name]) || 0) + amount;
+          }
+          Object.assign(row, copy(updates));
+        }
+        return rows.length;
+      }
+      if (aggregates.length) {
+        return [Object.fromEntries(aggregates.map(([alias, fn, name]) => [alias, fn === 'count' ? rows.length : rows.reduce((sum, row) => sum + (Number(row[name]) || 0), 0)]))];
+      }
+      return rows.map((row) => Object.fromEntries(Object.entries(row).map(([name, value]) => [toColumn(name), copy(value)])));
+    };
+
+    const builder = {
+      where(conditions) {
+        Object.assign(where, toAttributes(conditions));
+        return builder;
+      },
+      whereIn(column, values) {
+        where[byColumn[column] || column] = { $in: values };
+        return builder;
+      },
+      increment(column, amount = 1) {
+        const columns = typeof column === 'string' ? { [column]: amount } : column;
+        Object.assign(increments, toAttributes(columns));
+        return builder;
+      },
+      update(data) {
+        updates = { ...updates, ...toAttributes(data) };
+        return builder;
+      },
+      insert(rows) {
+        inserts = [].concat(rows);
+        return builder;
+      },
+      onConflict(columns) {
+        conflict = [].concat(columns);
+        return builder;
+      },
+      ignore() {
+        return builder;
+      },
+      count(aliases) {
+        aggregates.push(...Object.keys(aliases).map((alias) => [alias, 'count']));
+        return builder;
+      },
+      sum(aliases) {
+        aggregates.push(...Object.entries(aliases).map(([alias, column]) => [alias, 'sum', byColumn[column] || column]));
+        return builder;
+      },
+      // Raw selections are not evaluated
+      select() {
+        return builder;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(run).then(resolve, reject);
+      },
+    };
+    return builder;
+  };
+  connection.raw = (sql, bindings) => ({ sql, bindings });
+
+  return {
+    query,
+    metadata,
+    connection,
+    dialect: { client: 'sqlite' },
+    getConnection: (tableName) => (tableName ? connection(tableName) : connection),
+  };
+}
+
+module.exports = {
+  createDatabase,
+};
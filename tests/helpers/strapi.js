@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * A Strapi stand-in for service tests: the content types and components of the
+ * app, an in-memory database, the `translate` config given, and the services
+ * asked for. Services not asked for can be given as plain objects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDatabase } = require('./database');
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadContentTypes() {
+  const contentTypes = {};
+  for (const api of fs.readdirSync(path.join(SRC, 'api'))) {
+    const dir = path.join(SRC, 'api', api, 'content-types');
+    if (!fs.existsSync(dir)) {
+      continue;
+    }
+    for (const name of fs.readdirSync(dir)) {
+      const file = path.join(dir, name, 'schema.json');
+      if (fs.existsSync(file)) {
+        contentTypes[`api::${api}.${name}`] = { uid: `api::${api}.${name}`, ...readJson(file) };
+      }
+    }
+  }
+  return contentTypes;
+}
+
+function loadComponents() {
+  const components = {};
+  for (const category of fs.readdirSync(path.join(SRC, 'components'))) {
+    for (const file of fs.readdirSync(path.join(SRC, 'components', category))) {
+      const uid = `${category}.${path.basename(file, '.json')}`;
+      components[uid] = { uid, ...readJson(path.join(SRC, 'components', category, file)) };
+    }
+  }
+  return components;
+}
+
+/**
+ * @param {object} options - {
+ *   config: the `translate` config,
+ *   services: names under api::translate to load,
+ *   stubs: uid → object standing in for other services
+ * }
+ * @returns {object} strapi
+ */
+function createStrapi({ config = {}, services = [], stubs = {} } = {}) {
+  const registry = { ...stubs };
+  const strapi = {
+    contentTypes: loadContentTypes(),
+    components: loadComponents(),
+    config: {
+      get(key, fallback) {
+        const value = key.split('.').reduce((object, name) => object?.[name], { translate: config });
+        return value === undefined ? fallback : value;
+      },
+    },
+    log: { info() {}, warn() {}, error() {} },
+    service(uid) {
+      return registry[uid];
+    },
+  };
+  strapi.db = createDatabase(strapi);
+
+  for (const name of services) {
+    registry[`api::translate.${name}`] = require(path.join(SRC, 'api', 'translate', 'services', name))({ strapi });
+  }
+  return strapi;
+}
+
+module.exports = {
+  createStrapi,
+};
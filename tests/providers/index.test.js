@@ -0,0 +1,33 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveProviderName, createProvider } = require('../../src/api/translate/providers');
+
+describe('resolveProviderName', () => {
+  const settings = { provider: 'libretranslate', pairs: { 'en:zh-Hant-HK': 'openai' } };
+
+  it('takes the provider of the locale pair first, then the default', () => {
+    assert.equal(resolveProviderName(settings, 'en', 'zh-Hant-HK'), 'openai');
+    assert.equal(resolveProviderName(settings, 'zh-Hant-HK', 'en'), 'libretranslate');
+  });
+
+  it('falls back to DeepL', () => {
+    assert.equal(resolveProviderName({}, 'en', 'fr'), 'deepl');
+  });
+});
+
+describe('createProvider', () => {
+  it('refuses an unknown provider', () => {
+    assert.throws(() => createProvider('babelfish', { strapi: {}, config: {} }), /Unknown translation provider "babelfish"/);
+  });
+
+  it('builds the echo provider in pseudo and echo modes', async () => {
+    const pseudo = createProvider('echo', { strapi: {}, config: {} });
+    const echo = createProvider('echo', { strapi: {}, config: { mode: 'echo' } });
+
+    assert.equal(pseudo.isConfigured(), true);
+    assert.equal(await pseudo.translate('Hi <b>there</b> {{T0}}', { sourceLocale: 'en', targetLocale: 'fr' }), '[fr] Ĥí <b>ţĥéŕé</b> {{T0}}');
+    assert.equal(await echo.translate('Hi', { sourceLocale: 'en', targetLocale: 'fr' }), 'Hi');
+  });
+});
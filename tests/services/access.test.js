@@ -0,0 +1,153 @@
+'use strict';
+
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStrapi } = require('../helpers/strapi');
+
+const SCOPE = 'api::translate.translate.translateText';
+const SECRET = 'shared-secret';
+
+const TOKENS = [
+  { id: 1, name: 'editor', type: 'full-access', accessKey: 'hashed:full' },
+  { id: 2, name: 'n8n', type: 'custom', accessKey: 'hashed:custom', permissions: [{ action: SCOPE }] },
+  { id: 3, name: 'reader', type: 'read-only', accessKey: 'hashed:read' },
+  { id: 4, name: 'old', type: 'full-access', accessKey: 'hashed:old', expiresAt: '2020-01-01T00:00:00.000Z' },
+];
+
+/**
+ * The access service, with the access config given and the API tokens above
+ * @param {object} [access]
+ */
+function setup(access = {}) {
+  const strapi = createStrapi({
+    config: { access: { hmac: { clients: { n8n: { secret: SECRET }, scoped: { secret: SECRET, scopes: ['other'] } } }, ...access } },
+    services: ['access'],
+    stubs: {
+      'admin::api-token': {
+        hash: (accessKey) => `hashed:${accessKey}`,
+        getBy: async ({ accessKey }) => TOKENS.find((token) => token.accessKey === accessKey) || null,
+      },
+    },
+  });
+  return strapi.service('api::translate.access');
+}
+
+/**
+ * A policy context for POST /api/translate/text
+ * @param {object} headers
+ * @param {object} [body]
+ */
+function request(headers, body = { text: 'Hello' }) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    request: {
+      method: 'POST',
+      path: '/api/translate/text',
+      originalUrl: '/api/translate/text',
+      body,
+      get: (name) => lower[name.toLowerCase()] || '',
+    },
+  };
+}
+
+/**
+ * Headers of a request signed with a key
+ * @param {string} key - Key id
+ * @param {object} options - { timestamp, body, secret }
+ */
+function sign(key, { timestamp = Math.floor(Date.now() / 1000), body = { text: 'Hello' }, secret = SECRET } = {}) {
+  const signature = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.POST./api/translate/text.${JSON.stringify(body)}`)
+    .digest('hex');
+  return { 'X-Translate-Key': key, 'X-Translate-Timestamp': String(timestamp), 'X-Translate-Signature': signature };
+}
+
+describe('signed requests', () => {
+  it('accept a valid signature of a known key', async () => {
+    const access = setup();
+    const { client } = await access.authenticate(request(sign('n8n')), SCOPE);
+
+    assert.deepEqual(client, { type: 'hmac', id: 'hmac:n8n', name: 'n8n' });
+  });
+
+  it('refuse a wrong secret, an unknown key or a changed body', async () => {
+    const access = setup();
+
+    assert.equal((await access.authenticate(request(sign('n8n', { secret: 'guess' })), SCOPE)).error.status, 401);
+    assert.equal((await access.authenticate(request(sign('nobody')), SCOPE)).error.status, 401);
+    assert.equal((await access.authenticate(request(sign('n8n'), { text: 'Other' }), SCOPE)).error.message, 'Invalid request signature');
+  });
+
+  it('refuse a timestamp outside the replay window', async () => {
+    const access = setup({ hmac: { clients: { n8n: { secret: SECRET } }, window: 60 } });
+    const timestamp = Math.floor(Date.now() / 1000) - 120;
+    const { error } = await access.authenticate(request(sign('n8n', { timestamp })), SCOPE);
+
+    assert.equal(error.status, 401);
+    assert.match(error.message, /more than 60s away/);
+  });
+
+  it('refuse a signature sent a second time', async () => {
+    const access = setup();
+    const headers = sign('n8n');
+
+    assert.ok((await access.authenticate(request(headers), SCOPE)).client);
+    assert.equal((await access.authenticate(request(headers), SCOPE)).error.message, 'Request already received (replay)');
+  });
+
+  it('refuse a key not granted the endpoint', async () => {
+    const access = setup();
+    assert.equal((await access.authenticate(request(sign('scoped')), SCOPE)).error.status, 403);
+  });
+});
+
+describe('API tokens', () => {
+  const bearer = (token) => request({ Authorization: `Bearer ${token}` });
+
+  it('accept full access tokens and custom tokens granted the endpoint', async () => {
+    const access = setup();
+
+    assert.equal((await access.authenticate(bearer('full'), SCOPE)).client.id, 'api-token:1');
+    assert.equal((await access.authenticate(bearer('custom'), SCOPE)).client.id, 'api-token:2');
+  });
+
+  it('refuse unknown, expired and read-only tokens and custom tokens without the endpoint', async () => {
+    const access = setup();
+
+    assert.equal((await access.authenticate(bearer('unknown'), SCOPE)).error.status, 401);
+    assert.equal((await access.authenticate(bearer('old'), SCOPE)).error.message, 'API token expired');
+    assert.equal((await access.authenticate(bearer('read'), SCOPE)).error.status, 403);
+    assert.equal((await access.authenticate(bearer('custom'), 'api::translate.translate.translateEntry')).error.status, 403);
+  });
+
+  it('are required without a signature', async () => {
+    const access = setup();
+    assert.equal((await access.authenticate(request({}), SCOPE)).error.status, 401);
+  });
+});
+
+describe('rate limits', () => {
+  it('refuse requests over the limit of the caller until the interval is over', async () => {
+    const access = setup({ rateLimit: { max: 2, interval: 60 * 1000 } });
+    const statuses = [];
+    for (let count = 0; count < 3; count += 1) {
+      statuses.push((await access.authenticate(request({ Authorization: 'Bearer full' }), SCOPE)).error?.status || 200);
+    }
+    const { error } = await access.authenticate(request({ Authorization: 'Bearer full' }), SCOPE);
+
+    assert.deepEqual(statuses, [200, 200, 429]);
+    assert.ok(error.retryAfter > 0 && error.retryAfter <= 60);
+    assert.equal((await access.authenticate(request({ Authorization: 'Bearer custom' }), SCOPE)).client.name, 'n8n');
+  });
+
+  it('apply the limit of a token name or key id', async () => {
+    const access = setup({ rateLimit: { max: 1, interval: 60 * 1000 }, rateLimits: { n8n: { max: 3 } } });
+    const statuses = [];
+    for (let count = 0; count < 4; count += 1) {
+      statuses.push((await access.authenticate(request(sign('n8n', { body: { text: `Hello ${count}` } }), { text: `Hello ${count}` }), SCOPE)).error?.status || 200);
+    }
+
+    assert.deepEqual(statuses, [200, 200, 200, 429]);
+  });
+});
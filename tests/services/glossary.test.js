@@ -0,0 +1,131 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStrapi } = require('../helpers/strapi');
+
+const UID = 'api::translate.glossary';
+
+/**
+ * A provider with native glossaries that records its calls
+ */
+function glossaryProvider() {
+  const calls = [];
+  let created = 0;
+  return {
+    calls,
+    name: 'deepl',
+    supportsGlossaries: true,
+    isConfigured: () => true,
+    async createGlossary(glossary) {
+      calls.push(['create', glossary.entries]);
+      return `g${(created += 1)}`;
+    },
+    async deleteGlossary(id) {
+      calls.push(['delete', id]);
+    },
+  };
+}
+
+/**
+ * The glossary service, translating with the provider given
+ * @param {object} provider
+ */
+function setup(provider) {
+  const strapi = createStrapi({
+    services: ['glossary', 'memory'],
+    stubs: { 'api::translate.translate': { getProvider: () => provider } },
+  });
+  return { strapi, glossary: strapi.service('api::translate.glossary') };
+}
+
+const pair = { name: 'en-zh', sourceLocale: 'en', targetLocale: 'zh-Hant-HK' };
+
+describe('protect', () => {
+  const glossary = { entries: [{ source: 'Strapi Cloud', target: 'Strapi 雲' }], doNotTranslate: ['Strapi'], deeplGlossaryId: 'g1' };
+
+  it('puts placeholders for glossary and do-not-translate terms when the provider has no glossaries', () => {
+    const { glossary: service } = setup();
+    const { text, restore, glossaryId } = service.protect('Strapi Cloud runs Strapi', glossary, { supportsGlossaries: false });
+
+    assert.equal(glossaryId, null);
+    assert.equal(text, '{{T0}} runs {{T1}}');
+    assert.equal(restore('{{T1}} 運行於 {{T0}}'), 'Strapi 運行於 Strapi 雲');
+  });
+
+  it('hands the synced glossary to a provider that has glossaries', () => {
+    const { glossary: service } = setup();
+    const { text, glossaryId } = service.protect('Strapi Cloud runs Strapi', glossary, { supportsGlossaries: true });
+
+    assert.equal(glossaryId, 'g1');
+    assert.equal(text, 'Strapi Cloud runs Strapi');
+  });
+
+  it('leaves text alone without a glossary', () => {
+    const { glossary: service } = setup();
+    assert.equal(service.protect('Strapi', null, { supportsGlossaries: false }).text, 'Strapi');
+  });
+});
+
+describe('sync', () => {
+  it('pushes terms and do-not-translate terms to the provider and records the glossary id', async () => {
+    const provider = glossaryProvider();
+    const { glossary } = setup(provider);
+    const created = await glossary.create({ ...pair, entries: [{ source: 'cloud', target: '雲' }], doNotTranslate: ['Strapi'] });
+
+    assert.deepEqual(provider.calls, [['create', { Strapi: 'Strapi', cloud: '雲' }]]);
+    assert.equal(created.deeplGlossaryId, 'g1');
+    assert.ok(created.syncedAt instanceof Date);
+  });
+
+  it('replaces the glossary on the provider when terms change', async () => {
+    const provider = glossaryProvider();
+    const { glossary } = setup(provider);
+    const created = await glossary.create({ ...pair, entries: [{ source: 'cloud', target: '雲' }] });
+    const updated = await glossary.update(created.id, { doNotTranslate: ['Strapi'] });
+
+    assert.equal(updated.deeplGlossaryId, 'g2');
+    assert.deepEqual(provider.calls.slice(1), [['create', { Strapi: 'Strapi', cloud: '雲' }], ['delete', 'g1']]);
+  });
+
+  it('keeps the previous glossary when the new one cannot be created', async () => {
+    const provider = glossaryProvider();
+    const { strapi, glossary } = setup(provider);
+    const created = await glossary.create({ ...pair, entries: [{ source: 'cloud', target: '雲' }] });
+    provider.createGlossary = async () => {
+      throw new Error('Quota exceeded');
+    };
+
+    await assert.rejects(glossary.sync({ ...created, doNotTranslate: ['Strapi'] }), /Quota exceeded/);
+    assert.equal((await strapi.db.query(UID).findOne({ where: { id: created.id } })).deeplGlossaryId, 'g1');
+    assert.deepEqual(provider.calls.map(([call]) => call), ['create']);
+  });
+
+  it('removes the glossary from the provider when the last term goes', async () => {
+    const provider = glossaryProvider();
+    const { glossary } = setup(provider);
+    const created = await glossary.create({ ...pair, entries: [{ source: 'cloud', target: '雲' }] });
+    const updated = await glossary.update(created.id, { entries: [] });
+
+    assert.equal(updated.deeplGlossaryId, null);
+    assert.deepEqual(provider.calls[1], ['delete', 'g1']);
+  });
+
+  it('purges the cached translations of the pair', async () => {
+    const { strapi, glossary } = setup(glossaryProvider());
+    const memory = strapi.service('api::translate.memory');
+    await memory.storeMany([{ text: 'cloud', translatedText: 'nube' }], 'en', 'zh-Hant-HK', 'deepl');
+    await memory.storeMany([{ text: 'cloud', translatedText: 'nuage' }], 'en', 'fr', 'deepl');
+    await glossary.create({ ...pair, entries: [{ source: 'cloud', target: '雲' }] });
+
+    assert.equal((await memory.lookupMany(['cloud'], 'en', 'zh-Hant-HK', 'deepl')).size, 0);
+    assert.equal((await memory.lookupMany(['cloud'], 'en', 'fr', 'deepl')).get('cloud'), 'nuage');
+  });
+
+  it('is left to placeholders when the provider has no glossaries', async () => {
+    const { strapi, glossary } = setup({ supportsGlossaries: false });
+    await glossary.create({ ...pair, entries: [{ source: 'cloud', target: '雲' }] });
+
+    assert.equal((await strapi.db.query(UID).findOne({ where: { name: 'en-zh' } })).deeplGlossaryId ?? null, null);
+  });
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStrapi } = require('../helpers/strapi');
+const createJobs = require('../../src/api/translate/services/jobs');
+
+const UID = 'api::translate.translation-job';
+const ARTICLE = 'api::article.article';
+
+/**
+ * The jobs service, writing translations with `translateToLocale` (which
+ * succeeds unless given) and DeepL
+ * @param {object} options - { jobs: the jobs config, usage: the usage config, translateToLocale }
+ */
+function setup({ jobs = {}, usage = {}, translateToLocale = async () => ({ written: ['title'] }) } = {}) {
+  const strapi = createStrapi({
+    config: { jobs: { pollInterval: 60 * 60 * 1000, ...jobs }, usage },
+    services: ['schema', 'usage', 'jobs'],
+    stubs: {
+      'api::translate.entries': { translateToLocale },
+      'api::translate.translate': { getProvider: () => ({ name: 'deepl' }) },
+    },
+  });
+  return { strapi, jobs: strapi.service('api::translate.jobs') };
+}
+
+const queue = (jobs, targetLocale = 'fr') => jobs.enqueue(ARTICLE, { documentId: 'a1', sourceLocale: 'en', targetLocale });
+
+describe('enqueue', () => {
+  it('reuses the job waiting for the same document and locale pair', async () => {
+    const { strapi, jobs } = setup();
+    const first = await queue(jobs);
+    await strapi.db.query(UID).update({ where: { id: first.id }, data: { attempts: 2, lastError: 'Timeout' } });
+    const second = await queue(jobs);
+
+    assert.equal(second.id, first.id);
+    assert.equal(second.attempts, 0);
+    assert.equal(second.lastError, null);
+    assert.equal(await strapi.db.query(UID).count(), 1);
+  });
+});
+
+describe('claimNext', () => {
+  it('claims the due jobs, oldest first, one worker each', async () => {
+    const { strapi, jobs } = setup();
+    const first = await queue(jobs, 'fr');
+    const second = await queue(jobs, 'de');
+    const later = await queue(jobs, 'es');
+    await strapi.db.query(UID).update({ where: { id: first.id }, data: { runAt: new Date(Date.now() - 1000) } });
+    await strapi.db.query(UID).update({ where: { id: later.id }, data: { runAt: new Date(Date.now() + 60 * 1000) } });
+
+    const claimed = await Promise.all([jobs.claimNext(), jobs.claimNext()]);
+    assert.deepEqual(claimed.filter(Boolean).map((job) => job.id), [first.id]);
+    assert.equal(claimed.find(Boolean).status, 'running');
+    assert.equal(claimed.find(Boolean).attempts, 1);
+
+    assert.equal((await jobs.claimNext()).id, second.id);
+    assert.equal(await jobs.claimNext(), null);
+  });
+});
+
+describe('run', () => {
+  it('records the result of a successful job', async () => {
+    const { jobs } = setup();
+    await queue(jobs);
+    await jobs.run(await jobs.claimNext());
+
+    const [job] = (await jobs.list()).results;
+    assert.equal(job.status, 'succeeded');
+    assert.deepEqual(job.result, { written: ['title'] });
+    assert.ok(job.finishedAt instanceof Date);
+  });
+
+  it('retries a failed job with exponential backoff, then gives up', async () => {
+    const { strapi, jobs } = setup({
+      jobs: { maxAttempts: 3, backoff: 1000 },
+      translateToLocale: async () => {
+        throw new Error('Provider unavailable');
+      },
+    });
+    const { id } = await queue(jobs);
+    const delays = [];
+
+    for (let attempt = 1; attempt <= 3; attempt += 1) {
+      await strapi.db.query(UID).update({ where: { id }, data: { runAt: new Date() } });
+      const before = Date.now();
+      await jobs.run(await jobs.claimNext());
+      const job = await jobs.findOne(id);
+      delays.push(job.status === 'pending' ? Math.round((job.runAt - before) / 1000) : job.status);
+    }
+
+    assert.deepEqual(delays, [1, 2, 'failed']);
+    assert.equal((await jobs.findOne(id)).lastError, 'Provider unavailable');
+  });
+
+  it('pauses jobs queued by lifecycles while the budget of their provider is used up', async () => {
+    const { strapi, jobs } = setup({ usage: { budgets: { deepl: 1000 } } });
+    await strapi.service('api::translate.usage').record({ provider: 'deepl', sourceLocale: 'en', targetLocale: 'fr', trigger: 'lifecycle', characters: 1000 });
+    const automatic = await queue(jobs, 'fr');
+    const manual = await jobs.enqueue(ARTICLE, { documentId: 'a1', sourceLocale: 'en', targetLocale: 'de', trigger: 'manual' });
+
+    await jobs.run(await jobs.claimNext());
+    await jobs.run(await jobs.claimNext());
+
+    const paused = await jobs.findOne(automatic.id);
+    assert.equal(paused.status, 'pending');
+    assert.equal(paused.attempts, 0);
+    assert.ok(paused.runAt > new Date());
+    assert.match(paused.lastError, /^Paused: monthly budget of 1000 characters \(deepl\)/);
+    assert.equal((await jobs.findOne(manual.id)).status, 'succeeded');
+  });
+});
+
+describe('retry', () => {
+  it('queues a failed job again with a fresh set of attempts', async () => {
+    const { strapi, jobs } = setup();
+    const { id } = await queue(jobs);
+    await strapi.db.query(UID).update({ where: { id }, data: { status: 'failed', attempts: 5, lastError: 'Timeout', finishedAt: new Date() } });
+    const job = await jobs.retry(id);
+
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 0);
+    assert.equal(job.lastError, null);
+    assert.equal(job.finishedAt, null);
+  });
+
+  it('leaves a running job alone', async () => {
+    const { jobs } = setup();
+    await queue(jobs);
+    const claimed = await jobs.claimNext();
+
+    assert.equal((await jobs.retry(claimed.id)).status, 'running');
+  });
+});
+
+describe('leases', () => {
+  const expire = (strapi, id) => strapi.db.query(UID).update({ where: { id }, data: { startedAt: new Date(Date.now() - 2 * 60 * 1000) } });
+
+  it('run a job again once the worker that claimed it is gone for longer than the lease', async () => {
+    const { strapi, jobs } = setup({ jobs: { lease: 60 * 1000 } });
+    await queue(jobs);
+    const crashed = await jobs.claimNext();
+
+    // The server restarts: a new worker polls the same queue, without start
+    const restarted = createJobs({ strapi });
+    assert.equal(await restarted.claimNext(), null);
+
+    await expire(strapi, crashed.id);
+    const claimed = await restarted.claimNext();
+    await restarted.run(claimed);
+
+    assert.equal(claimed.id, crashed.id);
+    assert.equal(claimed.attempts, 2);
+    assert.equal((await jobs.findOne(crashed.id)).status, 'succeeded');
+  });
+
+  it('give an expired job to one worker only', async () => {
+    const { strapi, jobs } = setup({ jobs: { lease: 60 * 1000 } });
+    await queue(jobs, 'fr');
+    await queue(jobs, 'de');
+    const crashed = await jobs.claimNext();
+    const running = await jobs.claimNext();
+    await expire(strapi, crashed.id);
+
+    const claimed = await Promise.all([jobs.claimNext(), jobs.claimNext()]);
+    assert.deepEqual(claimed.filter(Boolean).map((job) => job.id), [crashed.id]);
+    assert.equal((await jobs.findOne(running.id)).status, 'running');
+  });
+});
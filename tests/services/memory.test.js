@@ -0,0 +1,113 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStrapi } = require('../helpers/strapi');
+
+const UID = 'api::translate.translation-memory';
+
+/**
+ * The memory service, with the memory config given
+ * @param {object} [memory]
+ */
+function setup(memory = {}) {
+  const strapi = createStrapi({ config: { memory }, services: ['memory'] });
+  return { strapi, memory: strapi.service('api::translate.memory') };
+}
+
+describe('lookupMany and storeMany', () => {
+  it('serves stored translations for the same text, locale pair and provider only', async () => {
+    const { memory } = setup();
+    await memory.storeMany([{ text: 'Hello', translatedText: 'Bonjour' }, { text: 'Bye', translatedText: 'Au revoir' }], 'en', 'fr', 'deepl');
+
+    assert.deepEqual(await memory.lookupMany(['Hello', 'Bye', 'Hello!'], 'en', 'fr', 'deepl'), new Map([['Hello', 'Bonjour'], ['Bye', 'Au revoir']]));
+    assert.equal((await memory.lookupMany(['Hello'], 'en', 'de', 'deepl')).size, 0);
+    assert.equal((await memory.lookupMany(['Hello'], 'en', 'fr', 'openai')).size, 0);
+  });
+
+  it('counts hits on the entries and in the session', async () => {
+    const { strapi, memory } = setup();
+    await memory.storeMany([{ text: 'Hello', translatedText: 'Bonjour' }, { text: 'Bye', translatedText: 'Au revoir' }], 'en', 'fr', 'deepl');
+    await memory.lookupMany(['Hello', 'Bye'], 'en', 'fr', 'deepl');
+    await memory.lookupMany(['Hello', 'Thanks'], 'en', 'fr', 'deepl');
+
+    const entries = await strapi.db.query(UID).findMany({ orderBy: { sourceText: 'asc' } });
+    assert.deepEqual(entries.map((entry) => [entry.sourceText, entry.hits]), [['Bye', 1], ['Hello', 2]]);
+    assert.ok(entries.every((entry) => entry.lastUsedAt instanceof Date));
+
+    const { session } = await memory.stats();
+    assert.deepEqual(session, { hits: 3, misses: 1, charactersSaved: 13, hitRate: 3 / 4 });
+  });
+
+  it('counts the hits of concurrent lookups', async () => {
+    const { strapi, memory } = setup();
+    await memory.storeMany([{ text: 'Hello', translatedText: 'Bonjour' }], 'en', 'fr', 'deepl');
+    await Promise.all([1, 2, 3].map(() => memory.lookupMany(['Hello'], 'en', 'fr', 'deepl')));
+
+    assert.equal((await strapi.db.query(UID).findOne({ where: { sourceText: 'Hello' } })).hits, 3);
+  });
+
+  it('keeps the stored translation of a text stored again', async () => {
+    const { strapi, memory } = setup();
+    await memory.storeMany([{ text: 'Hello', translatedText: 'Bonjour' }], 'en', 'fr', 'deepl');
+    await Promise.all([
+      memory.storeMany([{ text: 'Hello', translatedText: 'Salut' }, { text: 'Bye', translatedText: 'Au revoir' }], 'en', 'fr', 'deepl'),
+      memory.storeMany([{ text: 'Bye', translatedText: 'Adieu' }], 'en', 'fr', 'deepl'),
+    ]);
+
+    const entries = await strapi.db.query(UID).findMany({ orderBy: { sourceText: 'asc' } });
+    assert.deepEqual(entries.map((entry) => [entry.sourceText, entry.translatedText]), [['Bye', 'Au revoir'], ['Hello', 'Bonjour']]);
+  });
+
+  it('neither serves nor stores when disabled', async () => {
+    const { strapi, memory } = setup({ enabled: false });
+    await memory.storeMany([{ text: 'Hello', translatedText: 'Bonjour' }], 'en', 'fr', 'deepl');
+
+    assert.equal(await strapi.db.query(UID).count(), 0);
+    assert.equal((await memory.lookupMany(['Hello'], 'en', 'fr', 'deepl')).size, 0);
+  });
+
+  it('misses instead of failing when the database does', async () => {
+    const { strapi, memory } = setup();
+    strapi.db.query = () => {
+      throw new Error('database is down');
+    };
+    strapi.db.getConnection = strapi.db.query;
+
+    assert.equal((await memory.lookupMany(['Hello'], 'en', 'fr', 'deepl')).size, 0);
+    await memory.storeMany([{ text: 'Hello', translatedText: 'Bonjour' }], 'en', 'fr', 'deepl');
+  });
+});
+
+describe('stats', () => {
+  it('counts the entries and their hits', async () => {
+    const { memory } = setup();
+    await memory.storeMany([{ text: 'Hello', translatedText: 'Bonjour' }, { text: 'Bye', translatedText: 'Au revoir' }], 'en', 'fr', 'deepl');
+    await memory.lookupMany(['Hello'], 'en', 'fr', 'deepl');
+    await memory.lookupMany(['Hello', 'Bye'], 'en', 'fr', 'deepl');
+    const stats = await memory.stats();
+
+    assert.deepEqual([stats.enabled, stats.entries, stats.totalHits], [true, 2, 3]);
+  });
+});
+
+describe('purge', () => {
+  it('deletes the entries of a locale pair', async () => {
+    const { strapi, memory } = setup();
+    await memory.storeMany([{ text: 'Hello', translatedText: 'Bonjour' }], 'en', 'fr', 'deepl');
+    await memory.storeMany([{ text: 'Hello', translatedText: 'Hallo' }], 'en', 'de', 'deepl');
+
+    assert.equal(await memory.purge({ sourceLocale: 'en', targetLocale: 'fr' }), 1);
+    assert.deepEqual((await strapi.db.query(UID).findMany()).map((entry) => entry.translatedText), ['Hallo']);
+  });
+
+  it('deletes entries not used since a date', async () => {
+    const { strapi, memory } = setup();
+    await memory.storeMany([{ text: 'Hello', translatedText: 'Bonjour' }], 'en', 'fr', 'deepl');
+    await strapi.db.query(UID).updateMany({ where: {}, data: { lastUsedAt: new Date('2020-01-01') } });
+    await memory.storeMany([{ text: 'Bye', translatedText: 'Au revoir' }], 'en', 'fr', 'deepl');
+
+    assert.equal(await memory.purge({ olderThan: '2021-01-01' }), 1);
+    assert.deepEqual((await strapi.db.query(UID).findMany()).map((entry) => entry.sourceText), ['Bye']);
+  });
+});
@@ -0,0 +1,272 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStrapi } = require('../helpers/strapi');
+
+const ARTICLE = 'api::article.article';
+
+const richText = (body) => ({ __component: 'shared.rich-text', body });
+const quote = (title, body) => ({ __component: 'shared.quote', title, body });
+
+const source = (overrides = {}) => ({
+  documentId: 'a1',
+  locale: 'en',
+  title: 'Hello',
+  description: 'First article',
+  blocks: [richText('One'), quote('Q', 'Two')],
+  ...overrides,
+});
+
+/**
+ * The provenance service, with the humanEdits policy given
+ * @param {string} [policy]
+ */
+function setup(policy) {
+  const strapi = createStrapi({ config: policy ? { humanEdits: { default: policy } } : {}, services: ['schema', 'provenance'] });
+  return strapi.service('api::translate.provenance');
+}
+
+/**
+ * Record the translation of the source into zh-Hant-HK
+ */
+async function translate(provenance, from) {
+  const target = {
+    documentId: from.documentId,
+    locale: 'zh-Hant-HK',
+    title: `[zh] ${from.title}`,
+    description: `[zh] ${from.description}`,
+    blocks: from.blocks.map((block, index) => ({ ...block, id: index + 1, body: `[zh] ${block.body}` })),
+  };
+  await provenance.record(ARTICLE, from.documentId, 'zh-Hant-HK', {
+    originLocale: from.locale,
+    sourceHash: provenance.hashRevision(ARTICLE, from),
+    sourceHashes: provenance.hashSource(ARTICLE, from),
+    contentHash: provenance.hashContent(ARTICLE, target),
+    fieldHashes: provenance.hashFields(ARTICLE, target),
+    blockHashes: provenance.hashBlocks(ARTICLE, target),
+  });
+  return target;
+}
+
+describe('isMachineWritten', () => {
+  it('holds for a localization as translation wrote it', async () => {
+    const provenance = setup();
+    const target = await translate(provenance, source());
+
+    assert.equal(await provenance.isMachineWritten(ARTICLE, target), true);
+  });
+
+  it('ends with an edit', async () => {
+    const provenance = setup();
+    const target = await translate(provenance, source());
+
+    assert.equal(await provenance.isMachineWritten(ARTICLE, { ...target, title: 'Edited by hand' }), false);
+  });
+
+  it('never holds for a localization translation did not write', async () => {
+    const provenance = setup();
+    await translate(provenance, source());
+
+    assert.equal(await provenance.isMachineWritten(ARTICLE, source()), false);
+  });
+
+  it('takes empty, null and missing fields as the same content', () => {
+    const provenance = setup();
+    const hash = provenance.hashContent(ARTICLE, { title: 'A' });
+
+    assert.equal(provenance.hashContent(ARTICLE, { title: 'A', description: '' }), hash);
+    assert.equal(provenance.hashContent(ARTICLE, { title: 'A', description: null }), hash);
+    assert.notEqual(provenance.hashContent(ARTICLE, { title: 'A', description: 'B' }), hash);
+  });
+});
+
+describe('isUpToDate', () => {
+  it('holds for the source revision the target was translated from', async () => {
+    const provenance = setup();
+    await translate(provenance, source());
+    const isUpToDate = (from) => provenance.isUpToDate(ARTICLE, 'a1', from.locale, provenance.hashRevision(ARTICLE, from), 'zh-Hant-HK');
+
+    assert.equal(await isUpToDate(source()), true);
+    assert.equal(await isUpToDate(source({ title: 'Hello again' })), false);
+    assert.equal(await isUpToDate(source({ locale: 'fr' })), false);
+  });
+});
+
+describe('markEdited', () => {
+  it('flags a machine translation an editor changed', async () => {
+    const provenance = setup();
+    const target = await translate(provenance, source());
+
+    await provenance.markEdited(ARTICLE, target);
+    assert.equal((await provenance.find(ARTICLE, 'a1', 'zh-Hant-HK')).state, 'machine');
+
+    await provenance.markEdited(ARTICLE, { ...target, title: 'Edited by hand' });
+    assert.equal((await provenance.find(ARTICLE, 'a1', 'zh-Hant-HK')).state, 'edited');
+  });
+});
+
+describe('planWrite', () => {
+  const plan = async (provenance, options) => provenance.planWrite(ARTICLE, {
+    sourceLocale: 'en',
+    marker: options.target && await provenance.find(ARTICLE, 'a1', 'zh-Hant-HK'),
+    ...options,
+  });
+
+  it('translates every non-empty field and block of a new localization', async () => {
+    const provenance = setup();
+    const result = await plan(provenance, { source: source({ description: '' }), target: null });
+
+    assert.equal(result.blocked, false);
+    assert.deepEqual(result.fields, ['title']);
+    assert.deepEqual(result.zones.blocks.map((entry) => Object.keys(entry)), [['source'], ['source']]);
+  });
+
+  it('writes nothing to a locked localization', async () => {
+    const provenance = setup();
+    const target = await translate(provenance, source());
+    await provenance.setLocked(ARTICLE, 'a1', 'zh-Hant-HK', true);
+    const result = await plan(provenance, { source: source(), target });
+
+    assert.equal(result.blocked, true);
+    assert.ok(result.untouched.every(({ reason }) => reason === 'locked'));
+  });
+
+  it('sends only the fields and blocks whose source changed', async () => {
+    const provenance = setup();
+    const target = await translate(provenance, source());
+    const result = await plan(provenance, { source: source({ title: 'Hello again', blocks: [richText('One'), quote('Q', 'Changed')] }), target });
+
+    assert.deepEqual(result.fields, ['title']);
+    assert.equal(result.zones.blocks[0].reuse, target.blocks[0]);
+    assert.deepEqual(result.zones.blocks[1], { source: quote('Q', 'Changed') });
+  });
+
+  it('translates everything again from another source locale', async () => {
+    const provenance = setup();
+    const target = await translate(provenance, source());
+    const result = await plan(provenance, { sourceLocale: 'fr', source: source({ locale: 'fr' }), target });
+
+    assert.deepEqual(result.fields, ['title', 'description']);
+    assert.ok(result.zones.blocks.every((entry) => entry.source));
+  });
+
+  describe('edited fields', () => {
+    const edit = async (provenance) => ({ ...(await translate(provenance, source())), title: 'Edited by hand' });
+    const changed = source({ title: 'New title', description: 'New description' });
+
+    it('keeps them under merge', async () => {
+      const provenance = setup('merge');
+      const result = await plan(provenance, { source: changed, target: await edit(provenance) });
+
+      assert.deepEqual(result.fields, ['description']);
+      assert.deepEqual(result.untouched, [{ field: 'title', reason: 'edited' }]);
+    });
+
+    it('leaves the localization alone under skip', async () => {
+      const provenance = setup('skip');
+      const result = await plan(provenance, { source: changed, target: await edit(provenance) });
+
+      assert.equal(result.blocked, true);
+      assert.deepEqual(result.untouched.find(({ field }) => field === 'title'), { field: 'title', reason: 'edited' });
+      assert.deepEqual(result.untouched.find(({ field }) => field === 'description'), { field: 'description', reason: 'policy' });
+    });
+
+    it('writes them under overwrite', async () => {
+      const provenance = setup('overwrite');
+      const result = await plan(provenance, { source: changed, target: await edit(provenance) });
+
+      assert.deepEqual(result.fields, ['title', 'description']);
+      assert.deepEqual(result.untouched, []);
+    });
+
+    it('counts every non-empty field of a localization translation never wrote', async () => {
+      const provenance = setup('merge');
+      const result = await plan(provenance, { source: changed, target: { title: 'Written by hand', description: 'Also by hand', blocks: [] } });
+
+      assert.deepEqual(result.fields, []);
+      assert.deepEqual(result.untouched.map(({ field }) => field), ['title', 'description']);
+    });
+  });
+
+  describe('edited blocks', () => {
+    const changed = source({ blocks: [richText('One changed'), quote('Q', 'Two changed')] });
+    const edit = (target) => ({ ...target, blocks: [{ ...target.blocks[0], body: 'Edited by hand' }, target.blocks[1]] });
+
+    it('keeps an edited block under merge and translates the others', async () => {
+      const provenance = setup('merge');
+      const edited = edit(await translate(provenance, source()));
+      const result = await plan(provenance, { source: changed, target: edited });
+
+      assert.deepEqual(result.zones.blocks[0], { reuse: edited.blocks[0], edited: true });
+      assert.deepEqual(result.zones.blocks[1], { source: changed.blocks[1] });
+      assert.deepEqual(result.untouched, [{ field: 'blocks[0]', reason: 'edited' }]);
+    });
+
+    it('keeps the whole zone when an editor added or removed blocks', async () => {
+      const provenance = setup('merge');
+      const target = await translate(provenance, source());
+      const result = await plan(provenance, { source: changed, target: { ...target, blocks: [target.blocks[1]] } });
+
+      assert.deepEqual(result.zones.blocks, [{ reuse: target.blocks[1], edited: true }]);
+      assert.deepEqual(result.untouched, [{ field: 'blocks', reason: 'edited' }]);
+    });
+
+    it('leaves the localization alone under skip', async () => {
+      const provenance = setup('skip');
+      const result = await plan(provenance, { source: changed, target: edit(await translate(provenance, source())) });
+
+      assert.equal(result.blocked, true);
+      assert.deepEqual(result.untouched.find(({ field }) => field === 'blocks'), { field: 'blocks', reason: 'edited' });
+    });
+
+    it('knows of no edited block in markers recorded before blocks were tracked', async () => {
+      const provenance = setup('merge');
+      const edited = edit(await translate(provenance, source()));
+      const { blockHashes, ...legacy } = await provenance.find(ARTICLE, 'a1', 'zh-Hant-HK');
+      const result = await plan(provenance, { source: changed, target: edited, marker: legacy });
+
+      assert.ok(result.zones.blocks.every((entry) => entry.source));
+      assert.deepEqual(result.untouched, []);
+    });
+  });
+});
+
+describe('matchesContent', () => {
+  it('tells an edited block from the content translation wrote', async () => {
+    const provenance = setup();
+    const target = await translate(provenance, source());
+    const marker = await provenance.find(ARTICLE, 'a1', 'zh-Hant-HK');
+
+    assert.equal(provenance.matchesContent(ARTICLE, marker, target), true);
+    assert.equal(provenance.matchesContent(ARTICLE, marker, { ...target, blocks: [target.blocks[0]] }), false);
+  });
+});
+
+describe('recordWrite', () => {
+  it('records the fields it writes and keeps an edited localization edited', async () => {
+    const provenance = setup('merge');
+    const target = { ...(await translate(provenance, source())), title: 'Edited by hand' };
+    const marker = await provenance.find(ARTICLE, 'a1', 'zh-Hant-HK');
+    const changed = source({ title: 'New title', description: 'New description' });
+    const data = { description: '[zh] New description' };
+
+    await provenance.recordWrite(ARTICLE, {
+      documentId: 'a1',
+      sourceLocale: 'en',
+      targetLocale: 'zh-Hant-HK',
+      source: changed,
+      target,
+      marker,
+      data,
+      untouched: [{ field: 'title', reason: 'edited' }],
+    });
+
+    const recorded = await provenance.find(ARTICLE, 'a1', 'zh-Hant-HK');
+    assert.equal(recorded.state, 'edited');
+    assert.equal(recorded.sourceHash, provenance.hashRevision(ARTICLE, changed));
+    assert.equal(recorded.contentHash, provenance.hashContent(ARTICLE, { ...target, ...data }));
+    assert.equal(recorded.fieldHashes.title, marker.fieldHashes.title);
+    assert.equal(recorded.fieldHashes.description, provenance.hashFields(ARTICLE, data).description);
+  });
+});
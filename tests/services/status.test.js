@@ -0,0 +1,60 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStrapi } = require('../helpers/strapi');
+
+const ARTICLE = 'api::article.article';
+
+/**
+ * The status service over `count` articles, every third one stale, with the
+ * batches it reads recorded
+ * @param {number} count
+ */
+function setup(count) {
+  const strapi = createStrapi({
+    services: ['status'],
+    stubs: { 'api::translate.jobs': { getContentTypes: () => [ARTICLE] } },
+  });
+  const status = strapi.service('api::translate.status');
+  const documentIds = Array.from({ length: count }, (_, index) => `a${index}`);
+  const batches = [];
+
+  status.countDocuments = async () => documentIds.length;
+  status.findDocumentIds = async (uid, { offset, limit }) => documentIds.slice(offset, offset + limit);
+  status.listContentType = async (uid, ids) => {
+    batches.push(ids.length);
+    return ids.map((documentId) => ({
+      contentType: uid,
+      documentId,
+      locales: { 'zh-Hant-HK': { state: Number(documentId.slice(1)) % 3 ? 'up-to-date' : 'stale' } },
+    }));
+  };
+  return { status, batches };
+}
+
+describe('list', () => {
+  it('stops checking documents once the page filtered by state is full', async () => {
+    const { status, batches } = setup(1000);
+    const { results, pagination } = await status.list({ state: 'stale' }, { page: 2, pageSize: 10 });
+
+    assert.deepEqual(results.map((row) => row.documentId), ['a30', 'a33', 'a36', 'a39', 'a42', 'a45', 'a48', 'a51', 'a54', 'a57']);
+    assert.deepEqual(pagination, { page: 2, pageSize: 10, total: null, pageCount: null, hasMore: true });
+    assert.deepEqual(batches, [100]);
+  });
+
+  it('tells the last page filtered by state', async () => {
+    const { status } = setup(30);
+    const { results, pagination } = await status.list({ state: 'stale' }, { page: 1, pageSize: 10 });
+
+    assert.equal(results.length, 10);
+    assert.equal(pagination.hasMore, false);
+  });
+
+  it('counts every document without a state filter', async () => {
+    const { status } = setup(30);
+    const { pagination } = await status.list({}, { page: 3, pageSize: 10 });
+
+    assert.deepEqual(pagination, { page: 3, pageSize: 10, total: 30, pageCount: 3, hasMore: false });
+  });
+});
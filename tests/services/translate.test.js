@@ -0,0 +1,85 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStrapi } = require('../helpers/strapi');
+
+/**
+ * The translate service with the echo provider in pseudo mode, whose batch
+ * requests are recorded; `fail` makes batches holding that text throw
+ * @param {object} options - { maxBatchTexts, fail }
+ */
+function setup({ maxBatchTexts = 50, fail } = {}) {
+  const strapi = createStrapi({
+    config: { provider: 'echo', providers: { echo: { maxBatchTexts } } },
+    services: ['translate', 'memory', 'glossary', 'usage', 'chinese'],
+  });
+  const translate = strapi.service('api::translate.translate');
+  const provider = translate.getProvider('en', 'fr');
+  const requests = [];
+  const translateBatch = provider.translateBatch;
+
+  provider.translateBatch = async (texts, options) => {
+    requests.push(texts);
+    if (fail && texts.includes(fail)) {
+      throw new Error(`Cannot translate "${fail}"`);
+    }
+    return translateBatch.call(provider, texts, options);
+  };
+  return { strapi, translate, requests };
+}
+
+const segments = (...texts) => texts.map((text) => ({ text, format: 'text', field: 'title' }));
+
+describe('translateSegments', () => {
+  it('sends segments in batches within the provider limits, in input order', async () => {
+    const { translate, requests } = setup({ maxBatchTexts: 2 });
+    const results = await translate.translateSegments(segments('one', 'two', 'three'), 'en', 'fr');
+
+    assert.deepEqual(requests, [['one', 'two'], ['three']]);
+    assert.deepEqual(results.map(({ text }) => text), ['[fr] óñé', '[fr] ţŵó', '[fr] ţĥŕéé']);
+  });
+
+  it('sends identical texts once and leaves empty ones out', async () => {
+    const { translate, requests } = setup();
+    const results = await translate.translateSegments(segments('one', '', 'one', ' '), 'en', 'fr');
+
+    assert.deepEqual(requests, [['one']]);
+    assert.deepEqual(results.map(({ text }) => text), ['[fr] óñé', '', '[fr] óñé', ' ']);
+  });
+
+  it('serves translations from memory without a request', async () => {
+    const { translate, requests } = setup();
+    await translate.translateSegments(segments('one'), 'en', 'fr');
+    await translate.translateSegments(segments('one', 'two'), 'en', 'fr');
+
+    assert.deepEqual(requests, [['one'], ['two']]);
+  });
+
+  it('retries a failed batch one segment at a time and reports the failing segment', async () => {
+    const { translate, requests } = setup({ fail: 'bad' });
+    const results = await translate.translateSegments(segments('one', 'bad', 'two'), 'en', 'fr');
+
+    assert.deepEqual(requests, [['one', 'bad', 'two'], ['one'], ['bad'], ['two']]);
+    assert.deepEqual(results.map(({ error }) => error), [null, 'Cannot translate "bad"', null]);
+    assert.equal(results[1].text, 'bad');
+  });
+
+  it('records the characters sent to the provider, not those served from memory', async () => {
+    const { strapi, translate } = setup();
+    await translate.translateSegments(segments('one'), 'en', 'fr', { contentType: 'api::article.article', trigger: 'manual' });
+    await translate.translateSegments(segments('one', 'three'), 'en', 'fr', { contentType: 'api::article.article', trigger: 'manual' });
+
+    const [row] = await strapi.db.query('api::translate.translation-usage').findMany();
+    assert.deepEqual([row.provider, row.trigger, Number(row.characters), row.requests], ['echo', 'manual', 8, 2]);
+  });
+
+  it('neither stores translations nor records usage in a dry run', async () => {
+    const { strapi, translate, requests } = setup();
+    await translate.translateSegments(segments('one'), 'en', 'fr', { trigger: 'manual', dryRun: true });
+    await translate.translateSegments(segments('one'), 'en', 'fr', { trigger: 'manual', dryRun: true });
+
+    assert.deepEqual(requests, [['one'], ['one']]);
+    assert.equal(await strapi.db.query('api::translate.translation-usage').count(), 0);
+  });
+});
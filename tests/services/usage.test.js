@@ -0,0 +1,100 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStrapi } = require('../helpers/strapi');
+
+const UID = 'api::translate.translation-usage';
+
+/**
+ * The usage service, with the monthly budgets given
+ * @param {object} [budgets]
+ */
+function setup(budgets = {}) {
+  const strapi = createStrapi({ config: { usage: { budgets } }, services: ['usage'] });
+  return { strapi, usage: strapi.service('api::translate.usage') };
+}
+
+const usage = (overrides = {}) => ({ provider: 'deepl', sourceLocale: 'en', targetLocale: 'fr', contentType: 'api::article.article', trigger: 'lifecycle', characters: 100, ...overrides });
+
+describe('record', () => {
+  it('adds to the counters of the day, pair, content type and trigger', async () => {
+    const { strapi, usage: service } = setup();
+    await service.record(usage());
+    await service.record(usage({ characters: 50, requests: 2 }));
+    await service.record(usage({ trigger: 'manual' }));
+
+    const rows = await strapi.db.query(UID).findMany({ orderBy: { id: 'asc' } });
+    assert.deepEqual(rows.map((row) => [row.trigger, Number(row.characters), row.requests]), [['lifecycle', 150, 3], ['manual', 100, 1]]);
+    assert.equal(rows[0].day, new Date().toISOString().slice(0, 10));
+  });
+
+  it('keeps the counts of concurrent translations', async () => {
+    const { strapi, usage: service } = setup();
+    await service.record(usage());
+    await Promise.all([service.record(usage()), service.record(usage()), service.record(usage())]);
+
+    const [row] = await strapi.db.query(UID).findMany();
+    assert.deepEqual([Number(row.characters), row.requests], [400, 4]);
+  });
+
+  it('records unknown triggers as API calls and nothing without characters', async () => {
+    const { strapi, usage: service } = setup();
+    await service.record(usage({ trigger: 'cron' }));
+    await service.record(usage({ characters: 0 }));
+
+    assert.deepEqual((await strapi.db.query(UID).findMany()).map((row) => row.trigger), ['api']);
+  });
+
+  it('never fails the translation it counts', async () => {
+    const { strapi, usage: service } = setup();
+    strapi.db.query = () => {
+      throw new Error('database is down');
+    };
+
+    await service.record(usage());
+  });
+});
+
+describe('budgets', () => {
+  it('count the characters of the month per provider and for all providers', async () => {
+    const { strapi, usage: service } = setup({ deepl: 150, openai: 1000, '*': 1000 });
+    await service.record(usage());
+    await service.record(usage({ trigger: 'manual' }));
+    await service.record(usage({ provider: 'openai' }));
+    await strapi.db.query(UID).create({ data: { ...usage({ characters: 5000 }), day: '2020-01-01', requests: 1 } });
+
+    assert.deepEqual(await service.getBudgets(), [
+      { provider: 'deepl', budget: 150, used: 200, remaining: 0, exceeded: true },
+      { provider: 'openai', budget: 1000, used: 100, remaining: 900, exceeded: false },
+      { provider: '*', budget: 1000, used: 300, remaining: 700, exceeded: false },
+    ]);
+    assert.equal((await service.findExceededBudget('deepl')).provider, 'deepl');
+    assert.equal(await service.findExceededBudget('openai'), null);
+  });
+
+  it('pause lifecycle translations only', () => {
+    const { usage: service } = setup();
+
+    assert.equal(service.isAutomatic('lifecycle'), true);
+    assert.equal(service.isAutomatic(undefined), true);
+    assert.deepEqual(['api', 'manual', 'bulk'].map((trigger) => service.isAutomatic(trigger)), [false, false, false]);
+  });
+});
+
+describe('report', () => {
+  it('sums usage per month, with breakdowns', async () => {
+    const { strapi, usage: service } = setup();
+    for (const [day, provider, characters] of [['2026-01-05', 'deepl', 100], ['2026-01-20', 'openai', 50], ['2026-02-01', 'deepl', 10]]) {
+      await strapi.db.query(UID).create({ data: { ...usage({ provider, characters }), day, requests: 1 } });
+    }
+    const { results, totals } = await service.report({ period: 'month', from: '2026-01-01', to: '2026-02-28' });
+
+    assert.deepEqual(results.map((result) => [result.period, result.characters, result.byProvider]), [
+      ['2026-01', 150, { deepl: 100, openai: 50 }],
+      ['2026-02', 10, { deepl: 10 }],
+    ]);
+    assert.equal(totals.requests, 3);
+    assert.deepEqual(totals.byPair, { 'en:fr': 160 });
+  });
+});
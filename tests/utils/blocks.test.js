@@ -0,0 +1,45 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { segmentBlocks } = require('../../src/api/translate/utils/blocks');
+
+const BLOCKS = [
+  {
+    type: 'paragraph',
+    children: [
+      { type: 'text', text: 'Hello ' },
+      { type: 'text', text: 'world', bold: true },
+      { type: 'text', text: ' and ' },
+      { type: 'text', text: 'x()', code: true },
+      { type: 'link', url: 'https://a.b', children: [{ type: 'text', text: 'here' }] },
+    ],
+  },
+  { type: 'code', children: [{ type: 'text', text: 'let a' }] },
+  { type: 'list', format: 'unordered', children: [{ type: 'list-item', children: [{ type: 'text', text: 'Point' }] }] },
+];
+
+describe('segmentBlocks', () => {
+  it('makes one segment per run of inline nodes, code blocks left out', () => {
+    assert.deepEqual(segmentBlocks(BLOCKS).segments, ['Hello <g0>world</g0> and <x1/><g2>here</g2>', 'Point']);
+  });
+
+  it('puts marks, inline code and links back around the translation', () => {
+    const [paragraph, code, list] = segmentBlocks(BLOCKS).render(['Bonjour <g0>monde</g0> et <x1/><g2>ici</g2>', 'Pointe']);
+    assert.deepEqual(paragraph.children, [
+      { type: 'text', text: 'Bonjour ' },
+      { type: 'text', text: 'monde', bold: true },
+      { type: 'text', text: ' et ' },
+      { type: 'text', text: 'x()', code: true },
+      { type: 'link', url: 'https://a.b', children: [{ type: 'text', text: 'ici' }] },
+    ]);
+    assert.deepEqual(code, BLOCKS[1]);
+    assert.equal(list.children[0].children[0].text, 'Pointe');
+  });
+
+  it('leaves the source value untouched', () => {
+    const copy = JSON.parse(JSON.stringify(BLOCKS));
+    segmentBlocks(BLOCKS).render(['Bonjour', 'Pointe']);
+    assert.deepEqual(BLOCKS, copy);
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTable, createConverter, chineseVariant } = require('../../src/api/translate/utils/chinese');
+
+describe('parseTable', () => {
+  it('reads the first target of each line and skips comments', () => {
+    assert.deepEqual(parseTable('# comment\n軟體\t軟件 軟体\n\n體\t体\n'), [['軟體', '軟件'], ['體', '体']]);
+  });
+});
+
+describe('createConverter', () => {
+  const convert = createConverter([['軟體', '軟件'], ['體', '体'], ['網路', '網絡']]);
+
+  it('replaces the longest phrase at each position', () => {
+    assert.equal(convert('軟體和網路的身體'), '軟件和網絡的身体');
+  });
+
+  it('passes markup and other scripts through', () => {
+    assert.equal(convert('<b>Software 軟體</b> {{T0}}'), '<b>Software 軟件</b> {{T0}}');
+  });
+
+  it('lets later entries win', () => {
+    assert.equal(createConverter([['體', '体'], ['體', '軆']])('體'), '軆');
+  });
+});
+
+describe('chineseVariant', () => {
+  it('tells the regional variant of a Chinese locale', () => {
+    assert.equal(chineseVariant('zh-HK'), 'hk');
+    assert.equal(chineseVariant('zh-Hant-MO'), 'hk');
+    assert.equal(chineseVariant('zh-TW'), 'tw');
+    assert.equal(chineseVariant('zh-CN'), 'hans');
+  });
+
+  it('has none for Traditional Chinese without a region, or other languages', () => {
+    assert.equal(chineseVariant('zh-Hant'), null);
+    assert.equal(chineseVariant('en'), null);
+  });
+});
+
+describe('bundled tables', () => {
+  const table = (file) => createConverter(parseTable(fs.readFileSync(path.join(__dirname, '..', '..', 'src', 'api', 'translate', 'data', 'chinese', file), 'utf8')));
+  const hk = table('hk.txt');
+  const tw = table('tw.txt');
+
+  it('convert regional vocabulary', () => {
+    assert.equal(hk('數位相機的使用者介面在線更新'), '數碼相機的用戶介面網上更新');
+    assert.equal(tw('數碼相機的用戶界面在線更新'), '數位相機的使用者介面線上更新');
+  });
+
+  it('leave phrases that only contain an entry across a word boundary alone', () => {
+    assert.equal(hk('我們在線上開會'), '我們在網上開會');
+    assert.equal(hk('大多數位置已滿'), '大多數位置已滿');
+    assert.equal(hk('邊界面積很大'), '邊界面積很大');
+
+    assert.equal(tw('我們在線上開會'), '我們在線上開會');
+    assert.equal(tw('大多數碼頭已滿'), '大多數碼頭已滿');
+    assert.equal(tw('邊界面積很大'), '邊界面積很大');
+  });
+});
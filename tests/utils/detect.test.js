@@ -0,0 +1,57 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, matchesLocale, stripMarkup } = require('../../src/api/translate/utils/detect');
+
+// A few of the characters only one of the Chinese scripts uses
+const characters = {
+  traditional: new Set('個劃將會於協助與業發實'),
+  simplified: new Set('个划将会于协助与业发实'),
+};
+
+describe('detectLanguage', () => {
+  it('detects English and French by their frequent words', () => {
+    assert.equal(detectLanguage('The quick brown fox jumps over the lazy dog and the cat is on the mat with them.').locale, 'en');
+    assert.equal(detectLanguage('Le chat est sur la table et il dort dans la maison avec les enfants.').locale, 'fr');
+  });
+
+  it('tells Traditional from Simplified Chinese', () => {
+    const traditional = detectLanguage('這個計劃將會於明年開始實施，協助本地企業發展。', characters);
+    const simplified = detectLanguage('这个计划将会于明年开始实施，协助本地企业发展。', characters);
+    assert.equal(traditional.locale, 'zh-Hant');
+    assert.equal(simplified.locale, 'zh-Hans');
+    assert.equal(traditional.confidence, 1);
+  });
+
+  it('detects languages by their script', () => {
+    assert.equal(detectLanguage('こんにちは、今日はいい天気ですね。').language, 'ja');
+    assert.equal(detectLanguage('안녕하세요 오늘 날씨가 좋네요').language, 'ko');
+  });
+
+  it('decides nothing on short text', () => {
+    assert.deepEqual(
+      { ...detectLanguage('Hi'), scripts: undefined },
+      { language: null, script: null, locale: null, confidence: 0, scripts: undefined }
+    );
+  });
+});
+
+describe('matchesLocale', () => {
+  it('compares the language, and the script of Chinese when known', () => {
+    assert.equal(matchesLocale({ language: 'zh', script: 'Hant' }, 'zh-Hant-HK'), true);
+    assert.equal(matchesLocale({ language: 'zh', script: 'Hans' }, 'zh-HK'), false);
+    assert.equal(matchesLocale({ language: 'zh', script: null }, 'zh-CN'), true);
+    assert.equal(matchesLocale({ language: 'en' }, 'zh'), false);
+  });
+
+  it('is undecided without a detected language', () => {
+    assert.equal(matchesLocale({ language: null }, 'en'), null);
+  });
+});
+
+describe('stripMarkup', () => {
+  it('leaves out tags, URLs and e-mail addresses', () => {
+    assert.equal(stripMarkup('<p>Visit https://example.com or mail a@b.co</p>').replace(/\s+/g, ' ').trim(), 'Visit or mail');
+  });
+});
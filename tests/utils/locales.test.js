@@ -0,0 +1,40 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLocale, chineseScript, displayName } = require('../../src/api/translate/utils/locales');
+
+describe('parseLocale', () => {
+  it('splits language, script and region', () => {
+    assert.deepEqual(parseLocale('zh-Hant-HK'), { language: 'zh', script: 'Hant', region: 'HK' });
+  });
+
+  it('accepts underscores and normalizes case', () => {
+    assert.deepEqual(parseLocale('pt_br'), { language: 'pt', script: null, region: 'BR' });
+    assert.deepEqual(parseLocale('ZH-hans'), { language: 'zh', script: 'Hans', region: null });
+  });
+});
+
+describe('chineseScript', () => {
+  it('uses the script subtag when there is one', () => {
+    assert.equal(chineseScript('zh-Hans-HK'), 'Hans');
+    assert.equal(chineseScript('zh-Hant-CN'), 'Hant');
+  });
+
+  it('writes Simplified for mainland China and Singapore, Traditional otherwise', () => {
+    assert.equal(chineseScript('zh-CN'), 'Hans');
+    assert.equal(chineseScript('zh-SG'), 'Hans');
+    assert.equal(chineseScript('zh-HK'), 'Hant');
+    assert.equal(chineseScript('zh'), 'Hant');
+  });
+});
+
+describe('displayName', () => {
+  it('names a locale in English', () => {
+    assert.equal(displayName('fr'), 'French');
+  });
+
+  it('returns an invalid code as it is', () => {
+    assert.equal(displayName('??'), '??');
+  });
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { segmentMarkdown } = require('../../src/api/translate/utils/markdown');
+
+const MARKDOWN = '# Title here\n\nSome **bold** text with [a link](https://x.y) and `code`.\n\n```js\nconst a = 1;\n```\n\n- item one\n- 123\n';
+
+describe('segmentMarkdown', () => {
+  it('sends the text of each line, formatting as tags, code and numbers left out', () => {
+    assert.deepEqual(segmentMarkdown(MARKDOWN).segments, [
+      'Title here',
+      'Some <g0>bold</g0> text with <g1>a link</g1> and <x2/>.',
+      'item one',
+    ]);
+  });
+
+  it('renders the translation with the original structure', () => {
+    const { render } = segmentMarkdown(MARKDOWN);
+    assert.equal(
+      render(['Titre ici', 'Du texte <g0>gras</g0> avec <g1>un lien</g1> et <x2/>.', 'élément un']),
+      '# Titre ici\n\nDu texte **gras** avec [un lien](https://x.y) et `code`.\n\n```js\nconst a = 1;\n```\n\n- élément un\n- 123\n'
+    );
+  });
+
+  it('renders the source unchanged from its own segments', () => {
+    const { segments, render } = segmentMarkdown(MARKDOWN);
+    assert.equal(render(segments), MARKDOWN);
+  });
+
+  it('never loses code spans a translation dropped', () => {
+    const { render } = segmentMarkdown('Run `npm start` now.');
+    assert.match(render(['Lancez maintenant.']), /`npm start`/);
+  });
+});
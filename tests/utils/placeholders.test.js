@@ -0,0 +1,31 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { protectTerms } = require('../../src/api/translate/utils/placeholders');
+
+describe('protectTerms', () => {
+  const terms = [{ source: 'Strapi' }, { source: 'Strapi Cloud', target: 'Strapi 雲' }];
+
+  it('replaces the longest terms first, on word boundaries', () => {
+    const { text } = protectTerms('Deploy Strapi Cloud or Strapi with Strapify', terms);
+    assert.equal(text, 'Deploy {{T0}} or {{T1}} with Strapify');
+  });
+
+  it('restores placeholders to the glossary target, or the term itself', () => {
+    const { restore } = protectTerms('Deploy Strapi Cloud or Strapi', terms);
+    assert.equal(restore('部署 {{T0}} 或 {{ T1 }}'), '部署 Strapi 雲 或 Strapi');
+  });
+
+  it('matches CJK terms inside words', () => {
+    const { text, restore } = protectTerms('歡迎使用雲端服務', [{ source: '雲端', target: 'Cloud' }]);
+    assert.equal(text, '歡迎使用{{T0}}服務');
+    assert.equal(restore('Welcome to {{T0}} services'), 'Welcome to Cloud services');
+  });
+
+  it('leaves text without terms alone', () => {
+    const { text, restore } = protectTerms('Nothing here', terms);
+    assert.equal(text, 'Nothing here');
+    assert.equal(restore('Rien ici'), 'Rien ici');
+  });
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { truncate } = require('../../src/api/translate/utils/truncate');
+
+describe('truncate', () => {
+  it('returns text within the limit unchanged', () => {
+    assert.equal(truncate('short', 10), 'short');
+    assert.equal(truncate(null, 10), null);
+  });
+
+  it('cuts after the last whole sentence, without an ellipsis', () => {
+    assert.equal(truncate('First sentence. Second sentence is long.', 20), 'First sentence.');
+    assert.equal(truncate('今天天氣很好。我們去公園散步吧', 10), '今天天氣很好。');
+  });
+
+  it('cuts at a word boundary and adds an ellipsis', () => {
+    assert.equal(truncate('alpha beta gamma delta', 14), 'alpha beta…');
+  });
+
+  it('cuts CJK text anywhere', () => {
+    assert.equal(truncate('這是一個很長的中文句子沒有空格', 8), '這是一個很長的…');
+  });
+
+  it('never splits a surrogate pair', () => {
+    const result = truncate('abc😀😀😀😀', 6);
+    assert.ok(result.length <= 6);
+    assert.doesNotMatch(result, /[\ud800-\udbff](?![\udc00-\udfff])/);
+  });
+});